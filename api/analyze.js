@@ -1,11 +1,27 @@
 // api/analyze.js
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import fs from 'fs/promises';
-import path from 'path';
-import os from 'os';
-import AdmZip from 'adm-zip';
-import formidable from 'formidable';
+import { getProvider, listProviders } from '../lib/providers/index.js';
+import { filterFiles } from '../lib/files.js';
+import { analyzeFiles, estimateAnalysis } from '../lib/pipeline.js';
+import { openEventStream } from '../lib/sse.js';
+import { httpError } from '../lib/errors.js';
+import { firstField, firstFile, parseForm } from '../lib/upload.js';
+import { ARCHIVE_LABELS, detectArchiveType, isBinary, makeTempDir } from '../lib/archive.js';
+import { extractUpload, loadProjectConfig, readProjectFiles, readRankedProjectFiles } from '../lib/project.js';
+import { buildReviewFiles, isDiffUpload, readGitBundle } from '../lib/review.js';
+import { findProjectFile, PROJECT_CONFIG_FILE, resolveAnalysisConfig } from '../lib/profiles.js';
+import { BASELINE_FILE, mergeBaselines, parseBaseline } from '../lib/baseline.js';
+import { analysisCache } from '../lib/cache.js';
+import { flattenAnalysis, REPORT_FORMATS, renderReport, reportFileName } from '../lib/report.js';
+import { authenticate, readUserApiKey } from '../lib/auth.js';
+import { checkRateLimit, checkTokenQuota, meterProvider } from '../lib/usage.js';
+import { costOf, priceFor } from '../lib/pricing.js';
+import { buildResponse, toErrorResponse } from '../lib/response.js';
+import { enqueueJob } from '../lib/jobs.js';
+import { detectTestFramework, generateTests, testableFiles } from '../lib/testgen.js';
+import { runGeneratedTests } from '../lib/testRunner.js';
+import { TEST_FRAMEWORKS } from '../lib/testFrameworks.js';
 
 export const config = {
   api: {
@@ -13,257 +29,449 @@ export const config = {
   },
 };
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// Extracts an uploaded archive; the entries lib/archive.js refuses are reported with the skipped files.
+async function extractInputArchive(input, uploadedFile, type, cleanupPaths) {
+  const { rootDir, rejected } = await extractUpload(uploadedFile.filepath, type, cleanupPaths);
+  input.skippedFiles.push(...rejected);
+  return rootDir;
+}
 
-const parseForm = (req) => {
-  return new Promise((resolve, reject) => {
-    const form = formidable({
-      keepExtensions: true,
-      maxFileSize: 4.5 * 1024 * 1024, // 4.5MB max file size
-      uploadDir: os.tmpdir(),
-    });
+// `pinned` and `excluded` fields: JSON arrays of paths as listed by /api/files.
+function parsePathList(value, field) {
+  if (!value) return [];
+  let paths;
+  try {
+    paths = JSON.parse(value);
+  } catch {
+    paths = null;
+  }
+  if (!Array.isArray(paths) || !paths.every(item => typeof item === 'string')) {
+    throw httpError(400, `The "${field}" field must be a JSON array of file paths.`);
+  }
+  return paths;
+}
+
+// `findings` field for test generation: a JSON array of the issues to cover,
+// as the analysis returned them. A JSON body may send the array itself.
+function parseFindings(value) {
+  if (!value) return [];
+  let findings = value;
+  if (typeof value === 'string') {
+    try {
+      findings = JSON.parse(value);
+    } catch {
+      findings = null;
+    }
+  }
+  if (!Array.isArray(findings)) {
+    throw httpError(400, 'The "findings" field must be a JSON array of issues.');
+  }
+  return findings;
+}
+
+// `fresh` and `async` come as a JSON boolean, a form field or a query parameter.
+const isTruthy = (value) => value === true || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+// A single uploaded source file. Anything binary that is not a known archive is refused
+// rather than sent to the model as garbage.
+async function readUploadedText(uploadedFile) {
+  const buffer = await fs.readFile(uploadedFile.filepath);
+  if (isBinary(buffer)) {
+    throw httpError(400, `${uploadedFile.originalFilename || 'The upload'} is a binary file and not a supported archive (ZIP, tar, tar.gz or git bundle).`);
+  }
+  return buffer.toString('utf8');
+}
+
+// Adds the project's committed baseline, if `rootDir` has one, to the one sent with the request.
+async function loadProjectBaseline(input, rootDir) {
+  const found = await findProjectFile(rootDir, BASELINE_FILE);
+  if (!found) return;
+  console.log(`[api/analyze.js] Using ${found.basePath}${BASELINE_FILE}`);
+  input.baseline = mergeBaselines(input.baseline, parseBaseline(found.text));
+}
 
-    form.parse(req, (err, fields, files) => {
-      if (err) {
-        return reject(err);
+// Change review: only the files touched by the diff (or the bundle's last
+// change) are analyzed, and only around the changed lines. The optional
+// `codeFile` upload supplies the full files, before or after the change.
+async function collectReviewInput(input, { diffFile, uploadedFile, baseRef, profileName }, cleanupPaths) {
+  const diffName = diffFile.originalFilename || 'uploaded diff';
+  let review;
+  let config;
+
+  if (await detectArchiveType(diffFile.filepath) === 'git-bundle') {
+    console.log(`[api/analyze.js] Reading git bundle: ${diffName}`);
+    const cloneDir = await makeTempDir('bundle-clone-');
+    cleanupPaths.push(cloneDir);
+    const { diffText, newFiles, rejected } = await readGitBundle(diffFile.filepath, cloneDir, baseRef || undefined);
+    input.skippedFiles.push(...rejected);
+    input.projectDir = cloneDir;
+    config = await loadProjectConfig(cloneDir, profileName);
+    await loadProjectBaseline(input, cloneDir);
+    review = buildReviewFiles(diffText, { baseFiles: newFiles, filesAreNewSide: true, extensions: config.extensions });
+    input.analysisMessage = `Reviewing the changes in ${diffName} (${baseRef || 'HEAD~1'}..HEAD).`;
+  } else {
+    const diffText = await fs.readFile(diffFile.filepath, 'utf8');
+    const uploadType = uploadedFile && await detectArchiveType(uploadedFile.filepath);
+    let baseFiles = null;
+    if (uploadType) {
+      const rootDir = await extractInputArchive(input, uploadedFile, uploadType, cleanupPaths);
+      input.projectDir = rootDir;
+      config = await loadProjectConfig(rootDir, profileName);
+      await loadProjectBaseline(input, rootDir);
+      const { files } = await readProjectFiles(rootDir, config);
+      baseFiles = new Map(files.map(file => [file.relativePath, file.content]));
+    } else {
+      config = await loadProjectConfig(null, profileName);
+      if (uploadedFile) {
+        baseFiles = new Map([[uploadedFile.originalFilename, await readUploadedText(uploadedFile)]]);
       }
-      resolve({ fields, files });
+    }
+    review = buildReviewFiles(diffText, { baseFiles, extensions: config.extensions });
+    input.analysisMessage = uploadedFile
+      ? `Reviewing the changes in ${diffName} against ${uploadedFile.originalFilename}.`
+      : `Reviewing the changes in ${diffName} (diff hunks only).`;
+  }
+
+  const partialCount = review.files.filter(file => file.partial).length;
+  if (uploadedFile && partialCount > 0) {
+    input.analysisMessage += ` ${partialCount} changed file(s) did not match the upload and were reviewed from the diff alone.`;
+  }
+  input.codeFiles = filterFiles(review.files, { exclude: config.ignore, basePath: config.basePath });
+  input.skippedFiles.push(...review.skipped);
+  input.config = config;
+  return input;
+}
+
+// Reads the request into a list of { relativePath, content } files. Every
+// temporary path created along the way is pushed onto `cleanupPaths`.
+async function collectInput(req, cleanupPaths) {
+  const contentType = req.headers['content-type'];
+  const isFileUpload = contentType && contentType.includes('multipart/form-data');
+
+  if (!isFileUpload) {
+    const userCode = req.body.code;
+    if (!userCode || typeof userCode !== 'string' || userCode.trim() === '') {
+      throw httpError(400, 'No code content found for analysis.');
+    }
+    return {
+      codeFiles: [{ relativePath: null, content: userCode }],
+      skippedFiles: [],
+      analysisMessage: 'Analyzing pasted code.',
+      config: resolveAnalysisConfig({ profileName: req.body.profile }),
+      baseline: req.body.baseline ? parseBaseline(req.body.baseline) : null,
+      providerName: req.body.provider,
+      modelName: req.body.model,
+      reportFormat: req.body.format,
+      fresh: isTruthy(req.body.fresh),
+      async: isTruthy(req.body.async),
+      inputName: 'Pasted code',
+      projectDir: null,
+      tests: {
+        framework: req.body.framework,
+        findings: parseFindings(req.body.findings),
+        run: isTruthy(req.body.runTests),
+      },
+    };
+  }
+
+  console.log('[api/analyze.js] Handling file upload...');
+  const { fields, files } = await parseForm(req);
+  let uploadedFile = firstFile(files, 'codeFile');
+  let diffFile = firstFile(files, 'diffFile');
+  [uploadedFile, diffFile].forEach(file => file && cleanupPaths.push(file.filepath));
+
+  // A patch on its own may come in as the only upload.
+  if (!diffFile && uploadedFile && isDiffUpload(uploadedFile.originalFilename)) {
+    [diffFile, uploadedFile] = [uploadedFile, null];
+  }
+  if (!uploadedFile && !diffFile) {
+    throw httpError(400, 'No file uploaded.');
+  }
+
+  const originalFileName = uploadedFile?.originalFilename || 'uploaded_file';
+  const baselineField = firstField(fields.baseline);
+  const input = {
+    codeFiles: [],
+    skippedFiles: [],
+    analysisMessage: '',
+    providerName: firstField(fields.provider),
+    modelName: firstField(fields.model),
+    reportFormat: firstField(fields.format),
+    fresh: isTruthy(firstField(fields.fresh)),
+    async: isTruthy(firstField(fields.async)),
+    inputName: diffFile?.originalFilename || originalFileName,
+    // The extracted upload, for detecting the project's test framework.
+    projectDir: null,
+    tests: {
+      framework: firstField(fields.framework),
+      findings: parseFindings(firstField(fields.findings)),
+      run: isTruthy(firstField(fields.runTests)),
+    },
+    // Suppressions the client keeps for this project (see lib/baseline.js).
+    baseline: baselineField ? parseBaseline(baselineField) : null,
+  };
+  const profileName = firstField(fields.profile);
+
+  if (diffFile) {
+    return collectReviewInput(input, { diffFile, uploadedFile, baseRef: firstField(fields.baseRef), profileName }, cleanupPaths);
+  }
+
+  const archiveType = await detectArchiveType(uploadedFile.filepath);
+  if (archiveType) {
+    console.log(`[api/analyze.js] Processing ${ARCHIVE_LABELS[archiveType]}: ${originalFileName}`);
+    const rootDir = await extractInputArchive(input, uploadedFile, archiveType, cleanupPaths);
+    input.projectDir = rootDir;
+    input.config = await loadProjectConfig(rootDir, profileName);
+    await loadProjectBaseline(input, rootDir);
+
+    // Central, entry-point and security-relevant files first; the user's pins before everything
+    const { files: rankedFiles, skipped } = await readRankedProjectFiles(rootDir, input.config, {
+      pinned: parsePathList(firstField(fields.pinned), 'pinned'),
+      excluded: parsePathList(firstField(fields.excluded), 'excluded'),
     });
-  });
-};
+    input.codeFiles = rankedFiles;
+    input.skippedFiles.push(...skipped);
+    input.analysisMessage = `Analyzing codebase from ${ARCHIVE_LABELS[archiveType]}: ${originalFileName}.`;
+  } else {
+    const content = await readUploadedText(uploadedFile);
+    if (content.trim() === '') {
+      throw httpError(400, 'No code content found for analysis.');
+    }
+    input.codeFiles = [{ relativePath: originalFileName, content }];
+    input.analysisMessage = `Analyzing single file: ${originalFileName}.`;
+    input.config = resolveAnalysisConfig({ profileName });
+  }
 
-const SUPPORTED_EXTENSIONS = [
-  '.js', '.jsx', '.ts', '.tsx', '.html', '.css', '.py', '.java', '.cs',
-  '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.m', '.c', '.cpp', '.h', '.hpp'
-];
+  return input;
+}
 
-async function getCodeFilesFromDirectory(dirPath) {
-    let codeFiles = []; // Stores { fullPath, relativePath, size }
-    try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
-
-        for (const entry of entries) {
-            const fullPath = path.join(dirPath, entry.name);
-            const relativePath = path.relative(dirPath, fullPath); // Relative path from extraction root
-            if (entry.isFile()) {
-                if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
-                    const stats = await fs.stat(fullPath);
-                    codeFiles.push({ fullPath, relativePath, size: stats.size });
-                }
-            } else if (entry.isDirectory()) {
-                if (!['node_modules', 'dist', 'build', '.git', '.next', '.vercel', 'coverage', 'tmp', 'public', '.yarn', 'vendor'].includes(entry.name.toLowerCase())) {
-                    codeFiles = codeFiles.concat(await getCodeFilesFromDirectory(fullPath));
-                }
-            }
-        }
-    } catch (err) {
-        console.error(`Error reading directory ${dirPath}:`, err);
+// The `?estimate=1` response: what the analysis would send and roughly cost,
+// for the chosen provider and, at the same token counts, for every provider
+// the caller can use. Other providers may batch the files differently.
+function buildEstimate(input, provider, estimate) {
+  const { files, cached, batches, promptTokens, completionTokens } = estimate;
+  return {
+    provider: provider.name,
+    model: provider.model,
+    files,
+    cached,
+    skipped: [...input.skippedFiles, ...estimate.skipped],
+    batches,
+    promptTokens,
+    completionTokens,
+    cost: costOf(estimate, priceFor(provider.name, provider.model)),
+    costs: listProviders()
+      .filter(entry => entry.configured || entry.acceptsUserKey)
+      .map(entry => ({
+        provider: entry.name,
+        label: entry.label,
+        model: entry.defaultModel,
+        cost: costOf(estimate, priceFor(entry.name, entry.defaultModel)),
+      })),
+  };
+}
+
+// The `?tests=1` mode: new test files for the code and the findings sent with
+// it (lib/testgen.js), in the project's test framework unless the request
+// names one, optionally run in the sandbox (lib/testRunner.js).
+async function generateTestFiles(input, provider, signal) {
+  const detected = await detectTestFramework(input.projectDir, input.codeFiles);
+  const requested = input.tests.framework;
+  if (requested && !TEST_FRAMEWORKS[requested]) {
+    throw httpError(400, `Unknown test framework "${requested}". Use one of: ${Object.keys(TEST_FRAMEWORKS).join(', ')}.`);
+  }
+  if (!requested && !detected) {
+    throw httpError(400, 'No code in a language tests can be generated for was found.');
+  }
+  const framework = requested || detected.name;
+  const moduleType = detected?.moduleType || 'commonjs';
+  console.log(`[api/analyze.js] Generating ${TEST_FRAMEWORKS[framework].label} tests (${requested ? 'requested' : `detected from ${detected.detectedFrom}`})`);
+
+  const generated = await generateTests(provider, input.codeFiles, { framework, findings: input.tests.findings, signal });
+  const run = input.tests.run
+    ? await runGeneratedTests(testableFiles(input.codeFiles, TEST_FRAMEWORKS[framework].language), generated.files, { framework, moduleType, signal })
+    : null;
+
+  return {
+    framework: {
+      name: framework,
+      label: TEST_FRAMEWORKS[framework].label,
+      detectedFrom: requested ? 'request' : detected.detectedFrom,
+    },
+    files: generated.files,
+    notes: generated.notes,
+    sourceFiles: generated.sourceFiles.map(file => file.relativePath),
+    skipped: [...input.skippedFiles, ...generated.skipped],
+    run,
+    provider: provider.name,
+    model: provider.model,
+    usage: {
+      ...generated.usage,
+      totalTokens: generated.usage.promptTokens + generated.usage.completionTokens,
+      cost: costOf(generated.usage, priceFor(provider.name, provider.model)),
+    },
+  };
+}
+
+// Sends the response as a downloadable SARIF/JSON/Markdown/HTML report instead of the API payload.
+function sendReport(res, format, input, response) {
+  const content = renderReport(format, {
+    findings: response.parsed ? flattenAnalysis(response.analysis) : [],
+    message: response.message,
+    provider: response.provider,
+    model: response.model,
+    files: response.files,
+    input: { name: input.inputName },
+  });
+  res.setHeader('Content-Type', `${REPORT_FORMATS[format].mimeType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(input.inputName, format)}"`);
+  res.status(200).send(content);
+}
+
+async function cleanup(tempPath) {
+  try {
+    const stats = await fs.stat(tempPath);
+    if (stats.isDirectory()) {
+      await fs.rm(tempPath, { recursive: true, force: true });
+      console.log(`[api/analyze.js] Cleaned up temporary directory: ${tempPath}`);
+    } else if (stats.isFile()) {
+      await fs.unlink(tempPath);
+      console.log(`[api/analyze.js] Cleaned up temporary file: ${tempPath}`);
     }
-    return codeFiles;
+  } catch (cleanupError) {
+    if (cleanupError.code === 'ENOENT') return; // Never created, e.g. a failed bundle clone
+    console.error(`[api/analyze.js] Error during cleanup of ${tempPath}:`, cleanupError);
+  }
 }
 
 export default async function handler(req, res) {
 
   console.log('[api/analyze.js] Request received for AI analysis.');
-  console.log('[api/analyze.js] GEMINI_API_KEY loaded:', process.env.GEMINI_API_KEY ? 'Yes' : 'No/Empty');
 
   if (req.method !== 'POST') {
     res.setHeader('Allow', ['POST']);
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   }
 
-  let userCode = '';
-  let analysisMessage = '';
-  let tempCleanupPath = null;
+  // Clients ask for the streaming variant with `Accept: text/event-stream`.
+  const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+  const cleanupPaths = [];
+  let stream = null;
+  // The caller's own provider key: used for this request only and never logged.
+  const userKey = readUserApiKey(req);
+
+  // Stop calling the model as soon as the client goes away (e.g. the cancel button).
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log('[api/analyze.js] Client disconnected, aborting analysis.');
+      abortController.abort();
+    }
+  });
 
   try {
-    const contentType = req.headers['content-type'];
-    let isFileUpload = contentType && contentType.includes('multipart/form-data');
+    // Who pays: checked before the upload is even read.
+    const identity = authenticate(req);
+    // `?estimate=1` counts the tokens the analysis would use, before the user
+    // starts it. It never calls the model, so it has its own, higher limit.
+    const estimateOnly = isTruthy(req.query?.estimate);
+    checkRateLimit(identity, estimateOnly ? 'estimate' : 'model');
+    const input = await collectInput(req, cleanupPaths);
+    // `?fresh=1` (or a `fresh` field) skips cached results, e.g. to get a second opinion
+    const fresh = input.fresh || isTruthy(req.query?.fresh);
+
+    if (estimateOnly) {
+      const provider = getProvider(input.providerName, input.modelName, { userKey });
+      const estimate = estimateAnalysis(provider, input.codeFiles, {
+        config: input.config,
+        baseline: input.baseline,
+        cache: analysisCache,
+        fresh,
+      });
+      res.status(200).json(buildEstimate(input, provider, estimate));
+      return;
+    }
 
-    if (isFileUpload) {
-      console.log('[api/analyze.js] Handling file upload...');
-      const { files } = await parseForm(req);
-      const uploadedFile = files.codeFile ? (Array.isArray(files.codeFile) ? files.codeFile[0] : files.codeFile) : null;
+    // `?format=sarif|json|markdown|html` (or a `format` field) returns a report file; JSON mode only.
+    const reportFormat = req.query?.format || input.reportFormat;
+    if (reportFormat && !REPORT_FORMATS[reportFormat]) {
+      throw httpError(400, `Unknown report format "${reportFormat}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`);
+    }
+    if (!userKey) checkTokenQuota(identity);
+    const provider = meterProvider(getProvider(input.providerName, input.modelName, { userKey }), identity, { userKey: !!userKey });
 
-      if (!uploadedFile) {
-        return res.status(400).json({ error: 'No file uploaded.' });
+    // `?tests=1` generates test files instead of analyzing; JSON mode only.
+    if (isTruthy(req.query?.tests)) {
+      if (reportFormat || isTruthy(req.query?.async) || input.async) {
+        throw httpError(400, 'Test generation answers with JSON only. Request it without "format" or "async".');
       }
+      console.log(`[api/analyze.js] Using provider: ${provider.name} (${provider.model}) for ${identity.id} to generate tests`);
+      res.status(200).json(await generateTestFiles(input, provider, abortController.signal));
+      return;
+    }
 
-      tempCleanupPath = uploadedFile.filepath;
-      const originalFileName = uploadedFile.originalFilename || 'uploaded_file';
-      
-      if (originalFileName.toLowerCase().endsWith('.zip')) {
-        console.log(`[api/analyze.js] Processing ZIP file: ${originalFileName}`);
-        const zip = new AdmZip(uploadedFile.filepath);
-        const tempExtractionDir = path.join(os.tmpdir(), `zip-extract-${Date.now()}`);
-        await fs.mkdir(tempExtractionDir, { recursive: true });
-        zip.extractAllTo(tempExtractionDir, true);
-
-        tempCleanupPath = tempExtractionDir;
-
-        let allCodeFiles = await getCodeFilesFromDirectory(tempExtractionDir);
-
-        // --- NEW: Multi-File Analysis Strategy ---
-        const MAX_CONTEXT_LENGTH = 900 * 1024; // Roughly conservative token limit for Gemini-Pro-Flash, adjust based on actual usage/cost
-        let combinedCode = [];
-        let combinedCodeLength = 0;
-        let filesAnalyzedCount = 0;
-
-        // Sort files by size (largest first) to prioritize more substantial files
-        allCodeFiles.sort((a, b) => b.size - a.size);
-
-        for (const fileObj of allCodeFiles) {
-            const fileContent = await fs.readFile(fileObj.fullPath, 'utf8');
-            // Estimate token count: rough estimate 4 chars per token.
-            // Be very conservative as actual tokenization is complex.
-            const estimatedTokens = fileContent.length / 4;
-
-            if (combinedCodeLength + estimatedTokens < MAX_CONTEXT_LENGTH) {
-                // Add a header for each file to distinguish them in the prompt
-                combinedCode.push(`// --- Start of file: ${fileObj.relativePath} ---\n`);
-                combinedCode.push(fileContent);
-                combinedCode.push(`// --- End of file: ${fileObj.relativePath} ---\n\n`);
-                combinedCodeLength += estimatedTokens;
-                filesAnalyzedCount++;
-            } else {
-                console.warn(`[api/analyze.js] Skipping file due to context limit: ${fileObj.relativePath}`);
-                break; // Stop adding files if we hit the limit
-            }
-        }
-
-        if (filesAnalyzedCount > 0) {
-            userCode = combinedCode.join('\n');
-            analysisMessage = `Analyzing codebase from ZIP: ${originalFileName} (processed ${filesAnalyzedCount} key files).`;
-        } else {
-            analysisMessage = `No supported code files found in ZIP: ${originalFileName} or files too large for analysis.`;
-            userCode = `/* No supported code files (.js, .py, etc.) found in the uploaded ZIP archive or files exceed AI context limit.
-Please ensure your ZIP contains valid code files for analysis, or paste single file content. */`;
-        }
-
-      } else {
-        userCode = await fs.readFile(uploadedFile.filepath, 'utf8');
-        analysisMessage = `Analyzing single file: ${originalFileName}.`;
+    // `?async=1` (or an `async` field) queues a background job (lib/jobs.js)
+    // and answers right away; the client follows it at /api/jobs. An unknown
+    // provider or missing key has already failed above rather than in the job.
+    if (isTruthy(req.query?.async) || input.async) {
+      if (reportFormat) {
+        throw httpError(400, 'Background jobs do not render reports. Request the report without "async".');
       }
-    } else {
-      userCode = req.body.code;
-      analysisMessage = 'Analyzing pasted code.';
+      const job = await enqueueJob({ input: { ...input, fresh }, identity, userKey, provider });
+      res.setHeader('Location', `/api/jobs?id=${job.id}`);
+      res.status(202).json(job);
+      return;
     }
 
-    if (!userCode || typeof userCode !== 'string' || userCode.trim() === '') {
-      return res.status(400).json({ error: 'No code content found for analysis.' });
+    console.log(`[api/analyze.js] Using provider: ${provider.name} (${provider.model}) for ${identity.id}${userKey ? ' on the caller\'s own key' : ''}`);
+
+    let onEvent;
+    if (wantsStream) {
+      stream = openEventStream(res);
+      stream.send('extracted', {
+        message: input.analysisMessage,
+        fileCount: input.codeFiles.length,
+        skipped: input.skippedFiles,
+      });
+      onEvent = (event, data) => stream.send(event, data);
     }
 
-    // --- MODIFIED PROMPT FOR MULTI-FILE CONTEXT ---
-    // Emphasize that it's a codebase and to include filePath in output
-    const prompt = `You are an expert AI security auditor and code refactoring specialist for web development.
-You are analyzing a codebase, which may contain multiple files concatenated.
-Analyze the following code, identifying potential bugs, security vulnerabilities, and major improvements.
-For each item, specify the 'filePath' if it's explicitly identified in the code provided (e.g., '// --- Start of file: path/to/file.js ---'), otherwise use "N/A".
-Provide a concise explanation and, if applicable, a specific code fix.
-
-Your response MUST be a single, valid JSON object. Do NOT include any other text, markdown, or conversational elements outside the JSON.
-The JSON object MUST have the following structure:
-{
-  "bugs": [
-    { "message": "Short description of bug and its cause.", "line": "Line number or N/A", "severity": "high/medium/low", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A" } // filePath added
-  ],
-  "security_vulnerabilities": [
-    { "message": "Description of vulnerability and impact.", "line": "Line number or N/A", "severity": "critical/high/medium", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A" } // filePath added
-  ],
-  "improvements": [
-    { "message": "Description of improvement and why it's useful.", "line": "Line number or N/A", "severity": "medium/low", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A" } // filePath added
-  ],
-  "explanations": [
-    { "message": "Explanation of concept.", "line": "Line number or N/A", "severity": "info", "filePath": "path/to/file.js or N/A" } // filePath added
-  ]
-}
-
-Ensure all messages are concise and actionable. If no items fit a category, provide an empty array for that category.
-For line numbers, use "line": "15" or "line": "N/A" for general issues.
-The 'suggestedFix' should be a runnable code snippet if a direct fix is possible, otherwise "N/A".
-Prioritize critical security issues.
-
-Code to analyze:
-\`\`\`
-${userCode}
-\`\`\``;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let aiResponseText = response.text();
+    const result = await analyzeFiles(provider, input.codeFiles, {
+      signal: abortController.signal,
+      onEvent,
+      config: input.config,
+      baseline: input.baseline,
+      cache: analysisCache,
+      fresh,
+    });
+    const response = buildResponse(input, provider, result);
 
-    // --- Robust JSON Extraction (unchanged) ---
-    const jsonMatch = aiResponseText.match(/```json\s*(\{[\s\S]*?\})\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-        aiResponseText = jsonMatch[1];
+    if (stream) {
+      stream.send('done', response);
+    } else if (reportFormat) {
+      sendReport(res, reportFormat, input, response);
     } else {
-        const rawJsonMatch = aiResponseText.match(/(\{[\s\S]*?\})/);
-        if (rawJsonMatch && rawJsonMatch[1]) {
-            aiResponseText = rawJsonMatch[1];
-        }
+      res.status(200).json(response);
     }
 
-    let parsedAnalysis = {
-        bugs: [],
-        security_vulnerabilities: [],
-        improvements: [],
-        explanations: []
-    };
-    let parseSuccess = false;
-
-    try {
-        const tempParsed = JSON.parse(aiResponseText);
-        if (tempParsed.bugs && Array.isArray(tempParsed.bugs) &&
-            tempParsed.security_vulnerabilities && Array.isArray(tempParsed.security_vulnerabilities) &&
-            tempParsed.improvements && Array.isArray(tempParsed.improvements) &&
-            tempParsed.explanations && Array.isArray(tempParsed.explanations)) {
-            parsedAnalysis = tempParsed;
-            parseSuccess = true;
-        } else {
-            console.warn("AI returned JSON but not with the expected top-level keys. Falling back to raw text.");
-        }
-    } catch (parseError) {
-        console.error("Failed to parse AI response as JSON:", parseError);
-        console.error("Raw AI response leading to parse error:", aiResponseText);
-    }
-
-    res.status(200).json({
-      analysis: parsedAnalysis,
-      parsed: parseSuccess,
-      message: analysisMessage
-    });
-
   } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('[api/analyze.js] Analysis cancelled by the client.');
+      return;
+    }
     console.error('[api/analyze.js] Error in file processing or AI call:', error);
 
-    let errorMessage = 'Failed to analyze code due to an internal server error.';
-    if (error.message && error.message.includes("API key")) {
-        errorMessage = "Google AI API key is missing or invalid.";
-    } else if (error.message) {
-      errorMessage = error.message;
-    }
-    if (error.code === 'LIMIT_FILE_SIZE') {
-        errorMessage = `File too large. Maximum allowed is 4.5MB.`;
-        res.status(413).json({ error: errorMessage });
-        return;
+    const { status, error: errorMessage } = toErrorResponse(error, userKey);
+    if (stream) {
+      stream.send('error', { error: errorMessage });
+    } else {
+      if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+      res.status(status).json({ error: errorMessage });
     }
-
-    res.status(500).json({ error: errorMessage });
   } finally {
-    if (tempCleanupPath) {
-      try {
-        const stats = await fs.stat(tempCleanupPath);
-        if (stats.isDirectory()) {
-          await fs.rm(tempCleanupPath, { recursive: true, force: true });
-          console.log(`[api/analyze.js] Cleaned up temporary directory: ${tempCleanupPath}`);
-        } else if (stats.isFile()) {
-          await fs.unlink(tempCleanupPath);
-          console.log(`[api/analyze.js] Cleaned up temporary file: ${tempCleanupPath}`);
-        }
-      } catch (cleanupError) {
-        console.error(`[api/analyze.js] Error during cleanup of ${tempCleanupPath}:`, cleanupError);
-      }
+    stream?.close();
+    for (const tempPath of cleanupPaths) {
+      await cleanup(tempPath);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,85 @@
+// api/apply-fixes.js
+
+import fs from 'fs/promises';
+import { applyEdits, checkEdit, groupEditsByFile, normalizeEdits } from '../lib/fixes.js';
+import { httpError } from '../lib/errors.js';
+import { authenticate } from '../lib/auth.js';
+import { firstField, firstFile, parseForm } from '../lib/upload.js';
+import { openZip, readZipEntry, safeEntryPath } from '../lib/archive.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Rebuilds the uploaded ZIP with the accepted edits applied. Expects a
+// multipart body with the original archive as `codeFile` and the edits as a
+// JSON array in `edits`. Only the edited entries are decompressed, with the
+// same limits as an analyzed upload (lib/archive.js).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  let uploadedPath = null;
+
+  try {
+    authenticate(req);
+    const { fields, files } = await parseForm(req);
+    const uploadedFile = firstFile(files, 'codeFile');
+    if (!uploadedFile) {
+      throw httpError(400, 'No file uploaded.');
+    }
+    uploadedPath = uploadedFile.filepath;
+
+    let rawEdits;
+    try {
+      rawEdits = JSON.parse(firstField(fields.edits) || '[]');
+    } catch {
+      throw httpError(400, 'The "edits" field must be a JSON array.');
+    }
+    const edits = normalizeEdits(rawEdits);
+    if (edits.length === 0) {
+      throw httpError(400, 'No edits to apply.');
+    }
+
+    const zip = openZip(uploadedFile.filepath);
+    // Edits name files by the normalized path the analysis reported ("./src/a.js"
+    // and "src\a.js" are both "src/a.js"); the first of duplicates wins, as on extraction.
+    const entries = new Map();
+    for (const entry of zip.getEntries()) {
+      const entryPath = safeEntryPath(entry.entryName);
+      if (entryPath && !entries.has(entryPath)) entries.set(entryPath, entry);
+    }
+    for (const [filePath, fileEdits] of groupEditsByFile(edits)) {
+      const entry = entries.get(filePath);
+      const original = entry && !entry.isDirectory ? readZipEntry(entry).toString('utf8') : undefined;
+      const problem = fileEdits.map(edit => checkEdit(edit, original)).find(Boolean);
+      if (problem) {
+        throw httpError(400, problem);
+      }
+      try {
+        zip.updateFile(entry, Buffer.from(applyEdits(original, fileEdits), 'utf8'));
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+    }
+
+    const originalName = (uploadedFile.originalFilename || 'codebase.zip').replace(/\.zip$/i, '').replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${originalName}-fixed.zip"`);
+    res.status(200).end(zip.toBuffer());
+  } catch (error) {
+    console.error('[api/apply-fixes.js] Failed to apply fixes:', error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large. Maximum allowed is 4.5MB.` });
+    }
+    res.status(error.status || 500).json({ error: error.message || 'Failed to apply fixes.' });
+  } finally {
+    if (uploadedPath) {
+      await fs.unlink(uploadedPath).catch(cleanupError => console.error(`[api/apply-fixes.js] Error during cleanup of ${uploadedPath}:`, cleanupError));
+    }
+  }
+}
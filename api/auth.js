@@ -0,0 +1,39 @@
+// api/auth.js
+
+import { authenticate, clientIp, isAuthEnabled, login, logoutCookie } from '../lib/auth.js';
+import { checkLoginRateLimit } from '../lib/usage.js';
+
+// Sign-in for the web client (lib/auth.js).
+//   GET    answers { authEnabled, user: { kind, name } | null }.
+//   POST   { name, password } signs in with a session cookie; answers { user }.
+//   DELETE signs out.
+export default function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      res.setHeader('Set-Cookie', logoutCookie(req));
+      return res.status(204).end();
+    }
+
+    if (req.method === 'POST') {
+      checkLoginRateLimit(clientIp(req));
+      const { name, password } = req.body || {};
+      res.setHeader('Set-Cookie', login(req, name, password));
+      console.log(`[api/auth.js] ${name} signed in.`);
+      return res.status(200).json({ user: { kind: 'user', name } });
+    }
+
+    const identity = authenticate(req, { optional: true });
+    res.status(200).json({
+      authEnabled: isAuthEnabled(),
+      user: identity.kind === 'anonymous' ? null : { kind: identity.kind, name: identity.name },
+    });
+  } catch (error) {
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message || 'The sign-in failed.' });
+  }
+}
@@ -0,0 +1,67 @@
+// api/chat.js
+
+import { errorStatus } from '../lib/errors.js';
+import { getProvider } from '../lib/providers/index.js';
+import { askChat, createChatSession, deleteChatSession, getChatSession, promoteFix } from '../lib/chat.js';
+import { authenticate, readUserApiKey } from '../lib/auth.js';
+import { checkRateLimit, checkTokenQuota, meterProvider } from '../lib/usage.js';
+
+// Follow-up questions about one finding (lib/chat.js).
+//   POST   { finding, files: [{ path, content }], provider?, model?, message } starts a session;
+//   POST   { sessionId, message } continues it. Both answer { sessionId, reply, fix }.
+//   PATCH  { sessionId, suggestedFix } makes a refined fix the finding's suggested fix.
+//   DELETE ?sessionId= ends the session.
+// Sessions belong to the caller that started them (lib/auth.js).
+export default async function handler(req, res) {
+  if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['POST', 'PATCH', 'DELETE']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  // Stop waiting for the model when the client goes away.
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+
+  // The caller's own provider key is sent with every question and never stored or logged.
+  const userKey = readUserApiKey(req);
+
+  try {
+    const body = req.body || {};
+    const identity = authenticate(req);
+
+    if (req.method === 'DELETE') {
+      deleteChatSession(req.query?.sessionId || body.sessionId, identity.id);
+      return res.status(204).end();
+    }
+
+    if (req.method === 'PATCH') {
+      const finding = promoteFix(getChatSession(body.sessionId, identity.id), body.suggestedFix);
+      return res.status(200).json({ sessionId: body.sessionId, finding });
+    }
+
+    checkRateLimit(identity);
+    if (!userKey) checkTokenQuota(identity);
+    const existing = body.sessionId ? getChatSession(body.sessionId, identity.id) : null;
+    const resolved = existing ? getProvider(existing.providerName, existing.modelName, { userKey }) : getProvider(body.provider, body.model, { userKey });
+    const provider = meterProvider(resolved, identity, { userKey: !!userKey });
+    const session = existing || createChatSession({ finding: body.finding, files: body.files, providerName: body.provider, modelName: body.model, ownerId: identity.id });
+    console.log(`[api/chat.js] Turn ${session.messages.length / 2 + 1} of session ${session.id} with ${provider.name} (${provider.model})${userKey ? ' on the caller\'s own key' : ''}`);
+    const { reply, fix } = await askChat(provider, session, body.message, { signal: abortController.signal });
+
+    res.status(200).json({ sessionId: session.id, reply, fix });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('[api/chat.js] Chat request cancelled by the client.');
+      return;
+    }
+    console.error('[api/chat.js] Chat request failed:', error);
+    let message = error.message || 'The chat request failed.';
+    if (error.message?.includes('API key')) {
+      message = userKey ? 'The provider rejected your API key.' : 'The LLM provider API key is missing or invalid.';
+    }
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(errorStatus(error)).json({ error: message });
+  }
+}
@@ -0,0 +1,64 @@
+// api/files.js
+
+import fs from 'fs/promises';
+import { httpError } from '../lib/errors.js';
+import { authenticate } from '../lib/auth.js';
+import { checkRateLimit } from '../lib/usage.js';
+import { firstField, firstFile, parseForm } from '../lib/upload.js';
+import { detectArchiveType } from '../lib/archive.js';
+import { extractUpload, loadProjectConfig, readRankedProjectFiles } from '../lib/project.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Lists the code files of an uploaded archive in analysis order, before any
+// model call, so the user can pin or exclude files. Expects the same
+// multipart `codeFile` (and optional `profile`) as /api/analyze. Returns
+// { files: [{ path, size, score, reasons, pinned }], skipped: [{ path, reason }] }.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const cleanupPaths = [];
+  try {
+    // Extracting and ranking an archive is real work even without a model call.
+    checkRateLimit(authenticate(req), 'files');
+    const { fields, files } = await parseForm(req);
+    const uploadedFile = firstFile(files, 'codeFile');
+    if (!uploadedFile) {
+      throw httpError(400, 'No file uploaded.');
+    }
+    cleanupPaths.push(uploadedFile.filepath);
+
+    const archiveType = await detectArchiveType(uploadedFile.filepath);
+    if (!archiveType) {
+      throw httpError(400, 'Only archives (ZIP, tar, tar.gz or git bundle) contain several files to choose from.');
+    }
+    const { rootDir, rejected } = await extractUpload(uploadedFile.filepath, archiveType, cleanupPaths);
+    const analysisConfig = await loadProjectConfig(rootDir, firstField(fields.profile));
+    const ranked = await readRankedProjectFiles(rootDir, analysisConfig);
+    const sizes = new Map(ranked.files.map(file => [file.relativePath, file.content.length]));
+
+    res.status(200).json({
+      files: ranked.ranking.map(item => ({ ...item, size: sizes.get(item.path) })),
+      skipped: [...rejected, ...ranked.skipped],
+    });
+  } catch (error) {
+    console.error('[api/files.js] Failed to list the uploaded files:', error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large. Maximum allowed is 4.5MB.` });
+    }
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message || 'Failed to list the uploaded files.' });
+  } finally {
+    for (const tempPath of cleanupPaths) {
+      await fs.rm(tempPath, { recursive: true, force: true })
+        .catch(cleanupError => console.error(`[api/files.js] Error during cleanup of ${tempPath}:`, cleanupError));
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// api/jobs.js
+
+import { authenticate } from '../lib/auth.js';
+import { cancelJob, getJob, listJobs } from '../lib/jobs.js';
+
+// Background analyses queued with /api/analyze?async=1 (lib/jobs.js).
+//   GET    ?id= answers the job: status, progress, the findings so far in
+//          `partial.analysis` and, once completed, the full response in `result`;
+//   GET    without an ID lists the caller's jobs;
+//   DELETE ?id= cancels a queued or running job.
+// Jobs belong to the caller that queued them (lib/auth.js).
+export default async function handler(req, res) {
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'DELETE']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const identity = authenticate(req);
+    const id = req.query?.id;
+
+    if (req.method === 'DELETE') {
+      const job = await cancelJob(id, identity.id);
+      console.log(`[api/jobs.js] Cancelled job ${id} for ${identity.id}`);
+      return res.status(200).json(job);
+    }
+
+    res.status(200).json(id ? await getJob(id, identity.id) : { jobs: await listJobs(identity.id) });
+  } catch (error) {
+    if (!error.status) console.error('[api/jobs.js] Job request failed:', error);
+    res.status(error.status || 500).json({ error: error.message || 'The job request failed.' });
+  }
+}
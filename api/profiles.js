@@ -0,0 +1,15 @@
+// api/profiles.js
+
+import { DEFAULT_PROFILE, listProfiles } from '../lib/profiles.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  res.status(200).json({
+    defaultProfile: DEFAULT_PROFILE,
+    profiles: listProfiles(),
+  });
+}
@@ -0,0 +1,15 @@
+// api/providers.js
+
+import { getDefaultProviderName, listProviders } from '../lib/providers/index.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  res.status(200).json({
+    defaultProvider: getDefaultProviderName(),
+    providers: listProviders(),
+  });
+}
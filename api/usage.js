@@ -0,0 +1,23 @@
+// api/usage.js
+
+import { authenticate } from '../lib/auth.js';
+import { getUsage } from '../lib/usage.js';
+
+// The caller's own counters for today (lib/usage.js): requests, tokens on the
+// server's keys and on their own key, and the limits that apply to them.
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const identity = authenticate(req);
+    res.status(200).json({
+      user: identity.kind === 'anonymous' ? null : { kind: identity.kind, name: identity.name },
+      ...getUsage(identity),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message || 'Failed to load the usage counters.' });
+  }
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// bin/alchemist.js
+
+// Command-line client: runs the same pipeline as /api/analyze on local files,
+// for pre-commit hooks and CI. Exit codes: 0 = ok, 1 = findings at or above
+// --fail-on, 2 = usage or analysis error, including an analysis the model
+// did not complete (unless --allow-partial).
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { getProvider } from '../lib/providers/index.js';
+import { filterFiles, getCodeFilesFromDirectory, readCodeFiles } from '../lib/files.js';
+import { analyzeFiles } from '../lib/pipeline.js';
+import { flattenAnalysis, renderReport } from '../lib/report.js';
+import { SEVERITIES } from '../lib/schema.js';
+import { parseProjectConfig, PROJECT_CONFIG_FILE, resolveAnalysisConfig } from '../lib/profiles.js';
+import { rankFiles } from '../lib/ranking.js';
+import { addSuppressions, BASELINE_FILE, countSuppressed, emptyBaseline, parseBaseline, serializeBaseline } from '../lib/baseline.js';
+import { hashPassword } from '../lib/auth.js';
+import { costOf, priceFor } from '../lib/pricing.js';
+
+const USAGE = `Usage: alchemist analyze <path...> [options]
+       alchemist hash-password
+       alchemist worker
+
+Analyzes files and directories with the configured LLM provider (see README).
+hash-password prints a password read from stdin in the form AUTH_USERS expects.
+worker runs the server's background jobs; it needs JOB_STORE=file.
+
+Options:
+  -f, --format <sarif|json|md|html>  Report format (default: md)
+  -o, --output <file>                Write the report to a file instead of stdout
+      --fail-on <severity>           Exit with code 1 if a finding is at least this
+                                     severe (critical, high, medium, low, info)
+  -i, --include <glob>               Only analyze matching paths (repeatable)
+  -e, --exclude <glob>               Skip matching paths (repeatable)
+  -P, --profile <name>               Analysis profile: default, security-only,
+                                     performance, accessibility, react-best-practices
+  -c, --config <file>                Project config (default: ./${PROJECT_CONFIG_FILE} if present)
+  -b, --baseline <file>              Suppress the findings recorded in this baseline
+                                     (default: ./${BASELINE_FILE} if present)
+      --update-baseline              Add every reported finding to the baseline file
+                                     as "wont-fix" and exit with code 0
+      --allow-partial                Apply --fail-on to what was analyzed when model
+                                     calls fail or files are left out, instead of
+                                     exiting with code 2
+  -p, --provider <name>              LLM provider (default: LLM_PROVIDER or gemini)
+  -m, --model <name>                 Model name for the provider
+  -v, --verbose                      Print pipeline logs to stderr
+  -h, --help                         Show this help`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'md' },
+  output: { type: 'string', short: 'o' },
+  'fail-on': { type: 'string' },
+  include: { type: 'string', short: 'i', multiple: true, default: [] },
+  exclude: { type: 'string', short: 'e', multiple: true, default: [] },
+  profile: { type: 'string', short: 'P' },
+  config: { type: 'string', short: 'c' },
+  baseline: { type: 'string', short: 'b' },
+  'update-baseline': { type: 'boolean', default: false },
+  'allow-partial': { type: 'boolean', default: false },
+  provider: { type: 'string', short: 'p' },
+  model: { type: 'string', short: 'm' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const FORMAT_ALIASES = { md: 'markdown', markdown: 'markdown', sarif: 'sarif', json: 'json', html: 'html' };
+
+// Errors caused by how the command was called; they get a pointer to --help.
+const usageError = (message) => Object.assign(new Error(message), { isUsageError: true });
+
+// Paths are reported relative to the working directory, so SARIF locations
+// line up with the repository root when run from there.
+async function discoverFiles(targets, extensions) {
+  const cwd = process.cwd();
+  const fileObjs = [];
+  for (const target of targets) {
+    const fullPath = path.resolve(target);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) throw usageError(`No such file or directory: ${target}`);
+    if (stats.isDirectory()) {
+      fileObjs.push(...await getCodeFilesFromDirectory(fullPath, cwd, { extensions }));
+    } else if (extensions.includes(path.extname(fullPath).toLowerCase())) {
+      fileObjs.push({ fullPath, relativePath: path.relative(cwd, fullPath).split(path.sep).join('/'), size: stats.size });
+    }
+  }
+  // The same file may be reachable from several targets.
+  return [...new Map(fileObjs.map(fileObj => [fileObj.fullPath, fileObj])).values()];
+}
+
+// An explicit --config must exist; the default one is optional.
+async function loadConfig(values) {
+  const configPath = values.config || PROJECT_CONFIG_FILE;
+  let text = null;
+  try {
+    text = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (values.config) throw usageError(`Cannot read config ${configPath}: ${error.message}`);
+  }
+  try {
+    return resolveAnalysisConfig({ profileName: values.profile, projectConfig: text === null ? null : parseProjectConfig(text) });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+// Like the config, an explicit --baseline must exist; --update-baseline may create it.
+async function loadBaseline(values) {
+  const baselinePath = values.baseline || BASELINE_FILE;
+  let text;
+  try {
+    text = await fs.readFile(baselinePath, 'utf8');
+  } catch (error) {
+    if (values.baseline && !values['update-baseline']) throw usageError(`Cannot read baseline ${baselinePath}: ${error.message}`);
+    return { baselinePath, baseline: null };
+  }
+  try {
+    return { baselinePath, baseline: parseBaseline(text) };
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+function incompleteExit() {
+  console.error('Exiting with code 2; pass --allow-partial to accept an incomplete analysis.');
+  return 2;
+}
+
+function logProgress(event, data) {
+  if (event === 'planned') console.error(`Analyzing ${data.totalFiles} file(s) in ${data.totalBatches} batch(es)...`);
+  if (event === 'batch-result') console.error(`  batch ${data.batch}/${data.totalBatches} done`);
+  if (event === 'batch-error') console.error(`  batch ${data.batch}/${data.totalBatches} failed: ${data.error}`);
+}
+
+async function analyzeCommand(targets, values) {
+  const format = FORMAT_ALIASES[values.format];
+  if (!format) throw usageError(`Unknown format "${values.format}". Use sarif, json, md or html.`);
+  const failOn = values['fail-on'];
+  if (failOn && !SEVERITIES.includes(failOn)) {
+    throw usageError(`Unknown severity "${failOn}". Use one of: ${SEVERITIES.join(', ')}.`);
+  }
+  if (targets.length === 0) throw usageError('Pass at least one file or directory to analyze.');
+
+  const config = await loadConfig(values);
+  const { baselinePath, baseline } = await loadBaseline(values);
+  const discovered = filterFiles(await discoverFiles(targets, config.extensions), {
+    include: values.include,
+    exclude: [...config.ignore, ...values.exclude],
+  });
+  const read = await readCodeFiles(discovered);
+  // Most relevant first: only a limited number of batches is analyzed
+  const ranked = rankFiles(read.files);
+  const { files } = ranked;
+  const skipped = [...read.skipped, ...ranked.skipped];
+  if (files.length === 0) throw new Error('No supported code files matched.');
+
+  const provider = getProvider(values.provider, values.model);
+  console.error(`Using ${provider.name} (${provider.model}).`);
+
+  const result = await analyzeFiles(provider, files, { onEvent: logProgress, config, baseline });
+  if (!result.parsed) {
+    throw new Error(`The model response could not be parsed:\n${result.analysis}`);
+  }
+  // Whatever the model did not look at must not pass a CI gate unnoticed.
+  const gaps = [];
+  if (result.aiError) gaps.push(`the AI analysis failed (${result.aiError}); only static findings are reported`);
+  else if (result.failedBatches > 0) gaps.push(`${result.failedBatches} of ${result.batchCount} batch(es) failed`);
+  if (result.droppedFiles.length > 0) gaps.push(`${result.droppedFiles.length} file(s) were not sent to the model (too large or past the batch limit)`);
+  const incomplete = gaps.length > 0 && !values['allow-partial'];
+  if (gaps.length > 0) console.error(`Incomplete analysis: ${gaps.join('; ')}.`);
+  if (result.usage.calls > 0) {
+    const cost = costOf(result.usage, priceFor(provider.name, provider.model));
+    console.error(`Used ${result.usage.promptTokens} prompt and ${result.usage.completionTokens} completion tokens${cost === null ? '' : ` (about $${cost.toFixed(4)})`}.`);
+  }
+
+  const findings = flattenAnalysis(result.analysis);
+  const suppressed = countSuppressed(result.suppressed);
+  const suppressedMessage = suppressed.total > 0
+    ? `Suppressed ${suppressed.total} known finding(s) (${suppressed.baseline} by the baseline, ${suppressed.inline} by alchemist-ignore comments).`
+    : undefined;
+  if (suppressedMessage) console.error(suppressedMessage);
+
+  if (values['update-baseline']) {
+    await fs.writeFile(baselinePath, serializeBaseline(addSuppressions(baseline || emptyBaseline(), findings, 'wont-fix')));
+    console.error(`Recorded ${findings.length} finding(s) in ${baselinePath}`);
+    return incomplete ? incompleteExit() : 0;
+  }
+
+  const report = renderReport(format, {
+    findings,
+    message: suppressedMessage,
+    provider: provider.name,
+    model: provider.model,
+    files: { ...result.files, skipped: [...skipped, ...result.files.skipped] },
+    input: { name: targets.join(', ') },
+  });
+
+  if (values.output) {
+    await fs.writeFile(values.output, report);
+    console.error(`Wrote ${values.output}`);
+  } else {
+    process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+  }
+
+  if (incomplete) return incompleteExit();
+  if (!failOn) return 0;
+  const threshold = SEVERITIES.indexOf(failOn);
+  const failing = findings.filter(finding => SEVERITIES.indexOf(finding.severity) <= threshold);
+  if (failing.length > 0) {
+    console.error(`${failing.length} finding(s) at or above "${failOn}".`);
+    return 1;
+  }
+  return 0;
+}
+
+// Reads the password from stdin so it stays out of the shell history.
+async function hashPasswordCommand() {
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  const password = input.replace(/\r?\n$/, '');
+  if (!password) throw usageError('Pipe the password into "alchemist hash-password".');
+  console.log(hashPassword(password));
+  return 0;
+}
+
+// Polls for queued jobs between runs.
+const WORKER_POLL_MS = 2000;
+
+// Runs the background jobs the server queues in the file job store, until
+// stopped. A job it was running then is queued again once its heartbeat goes stale.
+async function workerCommand() {
+  // Imported here so a bad JOB_STORE only affects this command.
+  const { jobStore, startWorkers } = await import('../lib/jobs.js');
+  if (jobStore.kind !== 'file') throw usageError('Set JOB_STORE=file (and the server\'s JOB_DIR) so the worker shares the server\'s queue.');
+  console.error(`Waiting for jobs in ${jobStore.dir}...`);
+  for (;;) {
+    await startWorkers({ dedicated: true });
+    await new Promise(resolve => setTimeout(resolve, WORKER_POLL_MS));
+  }
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...targets] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (command === 'hash-password') return hashPasswordCommand();
+  if (command === 'worker') return workerCommand();
+  if (command !== 'analyze') throw usageError(`Unknown command "${command}".`);
+
+  // The pipeline logs to stdout; keep stdout for the report.
+  const log = console.log;
+  console.log = values.verbose ? console.error : () => {};
+  try {
+    return await analyzeCommand(targets, values);
+  } finally {
+    console.log = log;
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`alchemist: ${error.message}`);
+    if (error.isUsageError) console.error('Run "alchemist --help" for usage.');
+    process.exitCode = 2;
+  });
@@ -0,0 +1,143 @@
+// lib/analysis.js
+
+import { ANALYSIS_CATEGORIES, REPORT_CATEGORIES, extractJson, validateAnalysis } from './schema.js';
+import { REDACTION_PREFIX } from './secrets.js';
+import { REVIEW_EXCERPT_HEADER } from './diff.js';
+import { addCallUsage, emptyUsage } from './tokens.js';
+import { integerSetting } from './env.js';
+
+// Single-prompt analysis: builds the auditor prompt for a chunk of code, sends
+// it to the provider and validates the reply against the findings schema,
+// asking the model to repair invalid output a bounded number of times.
+
+export { ANALYSIS_CATEGORIES, REPORT_CATEGORIES };
+
+export const emptyAnalysis = () => Object.fromEntries(REPORT_CATEGORIES.map(category => [category, []]));
+
+// How many times an invalid response is sent back to the model for repair.
+export const MAX_REPAIR_ATTEMPTS = integerSetting('ANALYSIS_REPAIR_ATTEMPTS', 2);
+
+// The response contract, shared by the analysis prompt and the repair prompt.
+const RESPONSE_FORMAT = `Your response MUST be a single, valid JSON object. Do NOT include any other text, markdown, or conversational elements outside the JSON.
+The JSON object MUST have the following structure:
+{
+"bugs": [
+  { "message": "Short description of bug and its cause.", "line": "Line number or N/A", "code": "The first flagged line, copied exactly, or N/A", "severity": "high/medium/low", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A", "edits": [ { "filePath": "path/to/file.js", "startLine": 12, "endLine": 14, "replacement": "Code replacing lines 12-14" } ] }
+],
+"security_vulnerabilities": [
+  { "message": "Description of vulnerability and impact.", "line": "Line number or N/A", "code": "The first flagged line, copied exactly, or N/A", "severity": "critical/high/medium", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A", "edits": [ { "filePath": "path/to/file.js", "startLine": 12, "endLine": 14, "replacement": "Code replacing lines 12-14" } ] }
+],
+"improvements": [
+  { "message": "Description of improvement and why it's useful.", "line": "Line number or N/A", "code": "The first flagged line, copied exactly, or N/A", "severity": "medium/low", "suggestedFix": "Code snippet of the fix or N/A", "filePath": "path/to/file.js or N/A", "edits": [ { "filePath": "path/to/file.js", "startLine": 12, "endLine": 14, "replacement": "Code replacing lines 12-14" } ] }
+],
+"explanations": [
+  { "message": "Explanation of concept.", "line": "Line number or N/A", "severity": "info", "filePath": "path/to/file.js or N/A" }
+]
+}
+
+Ensure all messages are concise and actionable. If no items fit a category, provide an empty array for that category.
+For line numbers, use "line": "15" for a single line, "line": "12-14" for a range, or "line": "N/A" for general issues. Every line of the code starts with its line number and " | "; use those numbers, never count lines yourself.
+The 'code' field is the first line of the reported range, copied exactly from the code without its number prefix. It is checked against the file, and findings whose code is not on the reported lines are marked as unverified.
+The 'suggestedFix' should be a runnable code snippet if a direct fix is possible, otherwise "N/A".
+When a fix can be applied mechanically, also provide it as 'edits': each edit replaces the whole lines 'startLine' through 'endLine' (the line numbers shown in that file, inclusive) with 'replacement', keeping the original indentation and without number prefixes. An empty 'replacement' deletes the lines. Use "edits": [] when the fix cannot be expressed this way.`;
+
+// Profile and project-config instructions (see lib/profiles.js).
+function buildFocusSection(config) {
+  if (!config) return '';
+  const parts = [];
+  const categories = ANALYSIS_CATEGORIES.filter(category => config.categories.includes(category));
+  if (categories.length < ANALYSIS_CATEGORIES.length) {
+    parts.push(`Only report findings in these categories: ${categories.join(', ') || 'none'}. Return an empty array for every other category.`);
+  }
+  if (config.instructions) parts.push(config.instructions);
+  if (config.minSeverity && config.minSeverity !== 'info') {
+    parts.push(`Skip anything less severe than "${config.minSeverity}".`);
+  }
+  if (config.rules.length > 0) {
+    parts.push(`The team has these project rules. Check the code against each one and report every violation in the enabled category that fits best, naming the rule in the message:\n${config.rules.map(rule => `- ${rule}`).join('\n')}`);
+  }
+  return parts.length > 0 ? `\n${parts.join('\n')}\n` : '';
+}
+
+// `staticFindings` is the pre-formatted list from lib/staticAnalysis.js, if any;
+// `config` is the resolved profile from lib/profiles.js.
+export function buildPrompt(userCode, { staticFindings = '', config = null } = {}) {
+  const staticContext = staticFindings
+    ? `\nA deterministic static analyzer has already reported the findings below. Do NOT repeat them; focus on issues it cannot detect (logic errors, data flow, design problems).\n${staticFindings}\n`
+    : '';
+  const redactionNote = userCode.includes(REDACTION_PREFIX)
+    ? `\nValues shown as ${REDACTION_PREFIX}...] are secrets that were removed before analysis and are already reported. Do NOT report them again and never put them in a fix.\n`
+    : '';
+  const reviewNote = userCode.includes(REVIEW_EXCERPT_HEADER)
+    ? `\nThis is a review of a change. Files marked "${REVIEW_EXCERPT_HEADER}" show only the regions around the change: every line starts with its line number in the changed file and a " | " separator, and added or modified lines start with ">". Report only issues in, or caused by, the ">" lines, use the line numbers shown, and never copy the number prefixes into a fix.\n`
+    : '';
+
+  // --- MODIFIED PROMPT FOR MULTI-FILE CONTEXT ---
+  // Emphasize that it's a codebase and to include filePath in output
+  return `You are an expert AI security auditor and code refactoring specialist for web development.
+You are analyzing a codebase, which may contain multiple files concatenated.
+Analyze the following code, identifying potential bugs, security vulnerabilities, and major improvements.
+For each item, specify the 'filePath' if it's explicitly identified in the code provided (e.g., '// --- Start of file F1: path/to/file.js ---' gives "path/to/file.js", and the file ID "F1" is accepted as well), otherwise use "N/A".
+Provide a concise explanation and, if applicable, a specific code fix.
+
+${RESPONSE_FORMAT}
+Prioritize critical security issues.
+${buildFocusSection(config)}${staticContext}${redactionNote}${reviewNote}
+Code to analyze:
+\`\`\`
+${userCode}
+\`\`\``;
+}
+
+export function buildRepairPrompt(previousResponse, errors) {
+  return `Your previous response did not match the required JSON format.
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Your previous response:
+\`\`\`
+${previousResponse}
+\`\`\`
+
+Return the corrected analysis. Keep the same findings, only fix the format.
+${RESPONSE_FORMAT}`;
+}
+
+// Returns { analysis, parsed: true } for a valid response, or { parsed: false, errors }.
+export function parseAnalysisResponse(responseText) {
+  const data = extractJson(responseText);
+  if (data === null) {
+    return { analysis: null, parsed: false, errors: ['The response does not contain a valid JSON object.'] };
+  }
+
+  const { valid, errors, analysis } = validateAnalysis(data);
+  return valid
+    ? { analysis, parsed: true, errors: [] }
+    : { analysis: null, parsed: false, errors };
+}
+
+// Returns { analysis, parsed, rawText, errors, attempts, usage }. When every
+// attempt fails validation, `rawText` is the model's last reply, untouched.
+// `usage` adds up the tokens of every attempt (see lib/tokens.js).
+export async function analyzeCode(provider, userCode, { signal, staticFindings, config } = {}) {
+  let prompt = buildPrompt(userCode, { staticFindings, config });
+  let generation;
+  let errors = [];
+  const usage = emptyUsage();
+
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    generation = await provider.generate(prompt, { signal });
+    addCallUsage(usage, prompt, generation);
+    const result = parseAnalysisResponse(generation.text);
+    if (result.parsed) {
+      return { analysis: result.analysis, parsed: true, rawText: generation.text, errors: [], attempts: attempt, usage };
+    }
+
+    errors = result.errors;
+    console.warn(`[analysis] Attempt ${attempt} returned invalid JSON (${errors.length} problems): ${errors.slice(0, 5).join(' ')}`);
+    prompt = buildRepairPrompt(generation.text, errors);
+  }
+
+  return { analysis: null, parsed: false, rawText: generation.text, errors, attempts: MAX_REPAIR_ATTEMPTS + 1, usage };
+}
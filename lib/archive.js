@@ -0,0 +1,408 @@
+// lib/archive.js
+
+// Safe extraction of uploaded archives: ZIP, tar, gzipped tar and git bundles,
+// recognized by their content rather than their name. Uploads are untrusted,
+// so every entry path is checked for traversal, sizes are capped on the bytes
+// actually decompressed (headers can lie), and symlinks, encrypted and binary
+// entries are skipped. Rejected entries are returned with a reason so the
+// response can list them next to the other skipped files.
+
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import AdmZip from 'adm-zip';
+import tar from 'tar-stream';
+import { httpError } from './errors.js';
+
+const execFileAsync = promisify(execFile);
+
+export const ARCHIVE_LIMITS = {
+  maxEntries: Number(process.env.ARCHIVE_MAX_ENTRIES ?? 5000),
+  maxTotalBytes: Number(process.env.ARCHIVE_MAX_TOTAL_BYTES ?? 50 * 1024 * 1024),
+  maxCompressionRatio: Number(process.env.ARCHIVE_MAX_COMPRESSION_RATIO ?? 100),
+};
+
+// Small files of repeated characters compress extremely well; only larger entries are ratio-checked.
+const RATIO_CHECK_MIN_BYTES = 64 * 1024;
+
+// Same heuristic as git: a NUL byte near the start means binary.
+const BINARY_SNIFF_BYTES = 8000;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const GIT_TIMEOUT_MS = 60 * 1000;
+const GIT_MAX_BUFFER = 20 * 1024 * 1024;
+const GIT_SYMLINK_MODE = '120000';
+
+const UNSAFE_PATH = 'Unsafe path (absolute or outside the archive).';
+
+const toMegabytes = (bytes) => Math.round(bytes / (1024 * 1024));
+
+const sizeLimitReason = (limits) => `Extracting it would exceed the ${toMegabytes(limits.maxTotalBytes)}MB limit for the whole archive.`;
+
+export const ARCHIVE_LABELS = { zip: 'ZIP', tar: 'tarball', 'tar.gz': 'gzipped tarball', 'git-bundle': 'git bundle' };
+
+// Identifies an upload by its first bytes: "zip", "tar", "tar.gz",
+// "git-bundle", or null for anything else (e.g. a single source file).
+export async function detectArchiveType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+    const head = buffer.subarray(0, bytesRead);
+    if (head[0] === 0x50 && head[1] === 0x4b && (head[2] === 0x03 || head[2] === 0x05)) return 'zip';
+    if (head[0] === 0x1f && head[1] === 0x8b) return 'tar.gz';
+    if (head.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    if (/^# v[23] git bundle\n/.test(head.toString('latin1', 0, 20))) return 'git-bundle';
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// A fresh, unpredictable directory under the OS temp dir.
+export const makeTempDir = (prefix) => fs.mkdtemp(path.join(os.tmpdir(), prefix));
+
+// The entry's path relative to the extraction root ("a/b.js"), or null when
+// it is absolute or would climb out of the root.
+export function safeEntryPath(name) {
+  const normalized = String(name).replace(/\\/g, '/');
+  if (normalized.includes('\0') || normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return null;
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) return null;
+  return segments.join('/');
+}
+
+export const isBinary = (buffer) => buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+
+// Decompresses one entry without ever producing more than `maxBytes`, or
+// more than one byte past the size its header declares.
+function inflateEntry(entry, maxBytes) {
+  const { method, size } = entry.header;
+  const compressed = entry.getCompressedData();
+  let data;
+  if (method === 0) {
+    data = compressed;
+  } else if (method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(size + 1, maxBytes)) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('the size does not match the header');
+      throw error;
+    }
+  } else {
+    throw new Error(`unsupported compression method ${method}`);
+  }
+  if (data.length !== size) throw new Error('the size does not match the header');
+  return data;
+}
+
+// Writes a file under `rootDir`, refusing to overwrite (duplicate entries) or
+// to follow anything that is not a plain directory.
+export async function writeEntry(rootDir, relativePath, data) {
+  const root = path.resolve(rootDir);
+  const target = path.join(root, relativePath);
+  if (!target.startsWith(root + path.sep)) throw new Error('outside the archive root');
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, data, { flag: 'wx' });
+}
+
+// Opens an uploaded ZIP. Throws a 4xx error when it is unreadable or has too many entries.
+export function openZip(zipPath, limits = ARCHIVE_LIMITS) {
+  let zip;
+  let count;
+  try {
+    zip = new AdmZip(zipPath);
+    count = zip.getEntries().length;
+  } catch (error) {
+    throw httpError(400, `The ZIP file could not be read: ${error.message}`);
+  }
+  if (count > limits.maxEntries) {
+    throw httpError(413, `The ZIP file has ${count} entries; the limit is ${limits.maxEntries}.`);
+  }
+  return zip;
+}
+
+// Why a file entry must not be inflated at all, or null.
+function zipEntryProblem(entry, limits) {
+  const { attr, flags, size, compressedSize } = entry.header;
+  if (((attr >>> 16) & S_IFMT) === S_IFLNK) return 'Symbolic link.';
+  if (flags & 1) return 'Encrypted entry.';
+  if (size >= RATIO_CHECK_MIN_BYTES && size > compressedSize * limits.maxCompressionRatio) {
+    return `Compression ratio above ${limits.maxCompressionRatio}:1.`;
+  }
+  return null;
+}
+
+// Reads a single text file entry of openZip() with the checks extractZip()
+// applies. Throws a 400 error with the reason when the entry is refused.
+export function readZipEntry(entry, limits = ARCHIVE_LIMITS) {
+  const problem = zipEntryProblem(entry, limits)
+    || (entry.header.size > limits.maxTotalBytes ? sizeLimitReason(limits) : null);
+  if (problem) throw httpError(400, `${entry.entryName}: ${problem}`);
+  let data;
+  try {
+    data = inflateEntry(entry, limits.maxTotalBytes);
+  } catch (error) {
+    throw httpError(400, `${entry.entryName} could not be extracted: ${error.message}.`);
+  }
+  if (isBinary(data)) throw httpError(400, `${entry.entryName}: Binary file.`);
+  return data;
+}
+
+// Extracts `zipPath` into the existing, empty `rootDir`. Returns { rejected }
+// as [{ path, reason }]. Throws a 4xx error when the archive as a whole is
+// unusable (unreadable or too many entries).
+export async function extractZip(zipPath, rootDir, limits = ARCHIVE_LIMITS) {
+  const entries = openZip(zipPath, limits).getEntries();
+  const rejected = [];
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    const relativePath = safeEntryPath(entry.entryName);
+    if (!relativePath) {
+      rejected.push({ path: entry.entryName, reason: UNSAFE_PATH });
+      continue;
+    }
+    if (entry.isDirectory) continue;
+    const reject = (reason) => rejected.push({ path: relativePath, reason });
+
+    const problem = zipEntryProblem(entry, limits);
+    if (problem) {
+      reject(problem);
+      continue;
+    }
+    const { size } = entry.header;
+    if (totalBytes + size > limits.maxTotalBytes) {
+      reject(sizeLimitReason(limits));
+      continue;
+    }
+
+    let data;
+    try {
+      data = inflateEntry(entry, limits.maxTotalBytes - totalBytes);
+    } catch (error) {
+      reject(`Could not be extracted: ${error.message}.`);
+      continue;
+    }
+    if (isBinary(data)) {
+      reject('Binary file.');
+      continue;
+    }
+
+    try {
+      await writeEntry(rootDir, relativePath, data);
+      totalBytes += data.length;
+    } catch (error) {
+      reject(error.code === 'EEXIST' ? 'Duplicate entry.' : `Could not be written: ${error.message}.`);
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`[archive] Rejected ${rejected.length} of ${entries.length} entries in ${path.basename(zipPath)}.`);
+  }
+  return { rejected };
+}
+
+// Extracts a tar archive, gzipped with `gzip: true`, into the existing, empty
+// `rootDir`. Same checks and return value as extractZip(); a gzip stream that
+// expands beyond the compression ratio limit is aborted.
+export async function extractTar(archivePath, rootDir, { gzip = false, limits = ARCHIVE_LIMITS } = {}) {
+  const streams = [createReadStream(archivePath)];
+  if (gzip) {
+    const maxUnpackedBytes = (await fs.stat(archivePath)).size * limits.maxCompressionRatio;
+    let unpackedBytes = 0;
+    const gunzip = zlib.createGunzip();
+    gunzip.on('data', chunk => {
+      unpackedBytes += chunk.length;
+      if (unpackedBytes > maxUnpackedBytes) {
+        gunzip.destroy(httpError(413, `The archive expands more than ${limits.maxCompressionRatio}:1; refusing to extract it.`));
+      }
+    });
+    streams.push(gunzip);
+  }
+  const extract = tar.extract();
+  const piped = pipeline(...streams, extract);
+  piped.catch(() => {}); // Surfaces through the loop below
+
+  const rejected = [];
+  let entryCount = 0;
+  let totalBytes = 0;
+
+  try {
+    for await (const entry of extract) {
+      const { name, type, size } = entry.header;
+      const relativePath = safeEntryPath(name);
+      const reject = (reason) => {
+        rejected.push({ path: relativePath || name, reason });
+        entry.resume();
+      };
+
+      if (++entryCount > limits.maxEntries) {
+        throw httpError(413, `The archive has more than ${limits.maxEntries} entries.`);
+      }
+      if (!relativePath) {
+        reject(UNSAFE_PATH);
+        continue;
+      }
+      if (type === 'directory') {
+        entry.resume();
+        continue;
+      }
+      if (type === 'symlink' || type === 'link') {
+        reject('Symbolic or hard link.');
+        continue;
+      }
+      if (type !== 'file' && type !== 'contiguous-file') {
+        reject(`Unsupported entry type "${type}".`);
+        continue;
+      }
+      if (totalBytes + size > limits.maxTotalBytes) {
+        reject(sizeLimitReason(limits));
+        continue;
+      }
+
+      const chunks = [];
+      for await (const chunk of entry) chunks.push(chunk);
+      const data = Buffer.concat(chunks);
+      if (isBinary(data)) {
+        rejected.push({ path: relativePath, reason: 'Binary file.' });
+        continue;
+      }
+      try {
+        await writeEntry(rootDir, relativePath, data);
+        totalBytes += data.length;
+      } catch (error) {
+        rejected.push({ path: relativePath, reason: error.code === 'EEXIST' ? 'Duplicate entry.' : `Could not be written: ${error.message}.` });
+      }
+    }
+    await piped;
+  } catch (error) {
+    extract.destroy();
+    throw error.status ? error : httpError(400, `The ${gzip ? 'gzipped ' : ''}tar archive could not be read: ${error.message}`);
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`[archive] Rejected ${rejected.length} of ${entryCount} entries in ${path.basename(archivePath)}.`);
+  }
+  return { rejected };
+}
+
+export const git = (args, options = {}) => execFileAsync('git', args, { timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER, ...options });
+
+const BUNDLE_UNREADABLE = 'The git bundle could not be read. Create it with `git bundle create <file> --all` (or a branch name) so it does not depend on commits outside the bundle.';
+
+// The files at HEAD of a clone, as [{ path, mode, size }]; submodules are left out.
+async function listGitTree(workDir) {
+  const { stdout } = await git(['-C', workDir, 'ls-tree', '-r', '-l', '-z', 'HEAD']);
+  return stdout.split('\0').filter(Boolean).flatMap(record => {
+    const tab = record.indexOf('\t');
+    const [mode, type, , size] = record.slice(0, tab).split(/ +/);
+    return type === 'blob' ? [{ path: record.slice(tab + 1), mode, size: Number(size) }] : [];
+  });
+}
+
+// Clones the bundle into `workDir` (empty or missing) and checks out its HEAD,
+// after refusing a tree with more files or bytes than `limits` allow. Symlinks
+// are checked out as plain files holding the link target, so nothing in the
+// checkout points outside of it. Returns the tree as listed by listGitTree().
+export async function cloneGitBundle(bundlePath, workDir, limits = ARCHIVE_LIMITS) {
+  let tree;
+  try {
+    await git(['clone', '--quiet', '--no-checkout', '--config', 'core.symlinks=false', bundlePath, workDir]);
+    tree = await listGitTree(workDir);
+  } catch (error) {
+    console.error('[archive] git clone of the bundle failed:', error.stderr || error.message);
+    throw httpError(400, BUNDLE_UNREADABLE);
+  }
+
+  const treeBytes = tree.reduce((total, file) => total + file.size, 0);
+  if (tree.length > limits.maxEntries) {
+    throw httpError(413, `The git bundle has ${tree.length} files at HEAD; the limit is ${limits.maxEntries}.`);
+  }
+  if (treeBytes > limits.maxTotalBytes) {
+    throw httpError(413, `The files at the git bundle's HEAD add up to ${toMegabytes(treeBytes)}MB; the limit is ${toMegabytes(limits.maxTotalBytes)}MB.`);
+  }
+  if (treeBytes >= RATIO_CHECK_MIN_BYTES && treeBytes > (await fs.stat(bundlePath)).size * limits.maxCompressionRatio) {
+    throw httpError(413, `The git bundle expands more than ${limits.maxCompressionRatio}:1; refusing to check it out.`);
+  }
+
+  try {
+    await git(['-C', workDir, 'reset', '--quiet', '--hard', 'HEAD']);
+  } catch (error) {
+    console.error('[archive] git checkout of the bundle failed:', error.stderr || error.message);
+    throw httpError(400, BUNDLE_UNREADABLE);
+  }
+  return tree;
+}
+
+// Checks out a git bundle's HEAD into `rootDir`, then applies the rules of
+// extractZip() to the checkout: symlinks, binary files and files past the
+// entry or size limit are deleted. Returns { rejected } like extractZip().
+export async function extractGitBundle(bundlePath, rootDir, limits = ARCHIVE_LIMITS) {
+  const tree = await cloneGitBundle(bundlePath, rootDir, limits);
+  const symlinks = new Set(tree.filter(file => file.mode === GIT_SYMLINK_MODE).map(file => file.path));
+  const rejected = [];
+  let fileCount = 0;
+  let totalBytes = 0;
+
+  const checkedOut = (await fs.readdir(rootDir, { recursive: true })).filter(name => name.split(path.sep)[0] !== '.git').sort();
+  for (const name of checkedOut) {
+    const relativePath = name.split(path.sep).join('/');
+    const target = path.join(rootDir, name);
+    const stats = await fs.lstat(target);
+    if (stats.isDirectory()) continue;
+    const reject = async (reason) => {
+      rejected.push({ path: relativePath, reason });
+      await fs.rm(target, { force: true });
+    };
+
+    if (symlinks.has(relativePath) || !stats.isFile()) {
+      await reject('Symbolic link.');
+    } else if (++fileCount > limits.maxEntries) {
+      await reject(`More than ${limits.maxEntries} files in the archive.`);
+    } else if (totalBytes + stats.size > limits.maxTotalBytes) {
+      await reject(sizeLimitReason(limits));
+    } else {
+      const handle = await fs.open(target, 'r');
+      let head;
+      try {
+        ({ buffer: head } = await handle.read(Buffer.alloc(BINARY_SNIFF_BYTES), 0, BINARY_SNIFF_BYTES, 0));
+      } finally {
+        await handle.close();
+      }
+      if (isBinary(head.subarray(0, Math.min(stats.size, BINARY_SNIFF_BYTES)))) {
+        await reject('Binary file.');
+      } else {
+        totalBytes += stats.size;
+      }
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`[archive] Rejected ${rejected.length} of ${tree.length} files in ${path.basename(bundlePath)}.`);
+  }
+  return { rejected };
+}
+
+// Extracts any archive detectArchiveType() recognizes. A git bundle is checked
+// out at its HEAD, with .git left in place but never analyzed.
+export async function extractArchive(archivePath, rootDir, type) {
+  switch (type) {
+    case 'zip':
+      return extractZip(archivePath, rootDir);
+    case 'tar':
+      return extractTar(archivePath, rootDir);
+    case 'tar.gz':
+      return extractTar(archivePath, rootDir, { gzip: true });
+    case 'git-bundle':
+      return extractGitBundle(archivePath, rootDir);
+    default:
+      throw new Error(`Unknown archive type "${type}".`);
+  }
+}
@@ -0,0 +1,150 @@
+// lib/auth.js
+
+// Who is calling the API. Users sign in with a name and password from
+// AUTH_USERS and get a signed session cookie; scripts and CI send a team token
+// from AUTH_API_TOKENS as `Authorization: Bearer <token>`. With neither
+// configured the API stays open and callers are told apart by IP only.
+// Settings are read at call time, like the providers (lib/providers/index.js).
+
+import crypto from 'crypto';
+import { httpError } from './errors.js';
+import { integerSetting } from './env.js';
+
+export const SESSION_COOKIE = 'alchemist_session';
+
+// A user's own provider key, used for their request only (lib/providers/index.js).
+export const USER_API_KEY_HEADER = 'x-provider-api-key';
+
+const SESSION_TTL_MS = integerSetting('AUTH_SESSION_TTL_MS', 12 * 60 * 60 * 1000, { min: 1 });
+
+// Signs session cookies when AUTH_SECRET is not set; sessions then end with
+// the server instance.
+const fallbackSecret = crypto.randomBytes(32);
+
+// "name:value,name:value" -> Map. Values may contain ":" themselves.
+function parsePairs(text) {
+  const pairs = new Map();
+  for (const entry of (text || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    pairs.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+  }
+  return pairs;
+}
+
+const users = () => parsePairs(process.env.AUTH_USERS);
+const apiTokens = () => parsePairs(process.env.AUTH_API_TOKENS);
+
+export const isAuthEnabled = () => users().size > 0 || apiTokens().size > 0;
+
+const secret = () => process.env.AUTH_SECRET || fallbackSecret;
+const sign = (value) => crypto.createHmac('sha256', secret()).update(value).digest('base64url');
+
+// Compares digests, so neither the length nor the content of `expected` leaks through timing.
+const safeEqual = (actual, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(actual).digest(),
+  crypto.createHash('sha256').update(expected).digest(),
+);
+
+// The AUTH_USERS form of a password: "scrypt:<salt>:<hash>" (see `alchemist hash-password`).
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt:${salt.toString('base64url')}:${crypto.scryptSync(password, salt, 32).toString('base64url')}`;
+}
+
+let dummyHash = null;
+const unknownUserHash = () => (dummyHash ??= hashPassword(crypto.randomUUID()));
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), 32);
+  const expected = Buffer.from(hash, 'base64url');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Whether X-Forwarded-For comes from our own proxy. Vercel (which sets VERCEL)
+// replaces the header with the client's address; anywhere else clients can
+// send any value, so it is only read with TRUST_PROXY=true.
+const trustsProxy = () => process.env.TRUST_PROXY === 'true' || !!process.env.VERCEL;
+
+// The caller's address, for the per-IP limits. Behind a trusted proxy it is the
+// last X-Forwarded-For entry: the one the proxy added, not one the client sent.
+export function clientIp(req) {
+  const forwarded = trustsProxy() ? req.headers['x-forwarded-for'] : null;
+  const last = (Array.isArray(forwarded) ? forwarded.join(',') : forwarded || '').split(',').at(-1).trim();
+  return last || req.socket?.remoteAddress || 'unknown';
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// "<name>.<expires>.<signature>", with the name base64url-encoded.
+function readSession(req) {
+  const cookie = readCookie(req, SESSION_COOKIE);
+  const [encodedName, expires, signature] = (cookie || '').split('.');
+  if (!encodedName || !expires || !signature) return null;
+  if (!safeEqual(signature, sign(`${encodedName}.${expires}`)) || Date.now() > Number(expires)) return null;
+  const name = Buffer.from(encodedName, 'base64url').toString('utf8');
+  // Removing a user from AUTH_USERS ends their sessions.
+  return users().has(name) ? name : null;
+}
+
+function readApiToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+  for (const [name, token] of apiTokens()) {
+    if (token && safeEqual(match[1], token)) return name;
+  }
+  return null;
+}
+
+// Returns { id, kind: 'user' | 'token' | 'anonymous', name, ip }; `id` keys the
+// rate limits and usage counters (lib/usage.js). Throws a 401 when sign-in is
+// required, unless `optional` is set, in which case the caller is anonymous.
+export function authenticate(req, { optional = false } = {}) {
+  const ip = clientIp(req);
+  const tokenName = readApiToken(req);
+  if (tokenName) return { id: `token:${tokenName}`, kind: 'token', name: tokenName, ip };
+  const userName = readSession(req);
+  if (userName) return { id: `user:${userName}`, kind: 'user', name: userName, ip };
+
+  if (isAuthEnabled() && !optional) {
+    throw httpError(401, req.headers.authorization
+      ? 'The API token is not valid.'
+      : 'Sign in, or send a team API token as "Authorization: Bearer <token>".');
+  }
+  return { id: `ip:${ip}`, kind: 'anonymous', name: null, ip };
+}
+
+// Checks a sign-in and returns the Set-Cookie value of its session.
+export function login(req, name, password) {
+  const stored = typeof name === 'string' ? users().get(name) : undefined;
+  // Unknown names take as long as wrong passwords, so they cannot be told apart.
+  const matches = typeof password === 'string' && verifyPassword(password, stored || unknownUserHash());
+  if (!stored || !matches) {
+    throw httpError(401, 'Unknown user name or wrong password.');
+  }
+  const encodedName = Buffer.from(name, 'utf8').toString('base64url');
+  const expires = Date.now() + SESSION_TTL_MS;
+  const value = `${encodedName}.${expires}.${sign(`${encodedName}.${expires}`)}`;
+  return sessionCookie(req, value, Math.floor(SESSION_TTL_MS / 1000));
+}
+
+export const logoutCookie = (req) => sessionCookie(req, '', 0);
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+// The caller's own provider key, if they sent one.
+export function readUserApiKey(req) {
+  const key = req.headers[USER_API_KEY_HEADER];
+  return typeof key === 'string' && key.trim() ? key.trim() : null;
+}
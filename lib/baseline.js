@@ -0,0 +1,163 @@
+// lib/baseline.js
+
+// Suppressions: findings a team has accepted ("won't fix") or rejected ("false
+// positive") are recorded in a baseline file that lives in the repository, and
+// `alchemist-ignore` comments mute single lines in the source. Matching
+// findings are moved out of the report on later runs. Shared by the server and
+// the UI, so keep it free of Node-only imports.
+
+import { httpError } from './errors.js';
+import { REPORT_CATEGORIES } from './schema.js';
+
+export const BASELINE_FILE = '.alchemist-baseline.json';
+
+export const BASELINE_VERSION = 1;
+
+export const SUPPRESSION_REASONS = {
+  'wont-fix': "Won't fix",
+  'false-positive': 'False positive',
+};
+
+// `// alchemist-ignore`, `# alchemist-ignore`, `/* alchemist-ignore */`, `<!-- alchemist-ignore -->`, `-- alchemist-ignore`
+const INLINE_IGNORE_PATTERN = /(?:\/\/|\/\*|#|<!--|--)\s*alchemist-ignore\b/;
+
+// cyrb53: a fast 53-bit string hash, good enough to tell snippets apart.
+function hash(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Line numbers are left out on purpose: the fingerprint should survive code
+// being added above the finding. The flagged lines identify it instead, or the
+// message when the finding has no line.
+export function fingerprintFinding(category, finding, content) {
+  const lines = content?.split('\n');
+  const snippet = finding.lineRange && lines
+    ? lines.slice(finding.lineRange.start - 1, finding.lineRange.end).map(normalizeText).filter(Boolean).join('\n')
+    : '';
+  const anchor = snippet || normalizeText(String(finding.message || '').toLowerCase());
+  return hash([finding.filePath || 'N/A', category, anchor].join('\u0000'));
+}
+
+// True when the first flagged line, or the line above it, has an `alchemist-ignore` comment.
+export function hasInlineIgnore(finding, content) {
+  if (!finding.lineRange || !content) return false;
+  const lines = content.split('\n');
+  const start = finding.lineRange.start;
+  return [lines[start - 1], lines[start - 2]].some(line => line !== undefined && INLINE_IGNORE_PATTERN.test(line));
+}
+
+export const emptyBaseline = () => ({ version: BASELINE_VERSION, suppressions: [] });
+
+// Validates a baseline file. Throws a 400 error, like lib/profiles.js does for
+// `.alchemist.json`, so a broken file is not silently ignored.
+export function parseBaseline(text) {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw httpError(400, `${BASELINE_FILE} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.suppressions)) {
+    throw httpError(400, `${BASELINE_FILE} must be an object with a "suppressions" array.`);
+  }
+  if (data.version !== BASELINE_VERSION) {
+    throw httpError(400, `Unsupported ${BASELINE_FILE} version ${data.version}; expected ${BASELINE_VERSION}.`);
+  }
+
+  const errors = [];
+  data.suppressions.forEach((entry, index) => {
+    if (!entry || typeof entry.fingerprint !== 'string' || entry.fingerprint === '') {
+      errors.push(`suppressions[${index}] needs a "fingerprint".`);
+    } else if (!SUPPRESSION_REASONS[entry.reason]) {
+      errors.push(`suppressions[${index}].reason must be one of: ${Object.keys(SUPPRESSION_REASONS).join(', ')}.`);
+    }
+  });
+  if (errors.length > 0) {
+    throw httpError(400, `Invalid ${BASELINE_FILE}: ${errors.join(' ')}`);
+  }
+  return { version: BASELINE_VERSION, suppressions: data.suppressions };
+}
+
+// Combines baselines (e.g. the repository's file and the one sent by the UI); the first entry per fingerprint wins.
+export function mergeBaselines(...baselines) {
+  const entries = new Map();
+  for (const baseline of baselines) {
+    for (const entry of baseline?.suppressions || []) {
+      if (!entries.has(entry.fingerprint)) entries.set(entry.fingerprint, entry);
+    }
+  }
+  return { version: BASELINE_VERSION, suppressions: [...entries.values()] };
+}
+
+// Records findings in the baseline. `findings` carry their `category` and the
+// `fingerprint` the pipeline attached.
+export function addSuppressions(baseline, findings, reason, createdAt = new Date().toISOString()) {
+  const added = findings.filter(finding => finding.fingerprint).map(finding => ({
+    fingerprint: finding.fingerprint,
+    reason,
+    category: finding.category,
+    filePath: finding.filePath || 'N/A',
+    message: finding.message,
+    createdAt,
+  }));
+  return mergeBaselines({ suppressions: added }, baseline);
+}
+
+export const removeSuppression = (baseline, fingerprint) => ({
+  version: BASELINE_VERSION,
+  suppressions: baseline.suppressions.filter(entry => entry.fingerprint !== fingerprint),
+});
+
+// Sorted so that the committed file produces small diffs.
+export const serializeBaseline = (baseline) => `${JSON.stringify({
+  version: BASELINE_VERSION,
+  suppressions: [...baseline.suppressions].sort((a, b) =>
+    (a.filePath || '').localeCompare(b.filePath || '') || a.fingerprint.localeCompare(b.fingerprint)
+  ),
+}, null, 2)}\n`;
+
+// Fingerprints every finding of `analysis` and moves the suppressed ones out,
+// in place. `contentOf(finding)` returns the source the finding points into.
+// Returns the suppressed findings as an analysis object, each marked with
+// `suppressedBy` ("inline" or "baseline") and, for the baseline, its `reason`.
+export function applySuppressions(analysis, contentOf, baseline) {
+  const entries = new Map((baseline?.suppressions || []).map(entry => [entry.fingerprint, entry]));
+  const suppressed = Object.fromEntries(REPORT_CATEGORIES.map(category => [category, []]));
+
+  for (const category of Object.keys(analysis)) {
+    analysis[category] = analysis[category].filter(finding => {
+      const content = contentOf(finding);
+      finding.fingerprint = fingerprintFinding(category, finding, content);
+      const entry = entries.get(finding.fingerprint);
+      if (hasInlineIgnore(finding, content)) {
+        suppressed[category].push({ ...finding, suppressedBy: 'inline' });
+      } else if (entry) {
+        suppressed[category].push({ ...finding, suppressedBy: 'baseline', reason: entry.reason });
+      } else {
+        return true;
+      }
+      return false;
+    });
+  }
+  return suppressed;
+}
+
+export const countSuppressed = (suppressed) => {
+  const findings = Object.values(suppressed || {}).flat();
+  return {
+    total: findings.length,
+    baseline: findings.filter(finding => finding.suppressedBy === 'baseline').length,
+    inline: findings.filter(finding => finding.suppressedBy === 'inline').length,
+  };
+};
@@ -0,0 +1,100 @@
+// lib/batching.js
+
+import { REPORT_CATEGORIES, emptyAnalysis } from './analysis.js';
+import { countTokens } from './tokens.js';
+import { PASTED_CODE_PATH } from './schema.js';
+
+// Upper bound on model calls for one analysis, so a huge archive cannot run up
+// an unbounded bill. Files that do not fit are reported as skipped.
+export const MAX_BATCHES = Number(process.env.MAX_ANALYSIS_BATCHES) || 10;
+
+// Room left in the context window for the instructions around the code.
+const PROMPT_OVERHEAD_TOKENS = 2000;
+
+// Prefixes every line with its 1-based number and " | ", as in review excerpts
+// (lib/diff.js), so the model reads line numbers instead of counting them.
+export function numberLines(content) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  const width = String(lines.length).length;
+  return lines.map((line, index) => `${String(index + 1).padStart(width)} | ${line}`).join('\n');
+}
+
+// Files get a header with their ID (see lib/pipeline.js) and path so the model
+// can report which file a finding belongs to; pasted code has neither. Review
+// excerpts are already numbered. `promptContent` is the redacted text from
+// lib/secrets.js when the file contained secrets.
+export const formatFileForPrompt = (file) => {
+  const content = file.review ? file.promptContent : numberLines(file.promptContent ?? file.content);
+  if (!file.relativePath) return content;
+  const id = file.fileId ? ` ${file.fileId}` : '';
+  return `// --- Start of file${id}: ${file.relativePath} ---\n${content}\n// --- End of file${id}: ${file.relativePath} ---\n`;
+};
+
+export const batchTokenBudget = (provider) => Math.max(provider.maxInputTokens - PROMPT_OVERHEAD_TOKENS, 1000);
+
+// First-fit packing of files into batches that each fit the context budget.
+// Files are placed in the order given, so callers decide the priority. Each
+// batch's `fileTokens` lists the prompt size of its files, in order.
+export function planBatches(files, maxTokens, { maxBatches = MAX_BATCHES } = {}) {
+  const batches = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const tokens = countTokens(formatFileForPrompt(file));
+    const displayPath = file.relativePath || PASTED_CODE_PATH;
+
+    if (tokens > maxTokens) {
+      skipped.push({ path: displayPath, reason: `Too large for the model context window (~${tokens} tokens, limit ${maxTokens}).` });
+      continue;
+    }
+
+    let batch = batches.find(candidate => candidate.tokens + tokens <= maxTokens);
+    if (!batch) {
+      if (batches.length >= maxBatches) {
+        skipped.push({ path: displayPath, reason: `Batch limit reached (${maxBatches} model calls per analysis).` });
+        continue;
+      }
+      batch = { files: [], fileTokens: [], tokens: 0 };
+      batches.push(batch);
+    }
+    batch.files.push(file);
+    batch.fileTokens.push(tokens);
+    batch.tokens += tokens;
+  }
+
+  return { batches, skipped };
+}
+
+export const buildBatchCode = (batch) => batch.files.map(formatFileForPrompt).join('\n');
+
+const normalizeMessage = (message) => String(message || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const findingKey = (category, finding) => [
+  category,
+  finding.filePath || 'N/A',
+  finding.line || 'N/A',
+  normalizeMessage(finding.message),
+].join('|');
+
+// Reduce step: concatenates the per-batch results and drops findings that
+// several batches reported for the same file, line and message.
+export function mergeAnalyses(analyses) {
+  const merged = emptyAnalysis();
+  const seen = new Set();
+
+  for (const analysis of analyses) {
+    for (const category of REPORT_CATEGORIES) {
+      for (const finding of analysis[category] || []) {
+        const key = findingKey(category, finding);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged[category].push(finding);
+      }
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,85 @@
+// lib/cache.js
+
+// Model results cached per file (see lib/pipeline.js), so analyzing unchanged
+// code again neither pays for the same model call nor gets a different answer,
+// and changing one file of a codebase reuses the results of the others. The
+// cache lives in memory with a TTL and a size bound, so a restart (or another
+// serverless instance) starts empty.
+
+import crypto from 'crypto';
+import { integerSetting } from './env.js';
+
+export const CACHE_LIMITS = {
+  ttlMs: integerSetting('ANALYSIS_CACHE_TTL_MS', 24 * 60 * 60 * 1000),
+  maxBytes: integerSetting('ANALYSIS_CACHE_MAX_BYTES', 50 * 1024 * 1024),
+};
+
+// Bump when the prompt or the shape of cached results changes, so old entries stop matching.
+const CACHE_VERSION = 2;
+
+// A TTL + least-recently-used store of JSON values. Values are stored
+// serialized, so callers always get their own copy back. A TTL or size of 0
+// disables it.
+export function createResultCache({ ttlMs, maxBytes } = CACHE_LIMITS) {
+  const entries = new Map(); // key -> { json, bytes, expiresAt }, least recently used first
+  let totalBytes = 0;
+  const enabled = ttlMs > 0 && maxBytes > 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+  };
+
+  return {
+    enabled,
+    get size() {
+      return entries.size;
+    },
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() > entry.expiresAt) {
+        remove(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.json);
+    },
+    set(key, value) {
+      if (!enabled) return;
+      const json = JSON.stringify(value);
+      const bytes = Buffer.byteLength(json) + key.length;
+      if (bytes > maxBytes) return;
+      remove(key);
+      entries.set(key, { json, bytes, expiresAt: Date.now() + ttlMs });
+      totalBytes += bytes;
+      while (totalBytes > maxBytes) remove(entries.keys().next().value);
+    },
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+  };
+}
+
+// Shared by every request of this server instance.
+export const analysisCache = createResultCache();
+
+// Line endings and trailing whitespace do not change what the model sees in
+// any meaningful way, and leave the line numbers alone.
+const normalizeContent = (text) => text.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').replace(/\n+$/, '');
+
+// Everything that goes into the model call for `file`: the model, the parts of
+// the profile that shape the prompt (lib/analysis.js), the file's path and
+// prompt text, and the static findings the prompt tells the model to skip.
+export function analysisCacheKey({ provider, config, filePath, promptContent, staticFindings = '' }) {
+  const prompt = config
+    ? { categories: config.categories, instructions: config.instructions, minSeverity: config.minSeverity, rules: config.rules }
+    : null;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([CACHE_VERSION, provider.name, provider.model, prompt, filePath, normalizeContent(promptContent), staticFindings]))
+    .digest('hex');
+}
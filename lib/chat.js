@@ -0,0 +1,188 @@
+// lib/chat.js
+
+// Follow-up conversations about a single finding. A session keeps the finding
+// and the file it points into on the server, so each turn only carries the
+// new question. Sessions live in memory: they expire after a period of
+// inactivity and do not survive a restart (or a different serverless instance),
+// in which case the client starts a new one.
+
+import crypto from 'crypto';
+import { httpError } from './errors.js';
+import { countTokens } from './tokens.js';
+import { REDACTION_PREFIX, redactFiles } from './secrets.js';
+import { PASTED_CODE_PATH } from './schema.js';
+
+export const CHAT_LIMITS = {
+  sessionTtlMs: Number(process.env.CHAT_SESSION_TTL_MS ?? 30 * 60 * 1000),
+  maxSessions: Number(process.env.CHAT_MAX_SESSIONS ?? 200),
+  maxTurns: Number(process.env.CHAT_MAX_TURNS ?? 20),
+  maxMessageLength: 4000,
+  maxFiles: 5,
+};
+
+// Room left in the context window for the conversation and the reply.
+const CONVERSATION_RESERVE_TOKENS = 8000;
+
+const FENCED_BLOCK_PATTERN = /```[^\n`]*\n([\s\S]*?)```/g;
+
+const sessions = new Map();
+
+function pruneSessions(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (now - session.updatedAt > CHAT_LIMITS.sessionTtlMs) sessions.delete(id);
+  }
+  // Oldest first, since sessions are re-inserted on every use
+  while (sessions.size >= CHAT_LIMITS.maxSessions) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() !== '' ? value : null);
+
+// Keeps the fields of an issue (src/utils/issues.js) or a report finding the conversation needs.
+function normalizeFinding(finding) {
+  if (!finding || typeof finding !== 'object' || !optionalString(finding.message)) {
+    throw httpError(400, 'A chat needs the "finding" to discuss, with at least its "message".');
+  }
+  return {
+    type: optionalString(finding.type) || optionalString(finding.category) || 'Finding',
+    severity: optionalString(finding.severity) || 'info',
+    message: finding.message,
+    filePath: optionalString(finding.filePath) || 'N/A',
+    line: optionalString(finding.line) || 'N/A',
+    lineRange: finding.lineRange?.start ? { start: finding.lineRange.start, end: finding.lineRange.end || finding.lineRange.start } : null,
+    suggestedFix: optionalString(finding.suggestedFix) || 'N/A',
+  };
+}
+
+// `files` is [{ path, content }]: the file the finding points into and any
+// other file that helps answer questions about it.
+function normalizeFiles(files) {
+  if (!Array.isArray(files) || files.length === 0 || files.length > CHAT_LIMITS.maxFiles) {
+    throw httpError(400, `A chat needs "files": 1 to ${CHAT_LIMITS.maxFiles} files as { path, content }.`);
+  }
+  return files.map((file, index) => {
+    if (!file || typeof file.content !== 'string') {
+      throw httpError(400, `files[${index}].content must be a string.`);
+    }
+    return { relativePath: optionalString(file.path), content: file.content };
+  });
+}
+
+// The file with line numbers, cut down to the lines around the finding when it
+// does not fit in `maxTokens`.
+function numberedExcerpt(file, lineRange, maxTokens) {
+  const lines = (file.promptContent ?? file.content).replace(/\n$/, '').split('\n');
+  const number = (line, index) => `${String(index + 1).padStart(5)} | ${line}`;
+  let first = 0;
+  let last = lines.length;
+  let radius = 400;
+  while (countTokens(lines.slice(first, last).join('\n')) > maxTokens && radius >= 10) {
+    const center = lineRange ? lineRange.start - 1 : 0;
+    first = Math.max(0, center - radius);
+    last = Math.min(lines.length, (lineRange ? lineRange.end : 1) + radius);
+    radius = Math.floor(radius / 2);
+  }
+  const excerpt = lines.slice(first, last).map((line, index) => number(line, first + index)).join('\n');
+  const range = first > 0 || last < lines.length ? ` (lines ${first + 1}-${last} of ${lines.length})` : '';
+  return `// --- ${file.relativePath || PASTED_CODE_PATH}${range} ---\n${excerpt}`;
+}
+
+function buildContext(session, maxTokens) {
+  const { finding, files } = session;
+  const findingFile = files.find(file => file.relativePath === finding.filePath) || files[0];
+  const ordered = [findingFile, ...files.filter(file => file !== findingFile)];
+  const perFileTokens = Math.max(Math.floor(maxTokens / ordered.length), 500);
+  const code = ordered.map(file => numberedExcerpt(file, file === findingFile ? finding.lineRange : null, perFileTokens)).join('\n\n');
+  const redactionNote = code.includes(REDACTION_PREFIX)
+    ? `\nValues shown as ${REDACTION_PREFIX}...] are secrets that were removed from the code. Never guess them or put them in a fix.`
+    : '';
+
+  return `You are an expert code reviewer. A developer is asking follow-up questions about one finding from an automated review of their code.
+
+Finding:
+- Type: ${finding.type}
+- Severity: ${finding.severity}
+- File: ${finding.filePath}
+- Line: ${finding.line}
+- Description: ${finding.message}
+- Current suggested fix: ${finding.suggestedFix}
+
+Answer in Markdown, concisely and specifically for this code. Every code line below starts with its line number and " | "; refer to lines by those numbers but never copy the prefixes into code. When you propose a fix, give the complete replacement code in a single fenced code block.${redactionNote}
+
+Code:
+${code}`;
+}
+
+// The last fenced code block of a reply: the fix the user can promote into the
+// finding's `suggestedFix`. Blocks containing redacted secrets are ignored.
+export function extractFix(reply) {
+  const blocks = [...reply.matchAll(FENCED_BLOCK_PATTERN)].map(match => match[1].replace(/\n$/, ''));
+  const fix = blocks.at(-1);
+  return fix && !fix.includes(REDACTION_PREFIX) ? fix : null;
+}
+
+// Starts a conversation about `finding`. Secrets in `files` are redacted before
+// they are stored, so they never reach the model. `ownerId` is the caller's
+// identity (lib/auth.js); nobody else can continue the session.
+export function createChatSession({ finding, files, providerName, modelName, ownerId = null }) {
+  pruneSessions();
+  const session = {
+    id: crypto.randomUUID(),
+    ownerId,
+    providerName: optionalString(providerName),
+    modelName: optionalString(modelName),
+    finding: normalizeFinding(finding),
+    files: redactFiles(normalizeFiles(files)).files,
+    messages: [],
+    updatedAt: Date.now(),
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+export function getChatSession(id, ownerId = null) {
+  const session = typeof id === 'string' ? sessions.get(id) : undefined;
+  // Someone else's session looks the same as an expired one.
+  if (session && session.ownerId !== ownerId) throw httpError(404, 'This chat session has expired. Start a new one.');
+  if (!session || Date.now() - session.updatedAt > CHAT_LIMITS.sessionTtlMs) {
+    sessions.delete(id);
+    throw httpError(404, 'This chat session has expired. Start a new one.');
+  }
+  sessions.delete(id);
+  session.updatedAt = Date.now();
+  sessions.set(id, session);
+  return session;
+}
+
+export function deleteChatSession(id, ownerId = null) {
+  if (sessions.get(id)?.ownerId === ownerId) sessions.delete(id);
+}
+
+// Sends the user's `message` with the conversation so far. Returns { reply, fix }.
+export async function askChat(provider, session, message, { signal } = {}) {
+  if (!optionalString(message)) throw httpError(400, 'The "message" must not be empty.');
+  if (message.length > CHAT_LIMITS.maxMessageLength) {
+    throw httpError(400, `The message is longer than ${CHAT_LIMITS.maxMessageLength} characters.`);
+  }
+  if (session.messages.length / 2 >= CHAT_LIMITS.maxTurns) {
+    throw httpError(429, `This chat reached ${CHAT_LIMITS.maxTurns} questions. Start a new one.`);
+  }
+
+  const context = buildContext(session, Math.max(provider.maxInputTokens - CONVERSATION_RESERVE_TOKENS, 1000));
+  const [first, ...rest] = [...session.messages, { role: 'user', content: message }];
+  const { text } = await provider.chat([{ role: 'user', content: `${context}\n\nQuestion: ${first.content}` }, ...rest], { signal });
+  const reply = text.trim() || 'The model returned an empty answer.';
+
+  // Only a completed turn is kept, so a failed call can simply be retried.
+  session.messages.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+  return { reply, fix: extractFix(reply) };
+}
+
+// Makes `fix` the finding's suggested fix for the rest of the conversation.
+export function promoteFix(session, fix) {
+  if (!optionalString(fix)) throw httpError(400, 'The "suggestedFix" to promote must not be empty.');
+  if (fix.includes(REDACTION_PREFIX)) throw httpError(400, 'The fix contains a redacted placeholder instead of real code.');
+  session.finding.suggestedFix = fix;
+  return session.finding;
+}
@@ -0,0 +1,186 @@
+// lib/diff.js
+
+// Unified diffs for change reviews: parsing, applying to the base files, and
+// turning the changed hunks into line-numbered excerpts for the prompt. Line
+// numbers are always new-side (after the change), so findings can be anchored
+// to the changed version of each file.
+
+export const REVIEW_CONTEXT_LINES = Number(process.env.REVIEW_CONTEXT_LINES ?? 10);
+
+// First line of every review excerpt; lib/analysis.js looks for it to explain the format to the model.
+export const REVIEW_EXCERPT_HEADER = '// --- Changed regions only: each line starts with its line number, changed lines with ">" ---';
+
+const DEV_NULL = '/dev/null';
+
+// "a/src/app.js" -> "src/app.js"; keeps paths from diffs made with --no-prefix.
+const stripPrefix = (filePath) => (filePath === DEV_NULL ? null : filePath.replace(/^[ab]\//, ''));
+
+// Git quotes paths with special characters: "a/with space.js" -> a/with space.js
+const unquote = (value) => {
+  const trimmed = value.replace(/\t.*$/, '').trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"') ? trimmed.slice(1, -1).replace(/\\(.)/g, '$1') : trimmed;
+};
+
+// Returns [{ oldPath, newPath, hunks: [{ oldStart, oldCount, newStart, newCount, lines: [{ type, text }] }] }],
+// where `type` is "+", "-" or " ". `oldPath` is null for new files, `newPath` for deleted ones.
+export function parseUnifiedDiff(text) {
+  const patches = [];
+  let current = null;
+  let hunk = null;
+
+  for (const line of String(text).replace(/\r\n/g, '\n').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = { oldPath: undefined, newPath: undefined, hunks: [] };
+      patches.push(current);
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith('--- ') && (!hunk || hunk.remainingOld === 0 && hunk.remainingNew === 0)) {
+      if (!current || current.hunks.length > 0 || current.oldPath !== undefined) {
+        current = { oldPath: undefined, newPath: undefined, hunks: [] };
+        patches.push(current);
+      }
+      current.oldPath = stripPrefix(unquote(line.slice(4)));
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith('+++ ') && current && !hunk) {
+      current.newPath = stripPrefix(unquote(line.slice(4)));
+      continue;
+    }
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header && current) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldCount: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newCount: header[4] === undefined ? 1 : Number(header[4]),
+        lines: [],
+      };
+      hunk.remainingOld = hunk.oldCount;
+      hunk.remainingNew = hunk.newCount;
+      current.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || (hunk.remainingOld === 0 && hunk.remainingNew === 0)) continue;
+    if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+
+    const type = line[0] === '+' || line[0] === '-' ? line[0] : ' ';
+    hunk.lines.push({ type, text: line.slice(1) });
+    if (type !== '+') hunk.remainingOld--;
+    if (type !== '-') hunk.remainingNew--;
+  }
+
+  return patches
+    .filter(patch => patch.hunks.length > 0 && (patch.oldPath || patch.newPath))
+    .map(patch => ({
+      oldPath: patch.oldPath ?? null,
+      newPath: patch.newPath ?? null,
+      hunks: patch.hunks.map(({ oldStart, oldCount, newStart, newCount, lines }) => ({ oldStart, oldCount, newStart, newCount, lines })),
+    }));
+}
+
+const splitLines = (content) => {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+const sideLines = (hunk, side) => hunk.lines.filter(line => line.type === ' ' || line.type === side).map(line => line.text);
+
+const matchesAt = (lines, start, expected) => expected.every((text, offset) => lines[start - 1 + offset] === text);
+
+// Applies a file patch to its old-side content. Returns the new content, or
+// null when a hunk's context does not match.
+export function applyFilePatch(content, patch) {
+  const lines = splitLines(content);
+  const hadTrailingNewline = content === '' || content.endsWith('\n');
+  const output = [];
+  let cursor = 1;
+
+  for (const hunk of patch.hunks) {
+    // An empty old side is reported as starting after the given line.
+    const start = hunk.oldCount === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    if (start < cursor || !matchesAt(lines, start, sideLines(hunk, '-'))) return null;
+    output.push(...lines.slice(cursor - 1, start - 1), ...sideLines(hunk, '+'));
+    cursor = start + hunk.oldCount;
+  }
+  output.push(...lines.slice(cursor - 1));
+  return output.length === 0 ? '' : output.join('\n') + (hadTrailingNewline ? '\n' : '');
+}
+
+// True when `content` already is the new side of the patch (the upload was made after the change).
+export const isNewSide = (content, patch) => {
+  const lines = splitLines(content);
+  return patch.hunks.every(hunk => matchesAt(lines, hunk.newCount === 0 ? hunk.newStart + 1 : hunk.newStart, sideLines(hunk, '+')));
+};
+
+// Without the base files only the hunks are known: returns the new side with
+// every line outside them left blank, so line numbers stay correct.
+export function reconstructFromHunks(patch) {
+  const lines = [];
+  for (const hunk of patch.hunks) {
+    sideLines(hunk, '+').forEach((text, offset) => {
+      lines[hunk.newStart - 1 + offset] = text;
+    });
+  }
+  return Array.from(lines, line => line ?? '').join('\n') + '\n';
+}
+
+// New-side line ranges that were added or modified, as [{ start, end }].
+export function changedRanges(patch) {
+  const ranges = [];
+  const addLine = (lineNumber) => {
+    const last = ranges[ranges.length - 1];
+    if (last && lineNumber >= last.start && lineNumber <= last.end + 1) last.end = Math.max(last.end, lineNumber);
+    else ranges.push({ start: lineNumber, end: lineNumber });
+  };
+
+  for (const hunk of patch.hunks) {
+    let lineNumber = hunk.newStart;
+    let deletedAt = null;
+    for (const line of hunk.lines) {
+      if (line.type === '-') {
+        deletedAt ??= lineNumber;
+        continue;
+      }
+      if (line.type === '+') addLine(lineNumber);
+      lineNumber++;
+    }
+    // A pure deletion still deserves a look at the line just above it.
+    if (deletedAt !== null && !hunk.lines.some(line => line.type === '+')) addLine(Math.max(1, deletedAt - 1));
+  }
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+// Changed ranges widened by `contextLines` and merged where they overlap.
+export function reviewWindows(ranges, lineCount, contextLines = REVIEW_CONTEXT_LINES) {
+  const windows = [];
+  for (const range of ranges) {
+    const start = Math.max(1, range.start - contextLines);
+    const end = Math.min(lineCount, range.end + contextLines);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else windows.push({ start, end });
+  }
+  return windows;
+}
+
+export const overlapsRanges = (lineRange, ranges) => ranges.some(range => lineRange.start <= range.end && lineRange.end >= range.start);
+
+// The part of `content` the model gets to see: the review windows, each line
+// prefixed with its number and changed lines marked with ">".
+export function formatReviewExcerpt(content, review) {
+  const lines = splitLines(content);
+  const width = String(lines.length).length;
+  const output = [REVIEW_EXCERPT_HEADER];
+
+  for (const window of reviewWindows(review.changedRanges, lines.length, review.contextLines)) {
+    if (output.length > 1) output.push('...');
+    for (let lineNumber = window.start; lineNumber <= window.end; lineNumber++) {
+      const marker = overlapsRanges({ start: lineNumber, end: lineNumber }, review.changedRanges) ? '>' : ' ';
+      output.push(`${marker}${String(lineNumber).padStart(width)} | ${lines[lineNumber - 1]}`);
+    }
+  }
+  return output.join('\n');
+}
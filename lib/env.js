@@ -0,0 +1,8 @@
+// lib/env.js
+
+// A whole-number setting from the environment. Unset, empty or invalid values
+// (not a number, or below `min`) fall back to the default instead of NaN.
+export function integerSetting(name, fallback, { min = 0 } = {}) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
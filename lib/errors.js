@@ -0,0 +1,20 @@
+// lib/errors.js
+
+// Errors thrown from the analysis pipeline carry an HTTP status so the API
+// handlers can answer with something more useful than a blanket 500.
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+}
+
+// The status to answer an error with. Only our own httpErrors keep theirs: a
+// provider SDK's 401 or 404 is about the server's key or model, not the
+// caller's request, so upstream errors are a 502, or a 429 for a rate limit
+// still hit after the retries (lib/retry.js). Anything else is a 500.
+export function errorStatus(error) {
+  if (error.expose) return error.status;
+  if (!error.status) return 500;
+  return error.status === 429 && error.code !== 'insufficient_quota' ? 429 : 502;
+}
@@ -0,0 +1,69 @@
+// lib/files.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import picomatch from 'picomatch';
+
+export const SUPPORTED_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx', '.html', '.css', '.py', '.java', '.cs',
+  '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.m', '.c', '.cpp', '.h', '.hpp'
+];
+
+// `extensions` defaults to SUPPORTED_EXTENSIONS; projects can narrow or extend it in .alchemist.json.
+export async function getCodeFilesFromDirectory(dirPath, rootPath = dirPath, { extensions = SUPPORTED_EXTENSIONS } = {}) {
+    let codeFiles = []; // Stores { fullPath, relativePath, size }
+    try {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/'); // Relative path from extraction root
+            if (entry.isFile()) {
+                if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+                    const stats = await fs.stat(fullPath);
+                    codeFiles.push({ fullPath, relativePath, size: stats.size });
+                }
+            } else if (entry.isDirectory()) {
+                if (!['node_modules', 'dist', 'build', '.git', '.next', '.vercel', 'coverage', 'tmp', 'public', '.yarn', 'vendor'].includes(entry.name.toLowerCase())) {
+                    codeFiles = codeFiles.concat(await getCodeFilesFromDirectory(fullPath, rootPath, { extensions }));
+                }
+            }
+        }
+    } catch (err) {
+        console.error(`Error reading directory ${dirPath}:`, err);
+    }
+    return codeFiles;
+}
+
+// Reads the discovered files into memory. Anything that cannot be analyzed is
+// returned in `skipped` with a reason instead of being dropped silently.
+export async function readCodeFiles(fileObjs) {
+    const files = [];
+    const skipped = [];
+
+    for (const fileObj of fileObjs) {
+        try {
+            const content = await fs.readFile(fileObj.fullPath, 'utf8');
+            if (content.trim() === '') {
+                skipped.push({ path: fileObj.relativePath, reason: 'Empty file.' });
+                continue;
+            }
+            files.push({ relativePath: fileObj.relativePath, content });
+        } catch (err) {
+            console.error(`Error reading file ${fileObj.fullPath}:`, err);
+            skipped.push({ path: fileObj.relativePath, reason: `Could not be read: ${err.message}` });
+        }
+    }
+
+    return { files, skipped };
+}
+
+// Keeps files whose relativePath matches one of `include` (all files if empty)
+// and none of `exclude`. Patterns are globs such as "src/**/*.ts", matched
+// relative to `basePath` (e.g. the folder holding .alchemist.json).
+export function filterFiles(fileObjs, { include = [], exclude = [], basePath = '' } = {}) {
+    const isIncluded = include.length > 0 ? picomatch(include, { dot: true }) : () => true;
+    const isExcluded = exclude.length > 0 ? picomatch(exclude, { dot: true }) : () => false;
+    const relative = (filePath) => (basePath && filePath.startsWith(basePath) ? filePath.slice(basePath.length) : filePath);
+    return fileObjs.filter(fileObj => isIncluded(relative(fileObj.relativePath)) && !isExcluded(relative(fileObj.relativePath)));
+}
@@ -0,0 +1,157 @@
+// lib/fixes.js
+
+// Structured fixes: each finding may carry `edits`, line-range replacements
+// against the analyzed file. This module is shared by the API and the UI (diff
+// preview, .patch export), so keep it free of Node-only imports.
+
+export const PATCH_CONTEXT_LINES = 3;
+
+// Splits content into lines and remembers whether it ended with a newline, so
+// applying and diffing edits round-trips the file exactly.
+function splitContent(content) {
+  const hasTrailingNewline = content.endsWith('\n');
+  const body = hasTrailingNewline ? content.slice(0, -1) : content;
+  return { lines: body === '' && hasTrailingNewline ? [''] : body.split('\n'), hasTrailingNewline };
+}
+
+const replacementLines = (replacement) => (replacement === '' ? [] : replacement.replace(/\r?\n$/, '').split(/\r?\n/));
+
+export const countLines = (content) => splitContent(content).lines.length;
+
+// Coerces whatever the model returned into { filePath, startLine, endLine, replacement }
+// and drops entries that are not usable edits.
+export function normalizeEdits(rawEdits, defaultFilePath) {
+  if (!Array.isArray(rawEdits)) return [];
+
+  return rawEdits
+    .map(edit => {
+      if (!edit || typeof edit !== 'object') return null;
+      const startLine = parseInt(edit.startLine, 10);
+      const endLine = edit.endLine === undefined ? startLine : parseInt(edit.endLine, 10);
+      const filePath = edit.filePath && edit.filePath !== 'N/A' ? edit.filePath : defaultFilePath;
+      if (!filePath || !Number.isInteger(startLine) || !Number.isInteger(endLine) || typeof edit.replacement !== 'string') {
+        return null;
+      }
+      return { filePath, startLine, endLine, replacement: edit.replacement };
+    })
+    .filter(Boolean);
+}
+
+// Returns the problem with an edit against the file it targets, or null if it can be applied.
+export function checkEdit(edit, content) {
+  if (content === undefined) return `Unknown file "${edit.filePath}".`;
+  const lineCount = countLines(content);
+  if (edit.startLine < 1 || edit.endLine < edit.startLine || edit.endLine > lineCount) {
+    return `Line range ${edit.startLine}-${edit.endLine} is outside ${edit.filePath} (${lineCount} lines).`;
+  }
+  return null;
+}
+
+const sortByStart = (edits) => [...edits].sort((a, b) => a.startLine - b.startLine);
+
+function assertNoOverlap(sortedEdits) {
+  for (let i = 1; i < sortedEdits.length; i++) {
+    if (sortedEdits[i].startLine <= sortedEdits[i - 1].endLine) {
+      throw new Error(`Edits to ${sortedEdits[i].filePath} overlap at lines ${sortedEdits[i].startLine}-${sortedEdits[i - 1].endLine}.`);
+    }
+  }
+}
+
+// Applies edits that all target the same file. Throws if edits overlap.
+export function applyEdits(content, edits) {
+  const { lines, hasTrailingNewline } = splitContent(content);
+  const sorted = sortByStart(edits);
+  assertNoOverlap(sorted);
+
+  // Apply from the bottom up so earlier line numbers stay valid.
+  for (const edit of sorted.reverse()) {
+    lines.splice(edit.startLine - 1, edit.endLine - edit.startLine + 1, ...replacementLines(edit.replacement));
+  }
+  return lines.join('\n') + (hasTrailingNewline ? '\n' : '');
+}
+
+// Groups edits whose context windows touch into one hunk, like `diff -u` does.
+function groupEdits(sortedEdits) {
+  const groups = [];
+  for (const edit of sortedEdits) {
+    const current = groups[groups.length - 1];
+    if (current && edit.startLine - current[current.length - 1].endLine - 1 <= PATCH_CONTEXT_LINES * 2) {
+      current.push(edit);
+    } else {
+      groups.push([edit]);
+    }
+  }
+  return groups;
+}
+
+// Unified diff for one file. Hunks are built straight from the edits, so no
+// diff algorithm is needed and the patch matches applyEdits exactly.
+export function createFilePatch(filePath, original, edits) {
+  if (edits.length === 0) return '';
+
+  const { lines, hasTrailingNewline } = splitContent(original);
+  const sorted = sortByStart(edits);
+  assertNoOverlap(sorted);
+
+  const noNewlineMarker = '\\ No newline at end of file';
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  let lineDelta = 0; // How far new-side line numbers have drifted from the old side
+
+  for (const group of groupEdits(sorted)) {
+    const oldStart = Math.max(1, group[0].startLine - PATCH_CONTEXT_LINES);
+    const oldEnd = Math.min(lines.length, group[group.length - 1].endLine + PATCH_CONTEXT_LINES);
+    const hunkLines = [];
+    let added = 0;
+    let removed = 0;
+
+    let lineNumber = oldStart;
+    for (const edit of group) {
+      for (; lineNumber < edit.startLine; lineNumber++) {
+        hunkLines.push(` ${lines[lineNumber - 1]}`);
+        if (lineNumber === lines.length && !hasTrailingNewline) hunkLines.push(noNewlineMarker);
+      }
+      for (; lineNumber <= edit.endLine; lineNumber++) {
+        hunkLines.push(`-${lines[lineNumber - 1]}`);
+        removed++;
+        if (lineNumber === lines.length && !hasTrailingNewline) hunkLines.push(noNewlineMarker);
+      }
+      const newLines = replacementLines(edit.replacement);
+      newLines.forEach(line => hunkLines.push(`+${line}`));
+      added += newLines.length;
+      if (edit.endLine === lines.length && !hasTrailingNewline && newLines.length > 0) hunkLines.push(noNewlineMarker);
+    }
+    for (; lineNumber <= oldEnd; lineNumber++) {
+      hunkLines.push(` ${lines[lineNumber - 1]}`);
+      if (lineNumber === lines.length && !hasTrailingNewline) hunkLines.push(noNewlineMarker);
+    }
+
+    const oldCount = oldEnd - oldStart + 1;
+    const newCount = oldCount - removed + added;
+    const newStart = newCount === 0 ? oldStart + lineDelta - 1 : oldStart + lineDelta;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...hunkLines);
+    lineDelta += added - removed;
+  }
+
+  return output.join('\n') + '\n';
+}
+
+// Unified diff that creates `filePath` with `content`, e.g. for generated tests.
+export function createNewFilePatch(filePath, content) {
+  const { lines, hasTrailingNewline } = splitContent(content);
+  const output = ['--- /dev/null', `+++ b/${filePath}`, `@@ -0,0 +1,${lines.length} @@`, ...lines.map(line => `+${line}`)];
+  if (!hasTrailingNewline) output.push('\\ No newline at end of file');
+  return output.join('\n') + '\n';
+}
+
+// `files` is an array of { filePath, original, edits }.
+export const createPatch = (files) => files.map(file => createFilePatch(file.filePath, file.original, file.edits)).join('');
+
+// Groups edits by the file they target.
+export function groupEditsByFile(edits) {
+  const byFile = new Map();
+  for (const edit of edits) {
+    if (!byFile.has(edit.filePath)) byFile.set(edit.filePath, []);
+    byFile.get(edit.filePath).push(edit);
+  }
+  return byFile;
+}
@@ -0,0 +1,165 @@
+// lib/jobStore.js
+
+// Where background jobs (lib/jobs.js) are kept. JOB_STORE picks the backend:
+// "memory" (the default) keeps jobs in this process, so they end with it;
+// "file" writes them to JOB_DIR, so queued and finished jobs survive a
+// restart and `alchemist worker` processes on the same machine share the
+// queue. Each job is a record (status, progress, partial findings), its input
+// (the files and options to analyze) and, once completed, its result.
+// Every value is stored serialized, so callers always get their own copy.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { httpError } from './errors.js';
+
+export const JOB_DIR = process.env.JOB_DIR || path.join(os.tmpdir(), 'code-alchemist-jobs');
+
+// Job IDs are UUIDs; anything else never reaches the file system.
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+export const isJobId = (id) => typeof id === 'string' && JOB_ID_PATTERN.test(id);
+
+function createMemoryJobStore() {
+  const jobs = new Map(); // id -> { record, input, result } as JSON
+  const claimed = new Set();
+  const cancelRequests = new Set();
+  const parse = (json) => (json === undefined ? null : JSON.parse(json));
+
+  return {
+    kind: 'memory',
+    async create(record, input) {
+      jobs.set(record.id, { record: JSON.stringify(record), input: JSON.stringify(input) });
+    },
+    async get(id) {
+      return parse(jobs.get(id)?.record);
+    },
+    async save(record) {
+      const job = jobs.get(record.id);
+      if (job) job.record = JSON.stringify(record);
+    },
+    async list() {
+      return [...jobs.values()].map(job => JSON.parse(job.record));
+    },
+    async loadInput(id) {
+      return parse(jobs.get(id)?.input);
+    },
+    async saveResult(id, result) {
+      const job = jobs.get(id);
+      if (job) job.result = JSON.stringify(result);
+    },
+    async getResult(id) {
+      return parse(jobs.get(id)?.result);
+    },
+    // Exactly one caller gets true for a job, until reclaim() releases it.
+    async claim(id) {
+      if (claimed.has(id)) return false;
+      claimed.add(id);
+      return true;
+    },
+    async reclaim(id) {
+      return claimed.delete(id);
+    },
+    async requestCancel(id) {
+      cancelRequests.add(id);
+    },
+    async isCancelRequested(id) {
+      return cancelRequests.has(id);
+    },
+    async remove(id) {
+      jobs.delete(id);
+      claimed.delete(id);
+      cancelRequests.delete(id);
+    },
+  };
+}
+
+// One directory, several files per job: <id>.json (the record), .input.json,
+// .result.json, and the .lock and .cancel markers. Claims rely on exclusive
+// file creation, which is atomic on local file systems.
+function createFileJobStore(dir) {
+  const fileOf = (id, suffix = '') => {
+    if (!isJobId(id)) throw httpError(400, 'Not a valid job ID.');
+    return path.join(dir, `${id}${suffix}`);
+  };
+  const ready = fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+  // Written to a temporary file first, so readers never see half a job.
+  const writeJson = async (file, value) => {
+    await ready;
+    const temporary = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(value), { mode: 0o600 });
+    await fs.rename(temporary, file);
+  };
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  const exists = (file) => fs.access(file).then(() => true, () => false);
+
+  return {
+    kind: 'file',
+    dir,
+    async create(record, input) {
+      await writeJson(fileOf(record.id, '.input.json'), input);
+      await writeJson(fileOf(record.id, '.json'), record);
+    },
+    get: (id) => (isJobId(id) ? readJson(fileOf(id, '.json')) : Promise.resolve(null)),
+    save: (record) => writeJson(fileOf(record.id, '.json'), record),
+    async list() {
+      await ready;
+      const ids = (await fs.readdir(dir))
+        .map(name => name.match(/^(.+)\.json$/)?.[1])
+        .filter(isJobId);
+      const records = await Promise.all(ids.map(id => readJson(fileOf(id, '.json'))));
+      return records.filter(Boolean);
+    },
+    loadInput: (id) => readJson(fileOf(id, '.input.json')),
+    saveResult: (id, result) => writeJson(fileOf(id, '.result.json'), result),
+    getResult: (id) => readJson(fileOf(id, '.result.json')),
+    async claim(id) {
+      await ready;
+      try {
+        await (await fs.open(fileOf(id, '.lock'), 'wx')).close();
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    },
+    // Takes the lock away from a worker that stopped; only one caller wins the rename.
+    async reclaim(id) {
+      const taken = fileOf(id, `.lock.${crypto.randomUUID()}`);
+      try {
+        await fs.rename(fileOf(id, '.lock'), taken);
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+      await fs.rm(taken, { force: true });
+      return true;
+    },
+    requestCancel: (id) => writeJson(fileOf(id, '.cancel'), { requestedAt: new Date().toISOString() }),
+    isCancelRequested: (id) => exists(fileOf(id, '.cancel')),
+    async remove(id) {
+      await Promise.all(['.json', '.input.json', '.result.json', '.lock', '.cancel'].map(suffix => fs.rm(fileOf(id, suffix), { force: true })));
+    },
+  };
+}
+
+const JOB_STORES = {
+  memory: () => createMemoryJobStore(),
+  file: () => createFileJobStore(JOB_DIR),
+};
+
+export function createJobStore(kind = process.env.JOB_STORE || 'memory') {
+  const create = JOB_STORES[kind];
+  if (!create) {
+    throw new Error(`Unknown JOB_STORE "${kind}". Use one of: ${Object.keys(JOB_STORES).join(', ')}.`);
+  }
+  return create();
+}
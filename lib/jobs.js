@@ -0,0 +1,301 @@
+// lib/jobs.js
+
+// Background analyses. /api/analyze?async=1 queues a job and answers right
+// away with its ID; workers pick queued jobs up and run the same pipeline as
+// a normal request, writing progress, the findings found so far and the final
+// response to the job store (lib/jobStore.js). The work is not tied to the
+// client's connection, so it neither hits the request timeout nor stops when
+// the client goes away, and /api/jobs lets the client come back for it.
+// Workers run inside the server process, and in `alchemist worker` processes
+// for the "file" store.
+
+import crypto from 'crypto';
+import { httpError } from './errors.js';
+import { integerSetting } from './env.js';
+import { createJobStore } from './jobStore.js';
+import { getProvider } from './providers/index.js';
+import { analyzeFiles } from './pipeline.js';
+import { mergeAnalyses } from './batching.js';
+import { analysisCache } from './cache.js';
+import { meterProvider } from './usage.js';
+import { withRetries } from './retry.js';
+import { addUsage, emptyUsage } from './tokens.js';
+import { buildResponse, toErrorResponse } from './response.js';
+
+export const JOB_LIMITS = {
+  // Jobs one process works on at once.
+  concurrency: integerSetting('JOB_CONCURRENCY', 1, { min: 1 }),
+  // Model calls one job makes at once.
+  batchConcurrency: integerSetting('JOB_BATCH_CONCURRENCY', 2, { min: 1 }),
+  // Finished jobs are deleted after this long, and beyond this many jobs.
+  ttlMs: integerSetting('JOB_TTL_MS', 24 * 60 * 60 * 1000),
+  maxJobs: integerSetting('JOB_MAX_JOBS', 100, { min: 1 }),
+  // JOB_IN_PROCESS=false leaves the queue to `alchemist worker` processes,
+  // except for jobs on a user's own key, which only the server can run.
+  inProcess: process.env.JOB_IN_PROCESS !== 'false',
+};
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+// A running job's record is written at least this often; one not written for
+// STALE_AFTER_MS lost its worker (e.g. to a restart) and is queued again, at
+// most MAX_ATTEMPTS times in all.
+const HEARTBEAT_MS = 5 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 2;
+
+export const jobStore = createJobStore();
+
+// Users' own provider keys are never written to the store; a job that needs
+// one can only run in the process it was queued in.
+const userKeys = new Map(); // job id -> key
+const running = new Map(); // job id -> { controller, done }, the jobs this process works on
+let activeWorkers = 0;
+
+const now = () => new Date().toISOString();
+// Marks a job finished; `error` is the message failed jobs show.
+const finish = (record, status, error = null) => Object.assign(record, { status, error, finishedAt: now(), updatedAt: now() });
+const isStale = (record) => Date.now() - Date.parse(record.heartbeatAt || record.createdAt) > STALE_AFTER_MS;
+
+const notFound = () => httpError(404, 'This job does not exist or has expired.');
+
+// Fields of a job record only the server needs: the owner and the worker bookkeeping.
+const PRIVATE_JOB_FIELDS = ['ownerId', 'heartbeatAt', 'usesUserKey'];
+
+// What clients see of a job.
+function describeJob(record) {
+  const job = { ...record };
+  PRIVATE_JOB_FIELDS.forEach(field => delete job[field]);
+  return job;
+}
+
+async function ownedRecord(id, ownerId) {
+  const record = await jobStore.get(id);
+  if (!record || record.ownerId !== ownerId) throw notFound();
+  return record;
+}
+
+// Drops finished jobs past their TTL, then the oldest finished ones until
+// there is room for a new job within JOB_MAX_JOBS.
+async function pruneJobs() {
+  const records = await jobStore.list();
+  const finished = records
+    .filter(record => FINISHED_STATES.has(record.status))
+    .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+  const expired = finished.filter((record, index) => (
+    Date.now() - Date.parse(record.finishedAt) > JOB_LIMITS.ttlMs || records.length - index >= JOB_LIMITS.maxJobs
+  ));
+  await Promise.all(expired.map(record => jobStore.remove(record.id)));
+}
+
+// Queues an analysis. `input` is what api/analyze.js read from the request,
+// `identity` the caller (lib/auth.js), whose quota the job's model calls count
+// against as any other request's, and `provider` the one it will run on.
+export async function enqueueJob({ input, identity, userKey = null, provider }) {
+  await pruneJobs();
+  const createdAt = now();
+  const record = {
+    id: crypto.randomUUID(),
+    ownerId: identity.id,
+    status: 'queued',
+    createdAt,
+    updatedAt: createdAt,
+    startedAt: null,
+    finishedAt: null,
+    heartbeatAt: null,
+    attempts: 0,
+    inputName: input.inputName,
+    provider: provider.name,
+    model: provider.model,
+    usesUserKey: !!userKey,
+    progress: {
+      message: input.analysisMessage,
+      totalFiles: input.codeFiles.length,
+      totalBatches: 0,
+      completedBatches: 0,
+      usage: emptyUsage(),
+    },
+    // The findings so far, merged; `version` goes up with every change.
+    partial: { analysis: null, version: 0 },
+    error: null,
+  };
+  if (userKey) userKeys.set(record.id, userKey);
+  await jobStore.create(record, { input, identity });
+  console.log(`[jobs] Queued job ${record.id} for ${identity.id} (${input.codeFiles.length} files)`);
+  if (JOB_LIMITS.inProcess || userKey) startWorkers();
+  return describeJob(record);
+}
+
+// The job with its progress and findings so far, plus `result`, the same body
+// as /api/analyze returns, once it is completed.
+export async function getJob(id, ownerId) {
+  const record = await ownedRecord(id, ownerId);
+  const job = describeJob(record);
+  if (record.status === 'completed') job.result = await jobStore.getResult(id);
+  // Picks up jobs left queued by a restart.
+  if (JOB_LIMITS.inProcess && record.status === 'queued') startWorkers();
+  return job;
+}
+
+// The caller's jobs, newest first, without their findings.
+export async function listJobs(ownerId) {
+  return (await jobStore.list())
+    .filter(record => record.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(record => {
+      const job = describeJob(record);
+      delete job.partial;
+      return job;
+    });
+}
+
+// Stops a queued or running job. The findings so far stay available.
+export async function cancelJob(id, ownerId) {
+  const record = await ownedRecord(id, ownerId);
+  if (FINISHED_STATES.has(record.status)) {
+    throw httpError(409, `The job is already ${record.status}.`);
+  }
+  const local = running.get(id);
+  if (local) {
+    local.controller.abort();
+    await local.done;
+    return describeJob(await jobStore.get(id));
+  }
+  // Claiming a queued job keeps every worker from starting it.
+  if (record.status === 'queued' && await jobStore.claim(id)) {
+    await jobStore.save(finish(record, 'cancelled'));
+    return describeJob(record);
+  }
+  // Running in another process: its worker sees the request with its next heartbeat.
+  await jobStore.requestCancel(id);
+  return { ...describeJob(record), cancelRequested: true };
+}
+
+// The oldest job this process can run, claimed for it, or null.
+async function claimNextJob({ dedicated }) {
+  const records = (await jobStore.list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const record of records) {
+    if (record.status === 'running' && !running.has(record.id) && isStale(record) && await jobStore.reclaim(record.id)) {
+      const retry = record.attempts < MAX_ATTEMPTS;
+      console.warn(`[jobs] Job ${record.id} lost its worker; ${retry ? 'queuing it again' : 'giving up'}.`);
+      if (retry) Object.assign(record, { status: 'queued', updatedAt: now() });
+      else finish(record, 'failed', 'The job was interrupted too often.');
+      await jobStore.save(record);
+    }
+    if (record.status !== 'queued') continue;
+    // Another process holds the key; fail the job once that process seems gone.
+    if (record.usesUserKey && !userKeys.has(record.id)) {
+      if (isStale(record) && await jobStore.claim(record.id)) {
+        await jobStore.save(finish(record, 'failed', 'The job needs your provider key, which is never stored and was lost when the server restarted. Start the analysis again.'));
+      }
+      continue;
+    }
+    if (!dedicated && !JOB_LIMITS.inProcess && !userKeys.has(record.id)) continue;
+    if (await jobStore.claim(record.id)) return record;
+  }
+  return null;
+}
+
+async function runJob(record) {
+  const controller = new AbortController();
+  let markDone;
+  running.set(record.id, { controller, done: new Promise(resolve => { markDone = resolve; }) });
+  const userKey = userKeys.get(record.id) || null;
+  const startedAt = now();
+  Object.assign(record, { status: 'running', startedAt, updatedAt: startedAt, heartbeatAt: startedAt, attempts: record.attempts + 1 });
+
+  // Writes are chained, so an older state never overwrites a newer one.
+  let saving = Promise.resolve();
+  const save = () => {
+    record.heartbeatAt = now();
+    record.updatedAt = record.heartbeatAt;
+    const snapshot = JSON.parse(JSON.stringify(record));
+    saving = saving
+      .then(() => jobStore.save(snapshot))
+      .catch(error => console.error(`[jobs] Could not save job ${record.id}:`, error));
+    return saving;
+  };
+  const heartbeat = setInterval(async () => {
+    if (await jobStore.isCancelRequested(record.id)) controller.abort();
+    save();
+  }, HEARTBEAT_MS);
+
+  const onEvent = (event, data) => {
+    const { progress, partial } = record;
+    if (event === 'planned') {
+      progress.totalBatches = data.totalBatches;
+      progress.totalFiles = data.totalFiles;
+    } else if (event === 'batch-start') {
+      progress.message = `Analyzing batch ${data.batch} of ${data.totalBatches} (${data.files.length} files)...`;
+    } else if (event === 'batch-result' || event === 'batch-error') {
+      progress.completedBatches++;
+      if (event === 'batch-error') progress.message = `Batch ${data.batch} failed: ${data.error}`;
+    }
+    if (data.usage) addUsage(progress.usage, data.usage);
+    if (data.analysis) {
+      partial.analysis = mergeAnalyses(partial.analysis ? [partial.analysis, data.analysis] : [data.analysis]);
+      partial.version++;
+    }
+    save();
+  };
+
+  try {
+    await save();
+    const { input, identity } = await jobStore.loadInput(record.id);
+    const provider = meterProvider(withRetries(getProvider(input.providerName, input.modelName, { userKey }), {
+      onRetry: ({ error, attempt, delayMs }) => {
+        console.warn(`[jobs] Job ${record.id}: model call failed (${error.message}); retry ${attempt} in ${delayMs}ms`);
+      },
+    }), identity, { userKey: !!userKey });
+    console.log(`[jobs] Running job ${record.id} with ${provider.name} (${provider.model})`);
+    const result = await analyzeFiles(provider, input.codeFiles, {
+      signal: controller.signal,
+      onEvent,
+      config: input.config,
+      baseline: input.baseline,
+      cache: analysisCache,
+      fresh: input.fresh,
+      concurrency: JOB_LIMITS.batchConcurrency,
+    });
+    await jobStore.saveResult(record.id, buildResponse(input, provider, result));
+    finish(record, 'completed');
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`[jobs] Job ${record.id} cancelled.`);
+      finish(record, 'cancelled');
+    } else {
+      console.error(`[jobs] Job ${record.id} failed:`, error);
+      finish(record, 'failed', toErrorResponse(error, userKey).error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await save();
+    userKeys.delete(record.id);
+    running.delete(record.id);
+    markDone();
+  }
+}
+
+// Starts workers until JOB_CONCURRENCY of them run in this process. Each one
+// takes queued jobs until there are none left. Resolves when the workers it
+// started are done. `dedicated` is set in `alchemist worker` processes, which
+// take jobs whatever JOB_IN_PROCESS says.
+export function startWorkers({ dedicated = false } = {}) {
+  const started = [];
+  while (activeWorkers < JOB_LIMITS.concurrency) {
+    activeWorkers++;
+    started.push((async () => {
+      try {
+        for (let record = await claimNextJob({ dedicated }); record; record = await claimNextJob({ dedicated })) {
+          await runJob(record);
+        }
+      } catch (error) {
+        console.error('[jobs] Worker stopped:', error);
+      } finally {
+        activeWorkers--;
+      }
+    })());
+  }
+  return Promise.all(started);
+}
@@ -0,0 +1,312 @@
+// lib/pipeline.js
+
+import { analyzeCode, buildPrompt } from './analysis.js';
+import { batchTokenBudget, buildBatchCode, mergeAnalyses, planBatches } from './batching.js';
+import { checkEdit, normalizeEdits } from './fixes.js';
+import { analyzeStatic, formatStaticFindings } from './staticAnalysis.js';
+import { REDACTION_PREFIX, redactFiles } from './secrets.js';
+import { formatReviewExcerpt, overlapsRanges, reviewWindows } from './diff.js';
+import { applyAnalysisConfig } from './profiles.js';
+import { applySuppressions } from './baseline.js';
+import { analysisCacheKey } from './cache.js';
+import { verifyFindings } from './verify.js';
+import { addUsage, countTokens, emptyUsage } from './tokens.js';
+import { PASTED_CODE_PATH } from './schema.js';
+
+const displayPath = (file) => file.relativePath || PASTED_CODE_PATH;
+
+// A replacement copied from the numbered prompt still has the "  12 | " prefixes.
+const EXCERPT_LINE_PATTERN = /^[> ]?\s*\d+ \| /m;
+
+// In a change review (lib/review.js), drops findings on reviewed files that lie
+// outside `rangesOf(file)`. Findings without a line are kept.
+function limitToReview(analysis, files, rangesOf) {
+  const rangesByPath = new Map(files.filter(file => file.review).map(file => [displayPath(file), rangesOf(file)]));
+  if (rangesByPath.size === 0) return;
+  for (const [category, findings] of Object.entries(analysis)) {
+    analysis[category] = findings.filter(finding => {
+      const ranges = rangesByPath.get(finding.filePath);
+      return !ranges || !finding.lineRange || overlapsRanges(finding.lineRange, ranges);
+    });
+  }
+}
+
+const reviewedLines = (file) => reviewWindows(file.review.changedRanges, file.content.split('\n').length, file.review.contextLines);
+
+// Keeps only the structured edits that point at a file of this batch and a
+// line range that exists in it. Returns the paths of the files they touch.
+function attachEdits(analysis, batch) {
+  // Files reconstructed from diff hunks only have no real content to patch.
+  const contentByPath = new Map(batch.files.filter(file => !file.partial).map(file => [displayPath(file), file.content]));
+  const singleFilePath = batch.files.length === 1 ? displayPath(batch.files[0]) : null;
+  const editedPaths = new Set();
+
+  for (const finding of Object.values(analysis).flat()) {
+    const defaultFilePath = finding.filePath && finding.filePath !== 'N/A' ? finding.filePath : singleFilePath;
+    finding.edits = normalizeEdits(finding.edits, defaultFilePath).filter(edit => {
+      let problem = checkEdit(edit, contentByPath.get(edit.filePath));
+      if (edit.replacement.includes(REDACTION_PREFIX)) {
+        problem = `The edit to ${edit.filePath} would write a redacted placeholder into the code.`;
+      } else if (EXCERPT_LINE_PATTERN.test(edit.replacement)) {
+        problem = `The edit to ${edit.filePath} contains line-number prefixes from the prompt.`;
+      }
+      if (problem) console.warn(`[pipeline] Dropping suggested edit: ${problem}`);
+      return !problem;
+    });
+    finding.edits.forEach(edit => editedPaths.add(edit.filePath));
+  }
+
+  return editedPaths;
+}
+
+// What to cache for one file of an analyzed batch: its own findings, plus the
+// ones the model could not attach to a file (merging de-duplicates those).
+function analysisForFile(analysis, file) {
+  const filePath = displayPath(file);
+  return Object.fromEntries(Object.entries(analysis).map(([category, findings]) => [
+    category,
+    findings.filter(finding => !finding.filePath || finding.filePath === 'N/A' || finding.filePath === filePath),
+  ]));
+}
+
+// Everything before the first model call, shared by analyzeFiles and
+// estimateAnalysis: redaction, the static pass, file IDs, the cache lookup
+// and the batch plan.
+function prepareAnalysis(provider, files, { config, baseline, cache, fresh }) {
+  // Secrets are redacted before anything is planned, so only `promptContent`
+  // ever reaches the model; the original `content` is used for everything local.
+  const secretScan = redactFiles(files);
+
+  // The static pass is cheap and deterministic, so it runs first and its
+  // findings survive even if every model call fails.
+  const staticResult = analyzeStatic(files.filter(file => !file.partial));
+  const localAnalysis = staticResult.analysis;
+  localAnalysis.exposed_secrets.push(...secretScan.findings);
+  // The scanner's finding is more precise than the name-based static rule for the same line.
+  localAnalysis.security_vulnerabilities = localAnalysis.security_vulnerabilities.filter(finding => !(
+    finding.ruleId === 'hardcoded-secret' &&
+    secretScan.findings.some(secret => secret.filePath === finding.filePath && secret.lineRange.start <= finding.lineRange.end && secret.lineRange.end >= finding.lineRange.start)
+  ));
+  // A review reports on the change, not on what was already there.
+  limitToReview(localAnalysis, files, file => file.review.changedRanges);
+  applyAnalysisConfig(localAnalysis, config);
+  // Suppressed findings are fingerprinted against the original source and kept
+  // apart, so the client can still show them on request.
+  const contentByPath = new Map(files.map(file => [displayPath(file), file.content]));
+  const contentOf = (finding) => contentByPath.get(finding.filePath) ?? (files.length === 1 ? files[0].content : undefined);
+  const localSuppressed = applySuppressions(localAnalysis, contentOf, baseline);
+  const hasLocalResults = staticResult.analyzedFiles.length > 0 || secretScan.findings.length > 0;
+
+  // Every file gets a short ID the model can cite (lib/batching.js). Reviewed
+  // files are sent as excerpts of their changed regions; `sourceText` keeps the
+  // whole redacted file for checking line references (lib/verify.js).
+  const promptFiles = secretScan.files.map((file, index) => {
+    const promptFile = { ...file, fileId: `F${index + 1}` };
+    if (!file.review) return promptFile;
+    const sourceText = file.promptContent ?? file.content;
+    return { ...promptFile, sourceText, promptContent: formatReviewExcerpt(sourceText, file.review) };
+  });
+
+  const cacheKeyOf = (file) => analysisCacheKey({
+    provider,
+    config,
+    filePath: displayPath(file),
+    promptContent: file.promptContent ?? file.content,
+    staticFindings: formatStaticFindings(staticResult.analysis, [displayPath(file)]),
+  });
+  const useCache = !!cache?.enabled;
+  const cachedResults = [];
+  const uncachedFiles = [];
+  for (const file of promptFiles) {
+    const cached = useCache && !fresh ? cache.get(cacheKeyOf(file)) : undefined;
+    if (cached) cachedResults.push({ file, analysis: cached });
+    else uncachedFiles.push(file);
+  }
+
+  const { batches, skipped } = planBatches(uncachedFiles, batchTokenBudget(provider));
+  return { staticResult, localAnalysis, localSuppressed, hasLocalResults, contentOf, cacheKeyOf, useCache, cachedResults, batches, skipped };
+}
+
+const batchPrompt = (batch, staticResult, config) => buildPrompt(buildBatchCode(batch), {
+  staticFindings: formatStaticFindings(staticResult.analysis, batch.files.map(displayPath)),
+  config,
+});
+
+// A typical findings reply; the estimate counts one per batch and no repair attempts.
+const ESTIMATED_REPLY_TOKENS = 1500;
+
+// What analyzeFiles would send to the model with the same arguments, without
+// calling it: { files: [{ path, tokens, batch }], cached, skipped, batches,
+// promptTokens, completionTokens }. Prompt tokens are counted on the actual
+// prompts; completion tokens are a guess.
+export function estimateAnalysis(provider, files, { config = null, baseline = null, cache = null, fresh = false } = {}) {
+  const { staticResult, cachedResults, batches, skipped } = prepareAnalysis(provider, files, { config, baseline, cache, fresh });
+  return {
+    files: batches.flatMap((batch, index) => batch.files.map((file, position) => ({
+      path: displayPath(file),
+      tokens: batch.fileTokens[position],
+      batch: index + 1,
+    }))),
+    cached: cachedResults.map(({ file }) => displayPath(file)),
+    skipped,
+    batches: batches.length,
+    promptTokens: batches.reduce((total, batch) => total + countTokens(batchPrompt(batch, staticResult, config)), 0),
+    completionTokens: batches.length * ESTIMATED_REPLY_TOKENS,
+  };
+}
+
+// Calls `worker(item, index)` for every item, with at most `limit` calls pending at once.
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, lane));
+}
+
+// Map-reduce analysis: splits the files into batches that fit the provider's
+// context window, analyzes each batch separately and merges the results.
+// `files` is an array of { relativePath, content } in priority order. Files from
+// a change review also carry `review.changedRanges` and, if only the diff hunks
+// are known, `partial: true` (see lib/review.js).
+// `config` is the resolved profile from lib/profiles.js (all categories if omitted).
+// `baseline` holds the accepted findings to suppress (lib/baseline.js).
+// `cache` is a result cache from lib/cache.js; files whose model call it has
+// seen are not sent again, unless `fresh` is set.
+// `onEvent(event, data)` is called with progress updates for streaming clients.
+// `concurrency` batches are sent to the model at once (one by default); their
+// results are merged in the order they arrive.
+// The result's `usage` adds up the tokens of all model calls (lib/tokens.js).
+// `failedBatches` counts the batches that failed or never returned valid
+// findings, and `droppedFiles` the files that were not sent to the model.
+export async function analyzeFiles(provider, files, { signal, onEvent = () => {}, config = null, baseline = null, cache = null, fresh = false, concurrency = 1 } = {}) {
+  const {
+    staticResult, localAnalysis, localSuppressed, hasLocalResults, contentOf, cacheKeyOf, useCache, cachedResults, batches, skipped,
+  } = prepareAnalysis(provider, files, { config, baseline, cache, fresh });
+  const suppressedAnalyses = [localSuppressed];
+  if (hasLocalResults) {
+    onEvent('static-result', { files: staticResult.analyzedFiles, analysis: localAnalysis });
+  }
+
+  const queuedCount = batches.reduce((count, batch) => count + batch.files.length, 0);
+  // Files no batch could take (too large, or past the batch limit); failed batches are added to `skipped` later.
+  const droppedFiles = skipped.map(entry => entry.path);
+
+  onEvent('planned', { totalFiles: queuedCount, totalBatches: batches.length, skipped: [...skipped] });
+  let queuedIndex = 0;
+  batches.forEach((batch, index) => batch.files.forEach(file => {
+    queuedIndex++;
+    onEvent('queued', { file: displayPath(file), index: queuedIndex, total: queuedCount, batch: index + 1 });
+  }));
+
+  const analyzed = [];
+  const analyses = [];
+  const sources = {};
+  const rawResponses = []; // Replies that never passed validation, kept verbatim
+  const usage = emptyUsage(); // Tokens of every model call, as the provider reported them
+  let failedBatches = 0;
+  let lastError = null;
+
+  // The same post-processing for fresh and cached model results.
+  const acceptAnalysis = (analysis, batch) => {
+    limitToReview(analysis, batch.files, reviewedLines);
+    applyAnalysisConfig(analysis, config);
+    suppressedAnalyses.push(applySuppressions(analysis, contentOf, baseline));
+
+    // Clients need the original text of edited files to preview and export fixes.
+    for (const editedPath of attachEdits(analysis, batch)) {
+      sources[editedPath] = batch.files.find(file => displayPath(file) === editedPath).content;
+    }
+
+    analyses.push(analysis);
+    analyzed.push(...batch.files.map(displayPath));
+  };
+
+  if (cachedResults.length > 0) {
+    const cachedFiles = cachedResults.map(({ file }) => displayPath(file));
+    console.log(`[pipeline] Reusing cached results for ${cachedFiles.length} file(s)`);
+    const cachedAnalyses = cachedResults.map(({ file, analysis }) => {
+      acceptAnalysis(analysis, { files: [file] });
+      return analysis;
+    });
+    onEvent('cache-hit', { files: cachedFiles, analysis: mergeAnalyses(cachedAnalyses) });
+  }
+
+  const analyzeBatch = async (batch, index) => {
+    signal?.throwIfAborted();
+    const batchLabel = `batch ${index + 1}/${batches.length}`;
+    const batchFiles = batch.files.map(displayPath);
+    const batchInfo = { batch: index + 1, totalBatches: batches.length, files: batchFiles };
+    console.log(`[pipeline] Analyzing ${batchLabel} (${batch.files.length} files, ~${batch.tokens} tokens)`);
+    onEvent('batch-start', batchInfo);
+
+    try {
+      const staticFindings = formatStaticFindings(staticResult.analysis, batchFiles);
+      const { analysis, parsed, rawText, errors, attempts, usage: batchUsage } = await analyzeCode(provider, buildBatchCode(batch), { signal, staticFindings, config });
+      addUsage(usage, batchUsage);
+      if (!parsed) {
+        const reason = `The model response for ${batchLabel} did not match the findings schema after ${attempts} attempts.`;
+        batchFiles.forEach(file => skipped.push({ path: file, reason }));
+        rawResponses.push({ ...batchInfo, text: rawText, errors });
+        onEvent('batch-error', { ...batchInfo, error: reason, rawText, usage: batchUsage });
+        return;
+      }
+
+      // A finding from a single-file batch can only belong to that file.
+      if (batch.files.length === 1 && batch.files[0].relativePath) {
+        Object.values(analysis).flat().forEach(finding => {
+          if (!finding.filePath || finding.filePath === 'N/A') finding.filePath = batch.files[0].relativePath;
+        });
+      }
+
+      verifyFindings(analysis, batch.files);
+
+      // Cached as the model returned it, once checked against the code; the
+      // post-processing depends on the request.
+      if (useCache) {
+        batch.files.forEach(file => cache.set(cacheKeyOf(file), analysisForFile(analysis, file)));
+      }
+
+      acceptAnalysis(analysis, batch);
+      onEvent('batch-result', { ...batchInfo, analysis, usage: batchUsage });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`[pipeline] ${batchLabel} failed:`, error);
+      failedBatches++;
+      lastError = error;
+      batchFiles.forEach(file => skipped.push({ path: file, reason: `Analysis failed for ${batchLabel}: ${error.message}` }));
+      onEvent('batch-error', { ...batchInfo, error: error.message });
+    }
+  };
+  await runWithConcurrency(batches, concurrency, analyzeBatch);
+
+  // Every model call failed: fall back to the static findings, or surface the
+  // provider error (bad key, quota...) as-is when there are none.
+  const aiFailed = batches.length > 0 && failedBatches === batches.length;
+  if (aiFailed && !hasLocalResults) {
+    throw lastError;
+  }
+  if (hasLocalResults) {
+    analyses.unshift(localAnalysis);
+  }
+
+  // With no valid batch at all, `analysis` is the raw model text for the client to show as-is.
+  const parsed = analyses.length > 0 || rawResponses.length === 0;
+  return {
+    analysis: parsed ? mergeAnalyses(analyses) : rawResponses.map(response => response.text).join('\n\n'),
+    parsed,
+    rawResponses,
+    aiError: aiFailed ? lastError.message : null,
+    batchCount: batches.length,
+    failedBatches: failedBatches + rawResponses.length,
+    droppedFiles,
+    files: { analyzed, skipped, staticallyAnalyzed: staticResult.analyzedFiles },
+    cache: { enabled: useCache, fresh: useCache && fresh, hits: cachedResults.map(({ file }) => displayPath(file)) },
+    sources,
+    suppressed: mergeAnalyses(suppressedAnalyses),
+    usage,
+  };
+}
@@ -0,0 +1,52 @@
+// lib/pricing.js
+
+// What model calls cost, in US dollars per million prompt (`input`) and reply
+// (`output`) tokens. Prices change, so MODEL_PRICES can override or extend the
+// table with JSON like {"gpt-4o-mini":{"input":0.15,"output":0.6}}. Dated
+// versions (gpt-4o-2024-08-06) use the price of the longest listed prefix.
+
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+};
+
+let overrides = { text: undefined, prices: {} };
+
+// Read at call time, like the provider settings; parsed once per value.
+function modelPrices() {
+  const text = process.env.MODEL_PRICES;
+  if (text !== overrides.text) {
+    let prices = {};
+    try {
+      prices = text ? JSON.parse(text) : {};
+    } catch (error) {
+      console.warn(`[pricing] Ignoring MODEL_PRICES, it is not valid JSON: ${error.message}`);
+    }
+    overrides = { text, prices };
+  }
+  return { ...DEFAULT_PRICES, ...overrides.prices };
+}
+
+// { input, output } for `model`, or null when the price is unknown. Models on
+// the server's own OpenAI-compatible endpoint are free unless MODEL_PRICES lists them.
+export function priceFor(providerName, model) {
+  const prices = modelPrices();
+  const name = Object.keys(prices)
+    .filter(candidate => model === candidate || model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (name) return prices[name];
+  return providerName === 'openai-compatible' ? { input: 0, output: 0 } : null;
+}
+
+// The cost in US dollars of `usage` ({ promptTokens, completionTokens }) at `price`, or null.
+export function costOf(usage, price) {
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+}
@@ -0,0 +1,156 @@
+// lib/profiles.js
+
+// Analysis profiles and per-project configuration. A profile picks the
+// categories to report and adds focus instructions to the prompt; an
+// `.alchemist.json` at the project root can override any of it and add team
+// rules, ignore globs and the list of file extensions to analyze.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { httpError } from './errors.js';
+import { SUPPORTED_EXTENSIONS } from './files.js';
+import { REPORT_CATEGORIES, SEVERITIES } from './schema.js';
+
+export const PROJECT_CONFIG_FILE = '.alchemist.json';
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILES = {
+  default: {
+    label: 'Full audit',
+    description: 'Bugs, security vulnerabilities, improvements and explanations.',
+    categories: REPORT_CATEGORIES,
+    instructions: '',
+  },
+  'security-only': {
+    label: 'Security only',
+    description: 'Vulnerabilities and exposed secrets.',
+    categories: ['security_vulnerabilities', 'exposed_secrets'],
+    instructions: 'Act as a penetration tester. Look for injection, XSS, broken authentication and authorization, insecure deserialization, SSRF, path traversal, unsafe cryptography and sensitive data exposure. Ignore style and maintainability.',
+  },
+  performance: {
+    label: 'Performance',
+    description: 'Slow paths, wasted work and memory problems.',
+    categories: ['bugs', 'improvements', 'exposed_secrets'],
+    instructions: 'Focus on performance: algorithmic complexity, repeated work in loops, N+1 queries, blocking I/O on hot paths, missing caching or pagination, unnecessary re-renders, large bundles and memory leaks. Report slowdowns that break behavior as bugs and the rest as improvements.',
+  },
+  accessibility: {
+    label: 'Accessibility',
+    description: 'WCAG issues in markup and UI components.',
+    categories: ['bugs', 'improvements', 'exposed_secrets'],
+    instructions: 'Focus on accessibility (WCAG 2.1 AA): missing alternative text, form controls without labels, non-semantic interactive elements, keyboard traps and missing focus handling, insufficient ARIA, color-only cues and contrast. Report barriers that block users as bugs and the rest as improvements.',
+  },
+  'react-best-practices': {
+    label: 'React best practices',
+    description: 'Hooks, state, rendering and component design.',
+    categories: ['bugs', 'improvements', 'exposed_secrets'],
+    instructions: 'Focus on React best practices: rules of hooks, missing or wrong effect dependencies, stale closures, state that should be derived, missing keys, unnecessary re-renders, effects used for data transformation, uncontrolled/controlled input mix-ups and overly large components.',
+  },
+};
+
+export function listProfiles() {
+  return Object.entries(PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    description: profile.description,
+  }));
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+// Validates the parsed contents of an `.alchemist.json`. Throws a 400 error
+// naming every problem, so a typo does not silently change the analysis.
+export function parseProjectConfig(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `${PROJECT_CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw httpError(400, `${PROJECT_CONFIG_FILE} must contain a JSON object.`);
+  }
+
+  const errors = [];
+  if (data.profile !== undefined && !PROFILES[data.profile]) {
+    errors.push(`"profile" must be one of: ${Object.keys(PROFILES).join(', ')}.`);
+  }
+  if (data.categories !== undefined && (!isStringArray(data.categories) || data.categories.some(category => !REPORT_CATEGORIES.includes(category)))) {
+    errors.push(`"categories" must be an array of: ${REPORT_CATEGORIES.join(', ')}.`);
+  }
+  if (data.minSeverity !== undefined && !SEVERITIES.includes(data.minSeverity)) {
+    errors.push(`"minSeverity" must be one of: ${SEVERITIES.join(', ')}.`);
+  }
+  for (const key of ['rules', 'ignore', 'extensions']) {
+    if (data[key] !== undefined && !isStringArray(data[key])) errors.push(`"${key}" must be an array of non-empty strings.`);
+  }
+  const unknownKeys = Object.keys(data).filter(key => !['profile', 'categories', 'minSeverity', 'rules', 'ignore', 'extensions'].includes(key));
+  if (unknownKeys.length > 0) errors.push(`Unknown key(s): ${unknownKeys.join(', ')}.`);
+
+  if (errors.length > 0) {
+    throw httpError(400, `Invalid ${PROJECT_CONFIG_FILE}: ${errors.join(' ')}`);
+  }
+  return data;
+}
+
+// Looks for `fileName` at the root of an extracted archive, or inside its only
+// top-level folder (archives usually wrap the project in one). Returns
+// { text, basePath } where `basePath` is that folder ("" or "project/"), or null.
+export async function findProjectFile(rootDir, fileName) {
+  const candidates = [''];
+  const entries = await fs.readdir(rootDir, { withFileTypes: true }).catch(() => []);
+  const directories = entries.filter(entry => entry.isDirectory() && entry.name !== '__MACOSX');
+  if (directories.length === 1 && entries.length === 1) candidates.push(`${directories[0].name}/`);
+
+  for (const basePath of candidates) {
+    try {
+      return { text: await fs.readFile(path.join(rootDir, basePath, fileName), 'utf8'), basePath };
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+// The project's `.alchemist.json` as { config, basePath }, or null.
+export async function findProjectConfig(rootDir) {
+  const found = await findProjectFile(rootDir, PROJECT_CONFIG_FILE);
+  return found && { config: parseProjectConfig(found.text), basePath: found.basePath };
+}
+
+// Merges the profile with the project config. An explicitly requested profile
+// wins over the one named in the config; everything else in the config wins
+// over the profile.
+export function resolveAnalysisConfig({ profileName, projectConfig = null, basePath = '' } = {}) {
+  const name = profileName || projectConfig?.profile || DEFAULT_PROFILE;
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw httpError(400, `Unknown profile "${name}". Use one of: ${Object.keys(PROFILES).join(', ')}.`);
+  }
+
+  return {
+    profile: name,
+    categories: projectConfig?.categories || profile.categories,
+    minSeverity: projectConfig?.minSeverity || 'info',
+    instructions: profile.instructions,
+    rules: projectConfig?.rules || [],
+    ignore: projectConfig?.ignore || [],
+    extensions: projectConfig?.extensions
+      ? projectConfig.extensions.map(extension => (extension.startsWith('.') ? extension : `.${extension}`).toLowerCase())
+      : SUPPORTED_EXTENSIONS,
+    basePath,
+    hasProjectConfig: !!projectConfig,
+  };
+}
+
+// Drops findings in disabled categories or below the severity threshold, in place.
+export function applyAnalysisConfig(analysis, config) {
+  if (!config) return analysis;
+  const threshold = SEVERITIES.indexOf(config.minSeverity);
+  for (const category of Object.keys(analysis)) {
+    analysis[category] = config.categories.includes(category)
+      ? analysis[category].filter(finding => SEVERITIES.indexOf(finding.severity) <= threshold)
+      : [];
+  }
+  return analysis;
+}
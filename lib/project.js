@@ -0,0 +1,46 @@
+// lib/project.js
+
+// From an uploaded archive to the files to analyze: extraction, the project's
+// .alchemist.json, file discovery and ranking. Shared by /api/analyze and
+// /api/files, which lists the files so the user can pin or exclude some before
+// the analysis starts.
+
+import { extractArchive, makeTempDir } from './archive.js';
+import { filterFiles, getCodeFilesFromDirectory, readCodeFiles } from './files.js';
+import { findProjectConfig, PROJECT_CONFIG_FILE, resolveAnalysisConfig } from './profiles.js';
+import { rankFiles } from './ranking.js';
+
+// Extracts an upload (`type` from detectArchiveType) into a new temporary
+// directory, which is pushed onto `cleanupPaths`. Returns { rootDir, rejected }.
+export async function extractUpload(archivePath, type, cleanupPaths) {
+  const rootDir = await makeTempDir('archive-extract-');
+  cleanupPaths.push(rootDir);
+  const { rejected } = await extractArchive(archivePath, rootDir, type);
+  return { rootDir, rejected };
+}
+
+// Resolves the analysis config from the requested profile and the project's
+// .alchemist.json, if `rootDir` has one.
+export async function loadProjectConfig(rootDir, profileName) {
+  const found = rootDir ? await findProjectConfig(rootDir) : null;
+  if (found) console.log(`[project] Using ${found.basePath}${PROJECT_CONFIG_FILE}`);
+  return resolveAnalysisConfig({ profileName, projectConfig: found?.config, basePath: found?.basePath });
+}
+
+// Reads the code files of an extracted project, with the config's extensions
+// and ignore globs applied. Returns { files, skipped }.
+export async function readProjectFiles(rootDir, config) {
+  const fileObjs = await getCodeFilesFromDirectory(rootDir, rootDir, { extensions: config.extensions });
+  return readCodeFiles(filterFiles(fileObjs, { exclude: config.ignore, basePath: config.basePath }));
+}
+
+// readProjectFiles() in analysis order (lib/ranking.js). `selection` holds the
+// user's `pinned` and `excluded` paths. Returns { files, skipped, ranking }.
+export async function readRankedProjectFiles(rootDir, config, selection = {}) {
+  const { files, skipped } = await readProjectFiles(rootDir, config);
+  const ranked = rankFiles(files, selection);
+  if (ranked.ranking.length > 0) {
+    console.log(`[project] Top-ranked files: ${ranked.ranking.slice(0, 5).map(item => `${item.path} (${item.score})`).join(', ')}`);
+  }
+  return { files: ranked.files, skipped: [...skipped, ...ranked.skipped], ranking: ranked.ranking };
+}
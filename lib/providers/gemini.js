@@ -0,0 +1,40 @@
+// lib/providers/gemini.js
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+export const GEMINI_DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// Conservative input budget for the 1M-token Gemini Flash context window.
+export const GEMINI_MAX_INPUT_TOKENS = 900 * 1024;
+
+// Token counts as billed; reasoning ("thoughts") tokens are billed as output.
+const readUsage = (metadata) => (metadata ? {
+  promptTokens: metadata.promptTokenCount ?? 0,
+  completionTokens: (metadata.candidatesTokenCount ?? 0) + (metadata.thoughtsTokenCount ?? 0),
+} : null);
+
+export function createGeminiProvider({ apiKey, model = GEMINI_DEFAULT_MODEL, maxInputTokens = GEMINI_MAX_INPUT_TOKENS }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    maxInputTokens,
+    async generate(prompt, { signal } = {}) {
+      const result = await generativeModel.generateContent(prompt, { signal });
+      const response = await result.response;
+      return { text: response.text(), usage: readUsage(response.usageMetadata) };
+    },
+    // `messages` alternate { role: 'user' | 'assistant', content }, ending with the user's turn.
+    async chat(messages, { signal } = {}) {
+      const contents = messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }],
+      }));
+      const result = await generativeModel.generateContent({ contents }, { signal });
+      const response = await result.response;
+      return { text: response.text(), usage: readUsage(response.usageMetadata) };
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// lib/providers/index.js
+
+import { httpError } from '../errors.js';
+import { createGeminiProvider, GEMINI_DEFAULT_MODEL } from './gemini.js';
+import { createOpenAIProvider, OPENAI_DEFAULT_MODEL } from './openai.js';
+
+// Each entry reads its settings from the environment at call time so that a
+// provider only shows up as available once it is actually configured.
+// `acceptsUserKey` providers can also run on a key the user sends along with
+// their request, which replaces the server's key for that request only.
+// Providers' generate() and chat() resolve to { text, usage }, with `usage`
+// the reported { promptTokens, completionTokens }, or null when there is none.
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    acceptsUserKey: true,
+    isConfigured: () => !!process.env.GEMINI_API_KEY,
+    defaultModel: () => process.env.GEMINI_MODEL || GEMINI_DEFAULT_MODEL,
+    create: (model, userKey) => createGeminiProvider({
+      apiKey: userKey || process.env.GEMINI_API_KEY,
+      model,
+    }),
+  },
+  openai: {
+    label: 'OpenAI',
+    acceptsUserKey: true,
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    defaultModel: () => process.env.OPENAI_MODEL || OPENAI_DEFAULT_MODEL,
+    create: (model, userKey) => createOpenAIProvider({
+      apiKey: userKey || process.env.OPENAI_API_KEY,
+      model,
+    }),
+  },
+  // The endpoint belongs to the server, so a user's key is never sent to it.
+  'openai-compatible': {
+    label: 'OpenAI-compatible endpoint',
+    acceptsUserKey: false,
+    isConfigured: () => !!process.env.OPENAI_COMPATIBLE_BASE_URL,
+    defaultModel: () => process.env.OPENAI_COMPATIBLE_MODEL || 'local-model',
+    create: (model) => createOpenAIProvider({
+      name: 'openai-compatible',
+      // Most self-hosted servers ignore the key, but the SDK refuses to start without one.
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      model,
+      // Self-hosted models usually have far smaller context windows.
+      maxInputTokens: Number(process.env.OPENAI_COMPATIBLE_MAX_INPUT_TOKENS) || 16000,
+    }),
+  },
+};
+
+export function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'gemini';
+}
+
+// SDK errors may quote the key, in their message or in the error body they
+// carry; a user's key must never reach a log or a response. Errors of a
+// provider running on one are replaced by plain errors without it.
+function withoutKeyInErrors(provider, userKey) {
+  const hideKey = (error) => {
+    const message = String(error?.message || 'The provider request failed.').split(userKey).join('[your API key]');
+    return Object.assign(new Error(message), { name: error?.name || 'Error', status: error?.status, code: error?.code });
+  };
+  return {
+    ...provider,
+    generate: (prompt, options) => provider.generate(prompt, options).catch(error => { throw hideKey(error); }),
+    chat: (messages, options) => provider.chat(messages, options).catch(error => { throw hideKey(error); }),
+  };
+}
+
+// ALLOW_USER_API_KEYS=false turns user keys off for every provider.
+const userKeysAllowed = () => process.env.ALLOW_USER_API_KEYS !== 'false';
+
+export function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, entry]) => ({
+    name,
+    label: entry.label,
+    configured: entry.isConfigured(),
+    acceptsUserKey: entry.acceptsUserKey && userKeysAllowed(),
+    defaultModel: entry.defaultModel(),
+  }));
+}
+
+// Resolves the provider for a request. `name` and `model` usually come from
+// the request body; the base URL and keys come from server config, except for
+// the user's own key (`userKey`), which is only used to create this provider.
+export function getProvider(name, model, { userKey = null } = {}) {
+  const providerName = name || getDefaultProviderName();
+  const entry = PROVIDERS[providerName];
+
+  if (!entry) {
+    throw httpError(400, `Unknown LLM provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  if (userKey && !(entry.acceptsUserKey && userKeysAllowed())) {
+    throw httpError(400, `LLM provider "${providerName}" does not accept your own key on this server.`);
+  }
+  if (!userKey && !entry.isConfigured()) {
+    const hint = entry.acceptsUserKey && userKeysAllowed() ? ' Add your own provider key to use it.' : '';
+    throw httpError(400, `LLM provider "${providerName}" is not configured on this server.${hint}`);
+  }
+
+  const provider = entry.create(model || entry.defaultModel(), userKey);
+  return userKey ? withoutKeyInErrors(provider, userKey) : provider;
+}
@@ -0,0 +1,52 @@
+// lib/providers/openai.js
+
+import OpenAI from 'openai';
+
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Leaves headroom for the reply in a 128K-token context window.
+export const OPENAI_MAX_INPUT_TOKENS = 100 * 1000;
+
+// Serves both api.openai.com and any server that speaks the OpenAI chat
+// completions protocol (vLLM, Ollama, LM Studio, a CI stub...) via baseURL.
+// Some OpenAI-compatible servers do not report usage.
+const readUsage = (usage) => (usage ? {
+  promptTokens: usage.prompt_tokens ?? 0,
+  completionTokens: usage.completion_tokens ?? 0,
+} : null);
+
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model = OPENAI_DEFAULT_MODEL, maxInputTokens = OPENAI_MAX_INPUT_TOKENS }) {
+  const client = new OpenAI({
+    apiKey,
+    baseURL: baseURL || undefined,
+  });
+
+  return {
+    name,
+    model,
+    maxInputTokens,
+    async generate(prompt, { signal } = {}) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.2,
+        },
+        { signal },
+      );
+      return { text: completion.choices[0]?.message?.content || '', usage: readUsage(completion.usage) };
+    },
+    // `messages` alternate { role: 'user' | 'assistant', content }, ending with the user's turn.
+    async chat(messages, { signal } = {}) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature: 0.2,
+        },
+        { signal },
+      );
+      return { text: completion.choices[0]?.message?.content || '', usage: readUsage(completion.usage) };
+    },
+  };
+}
@@ -0,0 +1,207 @@
+// lib/ranking.js
+
+// Decides which files of a codebase the model sees first. Only a limited number
+// of batches is analyzed (lib/batching.js), so the order matters: files are
+// scored by how central they are in the import graph, whether they are entry
+// points and whether they use risky APIs. Minified and generated files are
+// skipped. Users can pin files (always first, never skipped) or exclude them.
+
+import path from 'path';
+
+// Specifiers in `import ... from 'x'`, `import 'x'`, `export ... from 'x'`,
+// `require('x')`, `import('x')` and CSS `@import 'x'`.
+const JS_IMPORT_PATTERN = /(?:\bfrom\s+|\bimport\s+|\brequire\(\s*|\bimport\(\s*)['"]([^'"\n]+)['"]/g;
+const HTML_REFERENCE_PATTERN = /\b(?:src|href)=["']([^"'#?]+)["']/g;
+const PYTHON_FROM_PATTERN = /^\s*from\s+(\.*[\w.]*)\s+import\b/gm;
+const PYTHON_IMPORT_PATTERN = /^\s*import\s+([\w.]+(?:\s*,\s*[\w.]+)*)/gm;
+const C_INCLUDE_PATTERN = /^\s*#\s*include\s+"([^"]+)"/gm;
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const GENERATED_PATH_PATTERN = /\.min\.(?:[cm]?js|css)$|[.-]bundle\.js$|\.chunk\.js$|(?:^|\/)(?:__generated__|generated)\/|_pb2\.py$|\.pb\.(?:go|cc|h)$|\.designer\.cs$/i;
+const GENERATED_HEADER_PATTERN = /@generated\b|\bDO NOT EDIT\b|\bauto-?generated\b|\bgenerated by\b/i;
+
+const RISKY_APIS = [
+  [/\beval\s*\(|\bnew\s+Function\s*\(/, 'dynamic code execution'],
+  [/\bchild_process\b|\bexecSync?\s*\(|\bspawn\s*\(|\bos\.system\s*\(|\bsubprocess\.|Runtime\.getRuntime\(\)\.exec|\bProcess\.Start\b/, 'process execution'],
+  [/\.innerHTML\s*=|dangerouslySetInnerHTML|document\.write\s*\(|\bv-html\b/, 'HTML injection sink'],
+  [/\b(?:SELECT|INSERT|UPDATE|DELETE)\b[^;\n]*(?:\+|\$\{|%s|\.format\()/, 'SQL built from strings'],
+  [/\bpickle\.loads?\b|\byaml\.load\s*\(|\bunserialize\s*\(|\bObjectInputStream\b|\bBinaryFormatter\b/, 'deserialization'],
+  [/\b(?:password|passwd|secret|api[_-]?key|private[_-]?key)\b/i, 'credentials'],
+  [/\bjwt\b|\bcreateHash\b|\bcreateCipher|\bbcrypt\b|\bhashlib\b|\bMessageDigest\b/i, 'authentication or crypto'],
+  [/\bfs\.\w+\(|\bshutil\.|\bos\.remove\b|\bFile\.(?:Delete|WriteAll)/, 'file system access'],
+];
+
+const SENSITIVE_PATH_PATTERN = /(?:^|\/)(?:auth\w*|login|session\w*|security|crypto|admin|api|routes?|controllers?|middleware\w*|handlers?|payments?)(?:\/|\.|$)/i;
+
+const ENTRY_POINT_NAMES = new Set(['index', 'main', 'app', 'server', 'cli', 'handler', 'manage', 'wsgi', 'asgi', '__main__']);
+const ENTRY_POINT_CODE_PATTERN = /__name__\s*==\s*['"]__main__['"]|\bfunc\s+main\s*\(|\bstatic\s+(?:async\s+)?(?:void|int|Task)\s+Main?\s*\(|\bint\s+main\s*\(|^#!/m;
+
+// Returns why a file looks minified or generated, or null.
+export function detectGenerated(relativePath, content) {
+  if (GENERATED_PATH_PATTERN.test(relativePath)) return 'Generated or minified file (by name).';
+  if (GENERATED_HEADER_PATTERN.test(content.split('\n', 5).join('\n'))) return 'Generated file (marked in its header).';
+  const lines = content.split('\n');
+  const longestLine = lines.reduce((longest, line) => Math.max(longest, line.length), 0);
+  if (content.length >= 1000 && (content.length / lines.length > 200 || longestLine > 5000)) {
+    return 'Minified file (very long lines).';
+  }
+  return null;
+}
+
+const matchAll = (pattern, text) => [...text.matchAll(pattern)].map(match => match[1]);
+
+// Import specifiers of a file, as written.
+function extractImports(relativePath, content) {
+  const extension = path.extname(relativePath).toLowerCase();
+  if (extension === '.py') {
+    return [
+      ...matchAll(PYTHON_FROM_PATTERN, content),
+      ...matchAll(PYTHON_IMPORT_PATTERN, content).flatMap(list => list.split(',').map(name => name.trim())),
+    ].map(name => ({ kind: 'python', name }));
+  }
+  if (['.c', '.cpp', '.h', '.hpp', '.m'].includes(extension)) {
+    return matchAll(C_INCLUDE_PATTERN, content).map(name => ({ kind: 'relative', name }));
+  }
+  if (extension === '.html') {
+    return matchAll(HTML_REFERENCE_PATTERN, content).filter(name => !/^[a-z]+:|^\/\//i.test(name)).map(name => ({ kind: 'relative', name }));
+  }
+  if ([...JS_EXTENSIONS, '.css'].includes(extension)) {
+    return matchAll(JS_IMPORT_PATTERN, content).filter(name => name.startsWith('.')).map(name => ({ kind: 'relative', name }));
+  }
+  return [];
+}
+
+// Maps import specifiers to files of the codebase.
+function createResolver(paths) {
+  const known = new Set(paths);
+  const byBaseName = new Map();
+  for (const filePath of paths) {
+    const baseName = path.posix.basename(filePath);
+    byBaseName.set(baseName, [...(byBaseName.get(baseName) || []), filePath]);
+  }
+  // "pkg/mod.py" may live under any folder of the upload (e.g. "project/src/pkg/mod.py").
+  const bySuffix = (suffix) => (byBaseName.get(path.posix.basename(suffix)) || []).find(filePath => filePath === suffix || filePath.endsWith(`/${suffix}`));
+
+  const withExtensions = (base) => [
+    base,
+    ...JS_EXTENSIONS.map(extension => base + extension),
+    ...JS_EXTENSIONS.map(extension => `${base}/index${extension}`),
+    // TypeScript sources import their compiled name: "./util.js" -> "./util.ts"
+    ...(/\.[cm]?js$/.test(base) ? ['.ts', '.tsx'].map(extension => base.replace(/\.[cm]?js$/, extension)) : []),
+  ];
+
+  return (fromPath, { kind, name }) => {
+    const directory = path.posix.dirname(fromPath);
+    if (kind === 'relative') {
+      const candidates = withExtensions(path.posix.join(directory, name));
+      return candidates.find(candidate => known.has(candidate)) || (name.startsWith('.') ? null : bySuffix(name.replace(/^\/+/, '')) || null);
+    }
+    // Python: leading dots climb packages, the rest is a dotted module path.
+    const dots = name.match(/^\.*/)[0].length;
+    const modulePath = name.slice(dots).split('.').filter(Boolean).join('/');
+    if (dots > 0) {
+      const packageDir = path.posix.join(directory, ...Array(dots - 1).fill('..'));
+      const base = path.posix.join(packageDir, modulePath);
+      return [`${base}.py`, `${base}/__init__.py`].find(candidate => known.has(candidate)) || null;
+    }
+    return modulePath ? bySuffix(`${modulePath}.py`) || bySuffix(`${modulePath}/__init__.py`) || null : null;
+  };
+}
+
+// PageRank over the import graph: a file imported by central files is central too.
+function pageRank(paths, edges, iterations = 20, damping = 0.85) {
+  const count = paths.length;
+  let rank = new Map(paths.map(filePath => [filePath, 1 / count]));
+  for (let i = 0; i < iterations; i++) {
+    const next = new Map(paths.map(filePath => [filePath, (1 - damping) / count]));
+    let danglingRank = 0;
+    for (const filePath of paths) {
+      const targets = edges.get(filePath);
+      if (targets.size === 0) {
+        danglingRank += rank.get(filePath);
+        continue;
+      }
+      for (const target of targets) next.set(target, next.get(target) + damping * rank.get(filePath) / targets.size);
+    }
+    for (const filePath of paths) next.set(filePath, next.get(filePath) + damping * danglingRank / count);
+    rank = next;
+  }
+  return rank;
+}
+
+const isEntryPoint = (filePath, content) => {
+  const name = path.posix.basename(filePath, path.posix.extname(filePath)).toLowerCase();
+  return ENTRY_POINT_NAMES.has(name) || /(?:^|\/)(?:bin|pages|api)\//.test(filePath) || ENTRY_POINT_CODE_PATTERN.test(content);
+};
+
+// Orders `files` ({ relativePath, content }) for analysis. `pinned` paths come
+// first in the given order and are never skipped; `excluded` paths are dropped.
+// Returns { files, skipped, ranking } where `ranking` explains each score and
+// skipped generated files are marked `generated: true` (pinning brings them back).
+export function rankFiles(files, { pinned = [], excluded = [] } = {}) {
+  const pinnedSet = new Set(pinned);
+  const excludedSet = new Set(excluded);
+  const skipped = [];
+  const candidates = [];
+
+  for (const file of files) {
+    if (excludedSet.has(file.relativePath) && !pinnedSet.has(file.relativePath)) {
+      skipped.push({ path: file.relativePath, reason: 'Excluded before the analysis.' });
+      continue;
+    }
+    const generated = pinnedSet.has(file.relativePath) ? null : detectGenerated(file.relativePath, file.content);
+    if (generated) {
+      skipped.push({ path: file.relativePath, reason: generated, generated: true });
+      continue;
+    }
+    candidates.push(file);
+  }
+
+  const paths = candidates.map(file => file.relativePath);
+  const resolve = createResolver(paths);
+  const edges = new Map(paths.map(filePath => [filePath, new Set()]));
+  const importedBy = new Map(paths.map(filePath => [filePath, 0]));
+  for (const file of candidates) {
+    for (const specifier of extractImports(file.relativePath, file.content)) {
+      const target = resolve(file.relativePath, specifier);
+      if (!target || target === file.relativePath || edges.get(file.relativePath).has(target)) continue;
+      edges.get(file.relativePath).add(target);
+      importedBy.set(target, importedBy.get(target) + 1);
+    }
+  }
+
+  const rank = paths.length > 0 ? pageRank(paths, edges) : new Map();
+  const maxRank = Math.max(...rank.values(), 0);
+  const ranking = candidates.map(file => {
+    const reasons = [];
+    const centrality = maxRank > 0 ? rank.get(file.relativePath) / maxRank : 0;
+    const importers = importedBy.get(file.relativePath);
+    if (importers > 0) reasons.push(`imported by ${importers} file${importers === 1 ? '' : 's'}`);
+    // Graph roots that pull in local code are entry points too.
+    const entryPoint = isEntryPoint(file.relativePath, file.content) || (importers === 0 && edges.get(file.relativePath).size > 0);
+    if (entryPoint) reasons.push('entry point');
+    const risks = RISKY_APIS.filter(([pattern]) => pattern.test(file.content)).map(([, label]) => label);
+    if (risks.length > 0) reasons.push(`uses ${risks.join(', ')}`);
+    const sensitivePath = SENSITIVE_PATH_PATTERN.test(file.relativePath);
+    if (sensitivePath) reasons.push('security-sensitive path');
+    if (pinnedSet.has(file.relativePath)) reasons.unshift('pinned');
+
+    const score = 3 * centrality + (entryPoint ? 2 : 0) + 0.75 * Math.min(risks.length, 4) + (sensitivePath ? 1 : 0);
+    return { file, path: file.relativePath, score: Math.round(score * 100) / 100, reasons, pinned: pinnedSet.has(file.relativePath) };
+  });
+
+  const pinnedOrder = (item) => pinned.indexOf(item.path);
+  ranking.sort((a, b) => (
+    (b.pinned - a.pinned) ||
+    (a.pinned ? pinnedOrder(a) - pinnedOrder(b) : 0) ||
+    (b.score - a.score) ||
+    (b.file.content.length - a.file.content.length)
+  ));
+
+  return {
+    files: ranking.map(item => item.file),
+    skipped,
+    ranking: ranking.map(({ path: filePath, score, reasons, pinned: isPinned }) => ({ path: filePath, score, reasons, pinned: isPinned })),
+  };
+}
@@ -0,0 +1,258 @@
+// lib/report.js
+
+// Renders an analysis report as SARIF 2.1.0, JSON, Markdown or standalone
+// HTML. Shared by the API (`format` on /api/analyze) and the UI export
+// buttons, so keep it free of Node-only imports.
+
+import { parseLine, PASTED_CODE_PATH, REPORT_CATEGORIES, SEVERITIES } from './schema.js';
+
+export const TOOL_NAME = 'Codebase Alchemist AI';
+
+export const REPORT_FORMATS = {
+  sarif: { extension: 'sarif', mimeType: 'application/sarif+json' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+};
+
+const CATEGORY_TITLES = {
+  bugs: 'Bugs',
+  security_vulnerabilities: 'Security Vulnerabilities',
+  improvements: 'Improvements',
+  explanations: 'Explanations',
+  exposed_secrets: 'Exposed Secrets',
+};
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+// GitHub code scanning ranks security results by this 0-10 score.
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0', info: '1.0' };
+
+const hasLocation = (filePath) => !!filePath && filePath !== 'N/A' && filePath !== PASTED_CODE_PATH;
+
+// Turns a { category: [findings] } analysis into one list with `category` on each finding.
+export const flattenAnalysis = (analysis) => REPORT_CATEGORIES.flatMap(category =>
+  (analysis?.[category] || []).map(finding => ({ ...finding, category }))
+);
+
+// Fills in what older or hand-built findings may lack.
+function normalizeFinding(finding) {
+  const { line, lineRange } = finding.lineRange
+    ? { line: finding.line, lineRange: finding.lineRange }
+    : (parseLine(finding.line) || { line: 'N/A', lineRange: null });
+  return {
+    category: finding.category,
+    severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'info',
+    message: finding.message || '',
+    filePath: finding.filePath || 'N/A',
+    line,
+    lineRange,
+    suggestedFix: finding.suggestedFix && finding.suggestedFix !== 'N/A' ? finding.suggestedFix : null,
+    edits: finding.edits || [],
+    source: finding.source || 'ai',
+    ruleId: finding.ruleId || null,
+    verification: finding.verification || null,
+    verificationNote: finding.verificationNote || null,
+    excerpt: finding.excerpt || null,
+  };
+}
+
+// `report` is { findings, message, provider, model, createdAt, input: { name }, files }.
+// Only `findings` is required.
+function prepare(report) {
+  const findings = report.findings
+    .filter(finding => REPORT_CATEGORIES.includes(finding.category))
+    .map(normalizeFinding);
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  findings.forEach(finding => counts[finding.severity]++);
+  return {
+    ...report,
+    createdAt: report.createdAt || new Date().toISOString(),
+    title: report.input?.name ? `Code analysis: ${report.input.name}` : 'Code analysis report',
+    findings,
+    counts,
+  };
+}
+
+const ruleIdOf = (finding) => finding.ruleId || `ai/${finding.category}`;
+
+function toSarif(report) {
+  const rules = new Map();
+  for (const finding of report.findings) {
+    const id = ruleIdOf(finding);
+    if (rules.has(id)) continue;
+    rules.set(id, {
+      id,
+      name: id,
+      shortDescription: { text: finding.ruleId ? `${CATEGORY_TITLES[finding.category]}: ${finding.ruleId}` : `${CATEGORY_TITLES[finding.category]} reported by the AI model` },
+      properties: { category: finding.category, tags: [finding.category === 'security_vulnerabilities' || finding.category === 'exposed_secrets' ? 'security' : finding.category] },
+    });
+  }
+
+  const results = report.findings.map(finding => {
+    const result = {
+      ruleId: ruleIdOf(finding),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: finding.suggestedFix ? `${finding.message}\n\nSuggested fix: ${finding.suggestedFix}` : finding.message },
+      properties: { severity: finding.severity, category: finding.category, source: finding.source },
+    };
+    if (finding.verification) result.properties.verification = finding.verification;
+    if (finding.category === 'security_vulnerabilities' || finding.category === 'exposed_secrets') {
+      result.properties['security-severity'] = SECURITY_SEVERITY[finding.severity];
+    }
+    if (hasLocation(finding.filePath)) {
+      const physicalLocation = { artifactLocation: { uri: finding.filePath } };
+      if (finding.lineRange) {
+        physicalLocation.region = { startLine: finding.lineRange.start, endLine: finding.lineRange.end };
+        if (finding.excerpt) physicalLocation.region.snippet = { text: finding.excerpt };
+      }
+      result.locations = [{ physicalLocation }];
+    }
+    const edits = finding.edits.filter(edit => hasLocation(edit.filePath));
+    if (edits.length > 0) {
+      result.fixes = [{
+        description: { text: finding.suggestedFix || 'Suggested edit' },
+        artifactChanges: edits.map(edit => ({
+          artifactLocation: { uri: edit.filePath },
+          replacements: [{
+            deletedRegion: { startLine: edit.startLine, endLine: edit.endLine },
+            insertedContent: { text: edit.replacement },
+          }],
+        })),
+      }];
+    }
+    return result;
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, rules: [...rules.values()] } },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: report.createdAt,
+        properties: { provider: report.provider, model: report.model },
+      }],
+      results,
+    }],
+  }, null, 2);
+}
+
+function toJson(report) {
+  return JSON.stringify({
+    tool: TOOL_NAME,
+    createdAt: report.createdAt,
+    input: report.input || null,
+    provider: report.provider || null,
+    model: report.model || null,
+    message: report.message || null,
+    files: report.files || null,
+    summary: report.counts,
+    findings: report.findings,
+  }, null, 2);
+}
+
+const location = (finding) => {
+  if (!hasLocation(finding.filePath)) {
+    const label = finding.lineRange && finding.lineRange.end > finding.lineRange.start ? 'lines' : 'line';
+    return finding.line !== 'N/A' ? `${label} ${finding.line}` : '';
+  }
+  return finding.line !== 'N/A' ? `${finding.filePath}:${finding.line}` : finding.filePath;
+};
+
+// Model findings whose location could not be checked against the code (lib/verify.js).
+const unverifiedLabel = (finding) => (finding.verification === 'unverified' ? ' (unverified location)' : '');
+
+const summaryLine = (counts) => SEVERITIES.filter(severity => counts[severity] > 0)
+  .map(severity => `${counts[severity]} ${severity}`)
+  .join(', ') || 'no findings';
+
+const findingsByCategory = (findings) => REPORT_CATEGORIES
+  .map(category => [category, findings.filter(finding => finding.category === category)])
+  .filter(([, categoryFindings]) => categoryFindings.length > 0);
+
+// Compact enough for a pull-request comment: one bullet per finding, fixes collapsed.
+function toMarkdown(report) {
+  const lines = [`## ${report.title}`, ''];
+  const meta = [report.provider && `Model: \`${report.provider}\` (\`${report.model}\`)`, `Generated: ${report.createdAt}`].filter(Boolean);
+  lines.push(meta.join(' · '), '', `**${report.findings.length} findings:** ${summaryLine(report.counts)}`, '');
+  if (report.message) lines.push(`> ${report.message}`, '');
+
+  for (const [category, findings] of findingsByCategory(report.findings)) {
+    lines.push(`### ${CATEGORY_TITLES[category]} (${findings.length})`, '');
+    for (const finding of findings) {
+      const where = location(finding);
+      const message = finding.message.replace(/\n+/g, ' ');
+      lines.push(`- **${finding.severity}**${where ? ` \`${where}\`` : ''}${finding.ruleId ? ` [${finding.ruleId}]` : ''}${unverifiedLabel(finding)} — ${message}`);
+      if (finding.suggestedFix) {
+        lines.push('  <details><summary>Suggested fix</summary>', '', '  ```', ...finding.suggestedFix.split('\n').map(line => `  ${line}`), '  ```', '', '  </details>');
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const HTML_STYLES = `
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; }
+.meta { color: #6b7280; font-size: .9rem; }
+.finding { border-left: 4px solid #9ca3af; background: #f9fafb; padding: .5rem 1rem; margin: .75rem 0; }
+.finding.critical { border-color: #b91c1c; } .finding.high { border-color: #ef4444; }
+.finding.medium { border-color: #eab308; } .finding.low { border-color: #22c55e; } .finding.info { border-color: #3b82f6; }
+.severity { font-weight: 600; text-transform: uppercase; font-size: .75rem; }
+.where { font-family: monospace; color: #4b5563; font-size: .85rem; }
+p { white-space: pre-wrap; margin: .25rem 0; }
+pre { background: #111827; color: #f9fafb; padding: .75rem; overflow-x: auto; font-size: .85rem; }`;
+
+// One file with inline styles and no scripts, so it can be attached to a ticket as is.
+function toHtml(report) {
+  const sections = findingsByCategory(report.findings).map(([category, findings]) => `
+<h2>${CATEGORY_TITLES[category]} (${findings.length})</h2>
+${findings.map(finding => `<div class="finding ${finding.severity}">
+  <span class="severity">${finding.severity}</span>
+  <span class="where">${escapeHtml(location(finding))}${finding.ruleId ? ` [${escapeHtml(finding.ruleId)}]` : ''}${unverifiedLabel(finding)}</span>
+  <p>${escapeHtml(finding.message)}</p>
+  ${finding.suggestedFix ? `<pre>${escapeHtml(finding.suggestedFix)}</pre>` : ''}
+</div>`).join('\n')}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${report.provider ? `${escapeHtml(report.provider)} (${escapeHtml(report.model)}) · ` : ''}${escapeHtml(report.createdAt)} · ${escapeHtml(TOOL_NAME)}</p>
+${report.message ? `<p class="meta">${escapeHtml(report.message)}</p>` : ''}
+<p><strong>${report.findings.length} findings:</strong> ${summaryLine(report.counts)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { sarif: toSarif, json: toJson, markdown: toMarkdown, html: toHtml };
+
+export function renderReport(format, report) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown report format "${format}". Use one of: ${Object.keys(RENDERERS).join(', ')}.`);
+  return render(prepare(report));
+}
+
+// e.g. "my-project.zip" + "sarif" -> "my-project-analysis.sarif"
+export function reportFileName(inputName, format) {
+  const base = String(inputName || 'code').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'code';
+  return `${base}-analysis.${REPORT_FORMATS[format].extension}`;
+}
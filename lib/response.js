@@ -0,0 +1,94 @@
+// lib/response.js
+
+// What an analysis answers, shared by /api/analyze and the background jobs
+// (lib/jobs.js) so both return the same body.
+
+import { PROJECT_CONFIG_FILE } from './profiles.js';
+import { countSuppressed } from './baseline.js';
+import { costOf, priceFor } from './pricing.js';
+import { integerSetting } from './env.js';
+import { errorStatus } from './errors.js';
+
+// Cap on the source text returned for the code viewer; larger codebases get the tree, and content up to the cap.
+const CODE_VIEW_MAX_BYTES = integerSetting('CODE_VIEW_MAX_BYTES', 5 * 1024 * 1024);
+
+// The uploaded files with their original text, for the UI's file tree and
+// code viewer. Pasted code is already on screen, and files rebuilt from diff
+// hunks only have no real content, so both come without it.
+function describeCodebase(codeFiles) {
+  let remainingBytes = CODE_VIEW_MAX_BYTES;
+  return codeFiles.filter(file => file.relativePath).map(file => {
+    const size = Buffer.byteLength(file.content);
+    const included = !file.partial && size <= remainingBytes;
+    if (included) remainingBytes -= size;
+    return { path: file.relativePath, size, content: included ? file.content : null };
+  });
+}
+
+// The body of an analysis response: `input` is what api/analyze.js read from
+// the request, `result` what lib/pipeline.js returned.
+export function buildResponse(input, provider, result) {
+  const skipped = [...input.skippedFiles, ...result.files.skipped];
+  let analysisMessage = input.analysisMessage;
+  if (input.config.profile !== 'default' || input.config.hasProjectConfig) {
+    analysisMessage += ` Profile: ${input.config.profile}${input.config.hasProjectConfig ? `, with ${PROJECT_CONFIG_FILE}` : ''}.`;
+  }
+
+  const suppressedCounts = countSuppressed(result.suppressed);
+  if (suppressedCounts.total > 0) {
+    analysisMessage += ` Suppressed ${suppressedCounts.total} known finding(s) (${suppressedCounts.baseline} by the baseline, ${suppressedCounts.inline} by alchemist-ignore comments).`;
+  }
+
+  if (result.cache.hits.length > 0) {
+    analysisMessage += ` Reused cached results for ${result.cache.hits.length} unchanged file(s).`;
+  }
+
+  if (input.codeFiles.length === 0) {
+    analysisMessage += ' No supported code files (.js, .py, etc.) were found.';
+  } else if (result.aiError) {
+    analysisMessage += ` The AI analysis failed (${result.aiError}); showing static analysis findings only.`;
+  } else if (result.files.analyzed.length === 0) {
+    analysisMessage += ' None of the files could be analyzed.';
+  } else if (result.batchCount > 1 || skipped.length > 0) {
+    const batches = result.batchCount > 0 ? ` in ${result.batchCount} batches` : '';
+    analysisMessage += ` Analyzed ${result.files.analyzed.length} files${batches}, skipped ${skipped.length}.`;
+  }
+
+  return {
+    analysis: result.analysis,
+    parsed: result.parsed,
+    rawResponses: result.rawResponses,
+    aiError: result.aiError,
+    message: analysisMessage,
+    files: { ...result.files, skipped },
+    sources: result.sources,
+    codebase: describeCodebase(input.codeFiles),
+    suppressed: result.suppressed,
+    suppressedCounts,
+    cache: result.cache,
+    provider: provider.name,
+    model: provider.model,
+    profile: input.config.profile,
+    usage: {
+      ...result.usage,
+      totalTokens: result.usage.promptTokens + result.usage.completionTokens,
+      cost: costOf(result.usage, priceFor(provider.name, provider.model)),
+    },
+  };
+}
+
+// { status, error } for a failed analysis. `userKey` tells whether the request
+// ran on the caller's own provider key.
+export function toErrorResponse(error, userKey) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return { status: 413, error: `File too large. Maximum allowed is 4.5MB.` };
+  }
+
+  let errorMessage = 'Failed to analyze code due to an internal server error.';
+  if (error.message && error.message.includes("API key")) {
+      errorMessage = userKey ? "The provider rejected your API key." : "The LLM provider API key is missing or invalid.";
+  } else if (error.message) {
+    errorMessage = error.message;
+  }
+  return { status: errorStatus(error), error: errorMessage };
+}
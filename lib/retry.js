@@ -0,0 +1,62 @@
+// lib/retry.js
+
+// Retries model calls that failed for a passing reason: rate limits,
+// overloaded or unreachable servers, timeouts. Waits grow exponentially, with
+// jitter so parallel batches do not retry in lockstep.
+
+import { integerSetting } from './env.js';
+
+export const RETRY_LIMITS = {
+  // Retries after the first try; 0 turns retrying off.
+  attempts: integerSetting('MODEL_RETRY_ATTEMPTS', 3),
+  baseDelayMs: integerSetting('MODEL_RETRY_BASE_DELAY_MS', 1000),
+  maxDelayMs: 30 * 1000,
+};
+
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Network failures surface without an HTTP status, as SDK connection errors or fetch errors.
+const TRANSIENT_NETWORK_ERROR = /fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|timed out/i;
+
+export function isTransientError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  // OpenAI reports an exhausted billing quota as a 429 too; waiting does not help.
+  if (error.code === 'insufficient_quota') return false;
+  if (TRANSIENT_STATUSES.has(error.status)) return true;
+  return error.status === undefined && (/Connection|Timeout/.test(error.name) || TRANSIENT_NETWORK_ERROR.test(error.message || ''));
+}
+
+// Resolves after `ms`, or rejects with the abort reason as soon as `signal` aborts.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Wraps `provider` so generate() and chat() retry transient errors up to
+// `attempts` times. `onRetry({ error, attempt, delayMs })` is called before each wait.
+export function withRetries(provider, { attempts = RETRY_LIMITS.attempts, baseDelayMs = RETRY_LIMITS.baseDelayMs, onRetry = () => {} } = {}) {
+  const retrying = (call) => async (input, options = {}) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await call(input, options);
+      } catch (error) {
+        if (attempt > attempts || options.signal?.aborted || !isTransientError(error)) throw error;
+        const delayMs = Math.round(Math.min(baseDelayMs * 2 ** (attempt - 1), RETRY_LIMITS.maxDelayMs) * (0.5 + Math.random() / 2));
+        onRetry({ error, attempt, delayMs });
+        await sleep(delayMs, options.signal);
+      }
+    }
+  };
+  return {
+    ...provider,
+    generate: retrying((prompt, options) => provider.generate(prompt, options)),
+    chat: retrying((messages, options) => provider.chat(messages, options)),
+  };
+}
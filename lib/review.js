@@ -0,0 +1,105 @@
+// lib/review.js
+
+// Change reviews: turns a unified diff (or a git bundle) plus the optional base
+// files into the file list for lib/pipeline.js. Each changed file carries
+// `review.changedRanges` (new-side lines), so only those regions and their
+// context are sent to the model.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { applyFilePatch, changedRanges, isNewSide, parseUnifiedDiff, reconstructFromHunks } from './diff.js';
+import { SUPPORTED_EXTENSIONS } from './files.js';
+import { httpError } from './errors.js';
+import { extractGitBundle, git } from './archive.js';
+
+export const DIFF_EXTENSIONS = ['.patch', '.diff'];
+
+// A diff uploaded on its own is a review; a git bundle on its own is a codebase (lib/archive.js).
+export const isDiffUpload = (fileName) => DIFF_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+// `baseFiles` maps relative paths to the content of the uploaded codebase, or is
+// null when only the diff was uploaded. Uploaded files may be either side of the
+// change: the patch is applied if they are from before it, and they are used as
+// is if they already contain it. `filesAreNewSide` skips the guessing.
+// Returns { files, skipped } with files shaped like lib/files.js readCodeFiles().
+export function buildReviewFiles(diffText, { baseFiles = null, filesAreNewSide = false, extensions = SUPPORTED_EXTENSIONS } = {}) {
+  const patches = parseUnifiedDiff(diffText);
+  if (patches.length === 0) {
+    throw httpError(400, 'The diff contains no file changes.');
+  }
+
+  const files = [];
+  const skipped = [];
+
+  for (const patch of patches) {
+    if (!patch.newPath) {
+      skipped.push({ path: patch.oldPath, reason: 'Deleted by the change.' });
+      continue;
+    }
+    if (!extensions.includes(path.extname(patch.newPath).toLowerCase())) {
+      skipped.push({ path: patch.newPath, reason: 'Unsupported file type.' });
+      continue;
+    }
+
+    let content = null;
+    if (baseFiles) {
+      const base = patch.oldPath ? (baseFiles.get(patch.newPath) ?? baseFiles.get(patch.oldPath)) : '';
+      if (base !== undefined && filesAreNewSide) {
+        content = base;
+      } else if (base !== undefined) {
+        content = applyFilePatch(base, patch) ?? (isNewSide(base, patch) ? base : null);
+      }
+      if (content === null) {
+        console.warn(`[review] ${patch.newPath} does not match the diff; reviewing its hunks only.`);
+      }
+    }
+
+    const ranges = changedRanges(patch);
+    if (ranges.length === 0) {
+      skipped.push({ path: patch.newPath, reason: 'No added or modified lines.' });
+      continue;
+    }
+    files.push({
+      relativePath: patch.newPath,
+      content: content ?? reconstructFromHunks(patch),
+      // Without the full file there is nothing to parse or patch, only the hunks to review.
+      partial: content === null,
+      review: { changedRanges: ranges },
+    });
+  }
+
+  return { files, skipped };
+}
+
+// Checks out a self-contained bundle into `workDir` with the archive limits
+// (lib/archive.js) and diffs `baseRef` (default: the parent of HEAD) against
+// HEAD. Returns { diffText, newFiles, rejected } where `newFiles` holds the
+// changed files as of HEAD and `rejected` what the checkout refused.
+export async function readGitBundle(bundlePath, workDir, baseRef = 'HEAD~1') {
+  if (!/^[\w./~^@{}-]+$/.test(baseRef) || baseRef.startsWith('-')) {
+    throw httpError(400, `Invalid base ref "${baseRef}".`);
+  }
+
+  const { rejected } = await extractGitBundle(bundlePath, workDir);
+
+  let diffText;
+  try {
+    ({ stdout: diffText } = await git(['-C', workDir, 'diff', '--no-color', '--no-ext-diff', baseRef, 'HEAD', '--']));
+  } catch (error) {
+    console.error('[review] git diff failed:', error.stderr || error.message);
+    throw httpError(400, `Could not diff "${baseRef}" against HEAD in the bundle.`);
+  }
+
+  const newFiles = new Map();
+  for (const patch of parseUnifiedDiff(diffText)) {
+    const filePath = patch.newPath && path.resolve(workDir, patch.newPath);
+    // Paths come from the diff; never read outside the clone.
+    if (!filePath || !filePath.startsWith(path.resolve(workDir) + path.sep)) continue;
+    try {
+      newFiles.set(patch.newPath, await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`[review] Could not read ${patch.newPath} from the bundle:`, error.message);
+    }
+  }
+  return { diffText, newFiles, rejected };
+}
@@ -0,0 +1,124 @@
+// lib/schema.js
+
+// Schema for the analysis JSON the model must return. Validation collects
+// readable errors (they are sent back to the model in the repair prompt) and
+// returns a normalized copy of the findings.
+
+export const ANALYSIS_CATEGORIES = ['bugs', 'security_vulnerabilities', 'improvements', 'explanations'];
+
+// Categories of the final report: the model's plus the ones only produced locally.
+export const REPORT_CATEGORIES = [...ANALYSIS_CATEGORIES, 'exposed_secrets'];
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// The `filePath` of findings in pasted code, which has no path of its own.
+export const PASTED_CODE_PATH = 'Pasted code';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Finds the first balanced {...} block that parses as JSON. Unlike a regex this
+// copes with nested objects and braces inside strings, with or without a
+// ```json fence around the object.
+export function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          break; // Not valid JSON from this brace, try the next one
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Accepts 15, "15", "12-14", "L12-L14", { start, end } or "N/A".
+// Returns { line, lineRange } with `line` as the display string, or null if invalid.
+export function parseLine(value) {
+  if (value === undefined || value === null || value === '' || (typeof value === 'string' && /^n\/?a$/i.test(value.trim()))) {
+    return { line: 'N/A', lineRange: null };
+  }
+
+  let start;
+  let end;
+  if (typeof value === 'number') {
+    start = end = value;
+  } else if (typeof value === 'object') {
+    start = Number(value.start);
+    end = value.end === undefined ? start : Number(value.end);
+  } else {
+    const match = String(value).trim().match(/^(?:lines?\s*)?L?(\d+)(?:\s*[-–]\s*L?(\d+))?$/i);
+    if (!match) return null;
+    start = Number(match[1]);
+    end = match[2] ? Number(match[2]) : start;
+  }
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) return null;
+  return { line: start === end ? String(start) : `${start}-${end}`, lineRange: { start, end } };
+}
+
+function validateFinding(finding, path, errors) {
+  if (!finding || typeof finding !== 'object' || Array.isArray(finding)) {
+    errors.push(`${path} must be an object.`);
+    return null;
+  }
+
+  const findingErrors = [];
+  if (!isNonEmptyString(finding.message)) findingErrors.push(`${path}.message must be a non-empty string.`);
+
+  const severity = typeof finding.severity === 'string' ? finding.severity.trim().toLowerCase() : finding.severity;
+  if (!SEVERITIES.includes(severity)) findingErrors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')} (got ${JSON.stringify(finding.severity)}).`);
+
+  const line = parseLine(finding.line);
+  if (!line) findingErrors.push(`${path}.line must be a line number, a range like "12-14", or "N/A" (got ${JSON.stringify(finding.line)}).`);
+
+  if (!isNonEmptyString(finding.filePath)) findingErrors.push(`${path}.filePath must be a file path or "N/A".`);
+
+  if (finding.suggestedFix !== undefined && finding.suggestedFix !== null && typeof finding.suggestedFix !== 'string') {
+    findingErrors.push(`${path}.suggestedFix must be a string.`);
+  }
+  if (finding.edits !== undefined && !Array.isArray(finding.edits)) findingErrors.push(`${path}.edits must be an array.`);
+
+  errors.push(...findingErrors);
+  if (findingErrors.length > 0) return null;
+
+  return { ...finding, severity, ...line, filePath: finding.filePath.trim() };
+}
+
+// Returns { valid, errors, analysis } where `analysis` holds the normalized findings.
+export function validateAnalysis(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['The response must be a single JSON object.'], analysis: null };
+  }
+
+  const analysis = {};
+  for (const category of ANALYSIS_CATEGORIES) {
+    if (!Array.isArray(data[category])) {
+      errors.push(`"${category}" must be an array (use [] when there are no items).`);
+      continue;
+    }
+    analysis[category] = data[category].map((finding, index) => validateFinding(finding, `${category}[${index}]`, errors));
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, analysis: null }
+    : { valid: true, errors: [], analysis };
+}
@@ -0,0 +1,123 @@
+// lib/secrets.js
+
+// Detects credentials in code before it is sent to a third-party model and
+// replaces them with placeholders. Redaction keeps every newline, so line
+// numbers reported against the redacted text still match the original file.
+
+import { PASTED_CODE_PATH } from './schema.js';
+
+export const REDACTION_PREFIX = '[REDACTED_';
+
+// Known formats first: they are precise, so they win over the generic checks.
+const SECRET_PATTERNS = [
+  { type: 'private_key', label: 'Private key', severity: 'critical', pattern: /-----BEGIN ((?:RSA|DSA|EC|OPENSSH|PGP|ENCRYPTED) )?PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1?PRIVATE KEY\2?-----/g },
+  { type: 'aws_access_key', label: 'AWS access key ID', severity: 'critical', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github_token', label: 'GitHub token', severity: 'critical', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})\b/g },
+  { type: 'slack_token', label: 'Slack token', severity: 'critical', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'stripe_key', label: 'Stripe secret key', severity: 'critical', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+  { type: 'google_api_key', label: 'Google API key', severity: 'critical', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'anthropic_key', label: 'Anthropic API key', severity: 'critical', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { type: 'openai_key', label: 'OpenAI API key', severity: 'critical', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'jwt', label: 'JSON Web Token', severity: 'high', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { type: 'connection_string', label: 'Connection string with credentials', severity: 'critical', pattern: /\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|mariadb|redis|rediss|amqps?|mssql|sqlserver):\/\/[^\s:@/'"`]*:[^\s@/'"`]+@[^\s'"`]+/g },
+];
+
+// `password = "..."`-style assignments where the value is not a placeholder.
+const ASSIGNMENT_PATTERN = /\b[\w.-]*(?:secret|passw(?:or)?d|pwd|token|api[_-]?key|access[_-]?key|auth)[\w.-]*["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi;
+const PLACEHOLDER_PATTERN = /^(x+|\*+|changeme|your[_-].*|<.*>|\$\{.*\}|example.*|dummy.*|placeholder.*|process\.env.*)$/i;
+
+// Long quoted tokens with a random-looking character mix.
+const QUOTED_TOKEN_PATTERN = /["'`]([A-Za-z0-9+/=_-]{24,200})["'`]/g;
+const MIN_TOKEN_ENTROPY = 4.0;
+
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+const looksRandom = (value) => (
+  /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= MIN_TOKEN_ENTROPY
+);
+
+const lineAt = (content, index) => content.slice(0, index).split('\n').length;
+
+// Shows enough of the value to recognize it without repeating the secret.
+export const maskSecret = (value) => (value.length <= 8 ? '****' : `${value.slice(0, 4)}…${value.slice(-2)}`);
+
+// Returns [{ type, label, severity, start, end, line, value }] sorted by position,
+// without overlapping matches.
+export function scanSecrets(content) {
+  const matches = [];
+  const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+  const add = (detector, start, value) => {
+    const end = start + value.length;
+    if (overlaps(start, end)) return;
+    matches.push({ type: detector.type, label: detector.label, severity: detector.severity, start, end, line: lineAt(content, start), value });
+  };
+
+  for (const detector of SECRET_PATTERNS) {
+    for (const match of content.matchAll(detector.pattern)) add(detector, match.index, match[0]);
+  }
+
+  for (const match of content.matchAll(ASSIGNMENT_PATTERN)) {
+    const value = match[1];
+    if (PLACEHOLDER_PATTERN.test(value) || value.startsWith(REDACTION_PREFIX)) continue;
+    add({ type: 'hardcoded_credential', label: 'Hard-coded credential', severity: 'high' }, match.index + match[0].lastIndexOf(value), value);
+  }
+
+  for (const match of content.matchAll(QUOTED_TOKEN_PATTERN)) {
+    const value = match[1];
+    // Subresource-integrity and lockfile hashes are high-entropy but not secrets.
+    if (/^sha(?:1|256|384|512)-/.test(value) || !looksRandom(value)) continue;
+    add({ type: 'high_entropy_string', label: 'High-entropy token', severity: 'medium' }, match.index + 1, value);
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+export function redactSecrets(content, matches) {
+  let redacted = '';
+  let cursor = 0;
+  for (const match of matches) {
+    const newlines = '\n'.repeat((match.value.match(/\n/g) || []).length);
+    redacted += content.slice(cursor, match.start) + `${REDACTION_PREFIX}${match.type.toUpperCase()}]` + newlines;
+    cursor = match.end;
+  }
+  return redacted + content.slice(cursor);
+}
+
+// Scans every file. Returns the files with a redacted `promptContent` (the
+// original `content` is left untouched) and one "Exposed Secret" finding per match.
+export function redactFiles(files) {
+  const findings = [];
+
+  const redactedFiles = files.map(file => {
+    const matches = scanSecrets(file.content);
+    if (matches.length === 0) return file;
+
+    const filePath = file.relativePath || PASTED_CODE_PATH;
+    for (const match of matches) {
+      const endLine = match.line + (match.value.match(/\n/g) || []).length;
+      findings.push({
+        message: `${match.label} \`${maskSecret(match.value)}\` is exposed in the source. It was redacted before the code was sent to the AI model. Rotate it and load it from an environment variable or secret store instead.`,
+        line: match.line === endLine ? String(match.line) : `${match.line}-${endLine}`,
+        lineRange: { start: match.line, end: endLine },
+        severity: match.severity,
+        suggestedFix: 'N/A',
+        filePath,
+        edits: [],
+        source: 'secret-scan',
+        ruleId: `secret/${match.type}`,
+      });
+    }
+    return { ...file, promptContent: redactSecrets(file.content, matches) };
+  });
+
+  return { files: redactedFiles, findings };
+}
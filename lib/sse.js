@@ -0,0 +1,22 @@
+// lib/sse.js
+
+// Minimal Server-Sent Events writer on top of a Node response object.
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop proxies from buffering the stream
+  });
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
@@ -0,0 +1,235 @@
+// lib/staticAnalysis.js
+
+import path from 'path';
+import { parse } from '@babel/parser';
+import traverseModule from '@babel/traverse';
+import { emptyAnalysis } from './analysis.js';
+import { PASTED_CODE_PATH } from './schema.js';
+
+// @babel/traverse is CommonJS; its ESM default export is the module object.
+const traverse = traverseModule.default || traverseModule;
+
+// Deterministic checks that run before the model call. Findings use the same
+// shape as the model's (see lib/schema.js) plus `source: "static"` and a `ruleId`.
+
+export const STATIC_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+const SECRET_NAME_PATTERN = /(secret|passw(or)?d|pwd|token|api[_-]?key|private[_-]?key|access[_-]?key|client[_-]?secret)/i;
+const PLACEHOLDER_PATTERN = /^(x+|\*+|changeme|your[_-].*|<.*>|\$\{.*\}|example.*|test|dummy|placeholder)$/i;
+
+function parserPlugins(extension) {
+  if (extension === '.ts') return ['typescript'];
+  if (extension === '.tsx') return ['typescript', 'jsx'];
+  return ['jsx'];
+}
+
+function createFinding(category, { ruleId, message, severity, node, filePath }) {
+  const start = node?.loc?.start.line;
+  const end = node?.loc?.end.line ?? start;
+  return {
+    category,
+    finding: {
+      message,
+      line: start ? (start === end ? String(start) : `${start}-${end}`) : 'N/A',
+      lineRange: start ? { start, end } : null,
+      severity,
+      suggestedFix: 'N/A',
+      filePath,
+      edits: [],
+      source: 'static',
+      ruleId,
+    },
+  };
+}
+
+const keyName = (node) => {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+};
+
+const looksLikeSecret = (name, value) => (
+  !!name && SECRET_NAME_PATTERN.test(name) &&
+  typeof value === 'string' && value.length >= 8 && !/\s/.test(value) && !PLACEHOLDER_PATTERN.test(value)
+);
+
+const isUnusedIgnored = (name) => name.startsWith('_');
+
+// Runs every rule over one parsed file.
+function runRules(ast, filePath, extension) {
+  const results = [];
+  const report = (category, details) => results.push(createFinding(category, { ...details, filePath }));
+  const unusedBindings = new Set();
+  let hasJsx = false;
+
+  traverse(ast, {
+    CallExpression(nodePath) {
+      const { callee } = nodePath.node;
+      if (callee.type === 'Identifier' && callee.name === 'eval' && !nodePath.scope.hasBinding('eval', true)) {
+        report('security_vulnerabilities', {
+          ruleId: 'no-eval',
+          message: '`eval()` executes arbitrary strings as code, which enables code injection if any part of the input is user-controlled.',
+          severity: 'high',
+          node: nodePath.node,
+        });
+      }
+      if (callee.type === 'MemberExpression' && keyName(callee.property) === 'insertAdjacentHTML') {
+        report('security_vulnerabilities', {
+          ruleId: 'no-inner-html',
+          message: '`insertAdjacentHTML()` parses its argument as HTML; unescaped input leads to XSS.',
+          severity: 'medium',
+          node: nodePath.node,
+        });
+      }
+    },
+    NewExpression(nodePath) {
+      const { callee } = nodePath.node;
+      if (callee.type === 'Identifier' && callee.name === 'Function' && !nodePath.scope.hasBinding('Function', true)) {
+        report('security_vulnerabilities', {
+          ruleId: 'no-eval',
+          message: '`new Function()` compiles strings into code, with the same injection risk as `eval()`.',
+          severity: 'high',
+          node: nodePath.node,
+        });
+      }
+    },
+    AssignmentExpression(nodePath) {
+      const { left, right } = nodePath.node;
+      if (left.type === 'MemberExpression') {
+        const property = keyName(left.property);
+        if (property === 'innerHTML' || property === 'outerHTML') {
+          report('security_vulnerabilities', {
+            ruleId: 'no-inner-html',
+            message: `Assigning to \`${property}\` parses the value as HTML; unescaped input leads to XSS. Prefer \`textContent\` or sanitize the markup.`,
+            severity: 'medium',
+            node: nodePath.node,
+          });
+        }
+        if (right.type === 'StringLiteral' && looksLikeSecret(property, right.value)) {
+          report('security_vulnerabilities', {
+            ruleId: 'hardcoded-secret',
+            message: `\`${property}\` is assigned a hard-coded credential. Load it from environment variables or a secret store instead.`,
+            severity: 'high',
+            node: nodePath.node,
+          });
+        }
+      }
+    },
+    JSXElement() {
+      hasJsx = true;
+    },
+    JSXFragment() {
+      hasJsx = true;
+    },
+    JSXAttribute(nodePath) {
+      if (nodePath.node.name.name === 'dangerouslySetInnerHTML') {
+        report('security_vulnerabilities', {
+          ruleId: 'no-inner-html',
+          message: '`dangerouslySetInnerHTML` renders raw HTML; make sure the content is sanitized.',
+          severity: 'medium',
+          node: nodePath.node,
+        });
+      }
+    },
+    VariableDeclarator(nodePath) {
+      const { id, init } = nodePath.node;
+      if (id.type === 'Identifier' && init?.type === 'StringLiteral' && looksLikeSecret(id.name, init.value)) {
+        report('security_vulnerabilities', {
+          ruleId: 'hardcoded-secret',
+          message: `\`${id.name}\` holds a hard-coded credential. Load it from environment variables or a secret store instead.`,
+          severity: 'high',
+          node: nodePath.node,
+        });
+      }
+    },
+    ObjectProperty(nodePath) {
+      const { key, value } = nodePath.node;
+      const name = keyName(key);
+      if (value.type === 'StringLiteral' && looksLikeSecret(name, value.value)) {
+        report('security_vulnerabilities', {
+          ruleId: 'hardcoded-secret',
+          message: `\`${name}\` holds a hard-coded credential. Load it from environment variables or a secret store instead.`,
+          severity: 'high',
+          node: nodePath.node,
+        });
+      }
+    },
+    Scope(nodePath) {
+      for (const [name, binding] of Object.entries(nodePath.scope.bindings)) {
+        if (binding.referenced || isUnusedIgnored(name)) continue;
+        if (!['var', 'let', 'const', 'module'].includes(binding.kind)) continue;
+        // TypeScript type-only uses of imports are not tracked as references.
+        if (binding.kind === 'module' && (extension === '.ts' || extension === '.tsx')) continue;
+        if (binding.path.parentPath?.parentPath?.isExportNamedDeclaration()) continue;
+        unusedBindings.add(binding);
+      }
+    },
+  });
+
+  for (const binding of unusedBindings) {
+    const name = binding.identifier.name;
+    // The classic JSX runtime needs React in scope without referencing it.
+    if (binding.kind === 'module' && name === 'React' && hasJsx) continue;
+    report('improvements', {
+      ruleId: 'no-unused-vars',
+      message: `\`${name}\` is ${binding.kind === 'module' ? 'imported' : 'declared'} but never used.`,
+      severity: 'low',
+      node: binding.identifier,
+    });
+  }
+
+  return results;
+}
+
+// `files` is an array of { relativePath, content }. Only JS/TS files are
+// checked; the rest are left to the model.
+export function analyzeStatic(files) {
+  const analysis = emptyAnalysis();
+  const analyzedFiles = [];
+
+  for (const file of files) {
+    const filePath = file.relativePath || PASTED_CODE_PATH;
+    // Pasted code has no extension; give it a try as JavaScript.
+    const extension = file.relativePath ? path.extname(file.relativePath).toLowerCase() : '.jsx';
+    if (!STATIC_EXTENSIONS.includes(extension)) continue;
+
+    let ast;
+    try {
+      ast = parse(file.content, {
+        sourceType: 'unambiguous',
+        errorRecovery: false,
+        plugins: parserPlugins(extension),
+      });
+    } catch (error) {
+      // Pasted code may not be JavaScript at all, so a parse error there is not a finding.
+      if (!file.relativePath) continue;
+      const line = error.loc?.line;
+      analysis.bugs.push(createFinding('bugs', {
+        ruleId: 'syntax-error',
+        message: `Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+        severity: 'high',
+        node: line ? { loc: { start: { line }, end: { line } } } : null,
+        filePath,
+      }).finding);
+      analyzedFiles.push(filePath);
+      continue;
+    }
+
+    for (const { category, finding } of runRules(ast, filePath, extension)) {
+      analysis[category].push(finding);
+    }
+    analyzedFiles.push(filePath);
+  }
+
+  return { analysis, analyzedFiles };
+}
+
+// One line per finding, for handing the static results to the model as context.
+export function formatStaticFindings(analysis, filePaths) {
+  return Object.values(analysis)
+    .flat()
+    .filter(finding => finding.source === 'static' && filePaths.includes(finding.filePath))
+    .map(finding => `- ${finding.filePath}:${finding.line} [${finding.ruleId}] ${finding.message}`)
+    .join('\n');
+}
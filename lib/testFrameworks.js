@@ -0,0 +1,63 @@
+// lib/testFrameworks.js
+
+// The test frameworks generated tests can be written for (lib/testgen.js).
+// This module is shared by the API and the UI's framework picker, so keep it
+// free of Node-only imports. JavaScript tests of `runnable` frameworks can be
+// run on the server (lib/testRunner.js).
+
+export const TEST_LANGUAGES = {
+  javascript: {
+    label: 'JavaScript/TypeScript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
+    defaultFramework: 'node-test',
+  },
+  python: {
+    label: 'Python',
+    extensions: ['.py'],
+    defaultFramework: 'pytest',
+  },
+};
+
+export const TEST_FRAMEWORKS = {
+  vitest: {
+    label: 'Vitest',
+    language: 'javascript',
+    runnable: true,
+    instructions: 'Import describe, it, expect and vi from "vitest". Name test files like src/util.test.js, next to the file they test.',
+  },
+  jest: {
+    label: 'Jest',
+    language: 'javascript',
+    runnable: true,
+    instructions: 'Use the Jest globals describe, test, expect and jest.fn without importing them. Name test files like src/util.test.js, next to the file they test.',
+  },
+  mocha: {
+    label: 'Mocha',
+    language: 'javascript',
+    runnable: true,
+    instructions: 'Use the Mocha globals describe and it, with assertions from "node:assert/strict". Name test files like test/util.test.js.',
+  },
+  'node-test': {
+    label: 'node:test',
+    language: 'javascript',
+    runnable: true,
+    instructions: 'Import describe and it from "node:test" and assertions from "node:assert/strict"; use no other test libraries. Name test files like src/util.test.js, next to the file they test.',
+  },
+  pytest: {
+    label: 'pytest',
+    language: 'python',
+    runnable: false,
+    instructions: 'Write plain pytest test functions with assert statements, pytest.raises for expected exceptions and pytest.mark.parametrize for tables of cases. Name test files like tests/test_util.py.',
+  },
+  unittest: {
+    label: 'unittest',
+    language: 'python',
+    runnable: false,
+    instructions: 'Write unittest.TestCase classes using the standard library only. Name test files like tests/test_util.py.',
+  },
+};
+
+export const languageOfPath = (filePath) => Object.keys(TEST_LANGUAGES)
+  .find(language => TEST_LANGUAGES[language].extensions.some(extension => filePath.toLowerCase().endsWith(extension))) || null;
+
+export const listTestFrameworks = () => Object.entries(TEST_FRAMEWORKS).map(([name, framework]) => ({ name, ...framework }));
@@ -0,0 +1,130 @@
+// lib/testRunner.js
+
+// Runs generated JavaScript tests (lib/testgen.js) against the uploaded code
+// in a child Node process per test file. The process may only read and write
+// its own temporary directory (Node's permission model, which also refuses
+// child processes and native addons), gets no environment variables, a memory
+// cap and a time limit. The network is NOT blocked, so this is off unless the
+// server opts in with TEST_RUNS_ENABLED=true.
+//
+// Frameworks are not installed: "vitest" and "@jest/globals" resolve to
+// lib/testShim.js, which is also set up as the Jest and Mocha globals.
+
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { makeTempDir, writeEntry } from './archive.js';
+import { languageOfPath, TEST_FRAMEWORKS } from './testFrameworks.js';
+
+export const TEST_RUN_LIMITS = {
+  enabled: process.env.TEST_RUNS_ENABLED === 'true',
+  timeoutMs: Number(process.env.TEST_RUN_TIMEOUT_MS) || 10_000,
+  maxMemoryMb: 256,
+  maxOutputChars: 8000,
+};
+
+const SHIM_PATH = new URL('./testShim.js', import.meta.url);
+const SETUP_FILE = '.alchemist-test-setup.mjs';
+const SETUP_SOURCE = `import * as shim from 'vitest';
+Object.assign(globalThis, shim, { expect: shim.expect, jest: shim.jest, vi: shim.vi });
+`;
+
+// Node 20 ships the permission model behind --experimental-permission.
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+const isTypeScript = (filePath) => /\.tsx?$/i.test(filePath);
+
+// Paths the runner writes itself (writeSupportFiles); a test file there would
+// replace the framework stand-ins or the setup.
+export const isReservedTestPath = (filePath) => filePath === 'package.json' || filePath === SETUP_FILE || filePath.startsWith('node_modules/');
+
+// The stand-in packages for the frameworks, and the setup that makes their globals.
+async function writeSupportFiles(rootDir, moduleType) {
+  const shim = await fs.readFile(SHIM_PATH);
+  await writeEntry(rootDir, 'package.json', JSON.stringify({ private: true, type: moduleType }));
+  await writeEntry(rootDir, 'node_modules/vitest/package.json', JSON.stringify({ name: 'vitest', type: 'module', exports: './index.js' }));
+  await writeEntry(rootDir, 'node_modules/vitest/index.js', shim);
+  await writeEntry(rootDir, 'node_modules/@jest/globals/package.json', JSON.stringify({ name: '@jest/globals', type: 'module', exports: './index.js' }));
+  await writeEntry(rootDir, 'node_modules/@jest/globals/index.js', 'export * from \'vitest\';\n');
+  await writeEntry(rootDir, SETUP_FILE, SETUP_SOURCE);
+}
+
+const truncate = (text, maxChars) => (text.length > maxChars ? `${text.slice(0, maxChars)}\n[output truncated]` : text);
+
+// Counts from the TAP reporter's summary ("# pass 3", "# fail 1").
+const tapCount = (output, name) => Number(output.match(new RegExp(`^# ${name} (\\d+)$`, 'm'))?.[1] || 0);
+
+function runTestFile(rootDir, testPath, signal) {
+  const args = [
+    PERMISSION_FLAG,
+    `--allow-fs-read=${rootDir}`,
+    `--allow-fs-write=${rootDir}`,
+    `--max-old-space-size=${TEST_RUN_LIMITS.maxMemoryMb}`,
+    '--import', `./${SETUP_FILE}`,
+    '--test-reporter=tap',
+    testPath,
+  ];
+  const startedAt = Date.now();
+  return new Promise((resolve) => {
+    execFile(process.execPath, args, {
+      cwd: rootDir,
+      env: { NODE_ENV: 'test' },
+      timeout: TEST_RUN_LIMITS.timeoutMs,
+      killSignal: 'SIGKILL',
+      maxBuffer: 1024 * 1024,
+      signal,
+    }, (error, stdout, stderr) => {
+      const output = `${stdout}${stderr ? `\n${stderr}` : ''}`.trim();
+      const passed = tapCount(output, 'pass');
+      const failed = tapCount(output, 'fail');
+      let status = 'passed';
+      if (error?.killed && !signal?.aborted) status = 'timeout';
+      else if (error || failed > 0 || passed === 0) status = 'failed';
+      resolve({
+        path: testPath,
+        status,
+        passed,
+        failed,
+        durationMs: Date.now() - startedAt,
+        output: truncate(status === 'timeout' ? `${output}\nStopped after ${TEST_RUN_LIMITS.timeoutMs} ms.`.trim() : output, TEST_RUN_LIMITS.maxOutputChars),
+      });
+    });
+  });
+}
+
+// Runs `testFiles` ({ path, content }) against `sourceFiles` ({ relativePath,
+// content }), one at a time. Returns { enabled, results }, with a result per
+// test file: { path, status, passed, failed, durationMs, output }, where
+// status is passed, failed, timeout or skipped (with a `reason`).
+export async function runGeneratedTests(sourceFiles, testFiles, { framework, moduleType = 'commonjs', signal } = {}) {
+  const skip = (reason) => testFiles.map(file => ({ path: file.path, status: 'skipped', reason }));
+  if (!TEST_RUN_LIMITS.enabled) {
+    return { enabled: false, results: skip('Running generated tests is disabled on this server (TEST_RUNS_ENABLED).') };
+  }
+  if (!TEST_FRAMEWORKS[framework]?.runnable) {
+    return { enabled: true, results: skip(`${TEST_FRAMEWORKS[framework]?.label || framework} tests cannot be run on the server.`) };
+  }
+
+  const rootDir = await makeTempDir('test-run-');
+  try {
+    await writeSupportFiles(rootDir, moduleType);
+    for (const file of sourceFiles) await writeEntry(rootDir, file.relativePath, file.content);
+    for (const file of testFiles) await writeEntry(rootDir, file.path, file.content);
+
+    const results = [];
+    for (const file of testFiles) {
+      if (signal?.aborted) break;
+      if (languageOfPath(file.path) !== 'javascript') {
+        results.push({ path: file.path, status: 'skipped', reason: 'Only JavaScript tests are run on the server.' });
+      } else if (isTypeScript(file.path)) {
+        results.push({ path: file.path, status: 'skipped', reason: 'TypeScript tests are not run on the server.' });
+      } else {
+        results.push(await runTestFile(rootDir, file.path, signal));
+      }
+    }
+    const counts = results.reduce((total, result) => ({ ...total, [result.status]: (total[result.status] || 0) + 1 }), {});
+    console.log(`[testRunner] Ran ${testFiles.length} test file(s): ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+    return { enabled: true, results };
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
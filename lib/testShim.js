@@ -0,0 +1,242 @@
+// lib/testShim.js
+
+// A small Jest/Vitest-style test API on top of node:test, so generated tests
+// can run in the sandbox (lib/testRunner.js) without installing a framework.
+// The sandbox resolves "vitest" and "@jest/globals" to this module and sets
+// its exports as globals. It covers the common matchers and mock functions;
+// module mocking is not supported and fails the test that uses it.
+
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { AssertionError } from 'node:assert';
+import { inspect, isDeepStrictEqual } from 'node:util';
+
+export { after, afterEach, before, beforeEach, describe, it };
+export { it as test, before as beforeAll, after as afterAll };
+
+const show = (value) => inspect(value, { depth: 4, breakLength: Infinity });
+
+// Placeholders such as expect.any(Number) inside expected values.
+class AsymmetricMatcher {
+  constructor(description, match) {
+    this.description = description;
+    this.asymmetricMatch = match;
+  }
+
+  [inspect.custom]() {
+    return this.description;
+  }
+}
+
+// Jest's recursive equality: undefined properties are ignored and classes are not compared.
+function equals(actual, expected) {
+  if (expected instanceof AsymmetricMatcher) return expected.asymmetricMatch(actual);
+  if (Object.is(actual, expected)) return true;
+  if (typeof actual !== 'object' || typeof expected !== 'object' || actual === null || expected === null) return false;
+  if (actual instanceof Date || expected instanceof Date) return actual instanceof Date && expected instanceof Date && actual.getTime() === expected.getTime();
+  if (actual instanceof RegExp || expected instanceof RegExp) return String(actual) === String(expected);
+  if (actual instanceof Map || actual instanceof Set) return isDeepStrictEqual(actual, expected);
+  if (Array.isArray(actual) !== Array.isArray(expected)) return false;
+  if (Array.isArray(actual)) return actual.length === expected.length && actual.every((item, index) => equals(item, expected[index]));
+  const keys = (object) => Object.keys(object).filter(key => object[key] !== undefined);
+  const actualKeys = keys(actual);
+  const expectedKeys = keys(expected);
+  return actualKeys.length === expectedKeys.length && expectedKeys.every(key => equals(actual[key], expected[key]));
+}
+
+// Whether `actual` has at least the properties of `expected`.
+function matchesObject(actual, expected) {
+  if (expected instanceof AsymmetricMatcher || typeof expected !== 'object' || expected === null) return equals(actual, expected);
+  if (typeof actual !== 'object' || actual === null) return false;
+  if (Array.isArray(expected)) return Array.isArray(actual) && actual.length === expected.length && expected.every((item, index) => matchesObject(actual[index], item));
+  return Object.keys(expected).every(key => matchesObject(actual[key], expected[key]));
+}
+
+// The function a matcher calls for toThrow: rejected promises are checked as if thrown.
+function thrownBy(actual) {
+  if (actual && typeof actual === 'object' && 'rejected' in actual) return { threw: true, error: actual.rejected };
+  if (typeof actual !== 'function') throw new TypeError('toThrow() expects a function.');
+  try {
+    actual();
+    return { threw: false };
+  } catch (error) {
+    return { threw: true, error };
+  }
+}
+
+function errorMatches(error, expected) {
+  if (expected === undefined) return true;
+  const message = error?.message ?? String(error);
+  if (typeof expected === 'string') return message.includes(expected);
+  if (expected instanceof RegExp) return expected.test(message);
+  if (typeof expected === 'function') return error instanceof expected;
+  return message === expected?.message;
+}
+
+const calls = (mock) => {
+  if (!mock?._isMockFunction) throw new TypeError(`${show(mock)} is not a mock function.`);
+  return mock.mock.calls;
+};
+
+const propertyAt = (object, path) => {
+  const keys = Array.isArray(path) ? path : String(path).split('.');
+  let current = object;
+  for (const key of keys) {
+    if (current === null || current === undefined || !(key in Object(current))) return { found: false };
+    current = current[key];
+  }
+  return { found: true, value: current };
+};
+
+// Each matcher returns [passed, what was expected].
+const MATCHERS = {
+  toBe: (actual, expected) => [Object.is(actual, expected), `to be ${show(expected)}`],
+  toEqual: (actual, expected) => [equals(actual, expected), `to equal ${show(expected)}`],
+  toStrictEqual: (actual, expected) => [isDeepStrictEqual(actual, expected), `to strictly equal ${show(expected)}`],
+  toMatchObject: (actual, expected) => [matchesObject(actual, expected), `to match ${show(expected)}`],
+  toBeTruthy: (actual) => [!!actual, 'to be truthy'],
+  toBeFalsy: (actual) => [!actual, 'to be falsy'],
+  toBeNull: (actual) => [actual === null, 'to be null'],
+  toBeUndefined: (actual) => [actual === undefined, 'to be undefined'],
+  toBeDefined: (actual) => [actual !== undefined, 'to be defined'],
+  toBeNaN: (actual) => [Number.isNaN(actual), 'to be NaN'],
+  toBeGreaterThan: (actual, expected) => [actual > expected, `to be greater than ${show(expected)}`],
+  toBeGreaterThanOrEqual: (actual, expected) => [actual >= expected, `to be at least ${show(expected)}`],
+  toBeLessThan: (actual, expected) => [actual < expected, `to be less than ${show(expected)}`],
+  toBeLessThanOrEqual: (actual, expected) => [actual <= expected, `to be at most ${show(expected)}`],
+  toBeCloseTo: (actual, expected, digits = 2) => [Math.abs(actual - expected) < 10 ** -digits / 2, `to be close to ${show(expected)}`],
+  toBeInstanceOf: (actual, expected) => [actual instanceof expected, `to be an instance of ${expected?.name}`],
+  toContain: (actual, item) => [actual instanceof Set ? actual.has(item) : !!actual?.includes?.(item), `to contain ${show(item)}`],
+  toContainEqual: (actual, item) => [[...(actual || [])].some(element => equals(element, item)), `to contain an element equal to ${show(item)}`],
+  toHaveLength: (actual, length) => [actual?.length === length, `to have length ${length}`],
+  toHaveProperty: (actual, path, ...value) => {
+    const { found, value: propertyValue } = propertyAt(actual, path);
+    return [found && (value.length === 0 || equals(propertyValue, value[0])), `to have property ${show(path)}${value.length > 0 ? ` equal to ${show(value[0])}` : ''}`];
+  },
+  toMatch: (actual, pattern) => [typeof actual === 'string' && (pattern instanceof RegExp ? pattern.test(actual) : actual.includes(pattern)), `to match ${show(pattern)}`],
+  toThrow: (actual, expected) => {
+    const { threw, error } = thrownBy(actual);
+    return [threw && errorMatches(error, expected), `to throw${expected === undefined ? '' : ` ${show(expected)}`}${threw ? ` (threw ${show(error?.message ?? error)})` : ''}`];
+  },
+  toHaveBeenCalled: (mock) => [calls(mock).length > 0, 'to have been called'],
+  toHaveBeenCalledTimes: (mock, times) => [calls(mock).length === times, `to have been called ${times} times (was called ${calls(mock).length} times)`],
+  toHaveBeenCalledWith: (mock, ...args) => [calls(mock).some(call => equals(call, args)), `to have been called with ${show(args)} (calls: ${show(calls(mock))})`],
+  toHaveBeenLastCalledWith: (mock, ...args) => [equals(calls(mock).at(-1), args), `to have last been called with ${show(args)}`],
+  toHaveReturnedWith: (mock, value) => [calls(mock) && mock.mock.results.some(result => result.type === 'return' && equals(result.value, value)), `to have returned ${show(value)}`],
+};
+MATCHERS.toThrowError = MATCHERS.toThrow;
+MATCHERS.toBeCalled = MATCHERS.toHaveBeenCalled;
+MATCHERS.toBeCalledWith = MATCHERS.toHaveBeenCalledWith;
+
+function matchersFor(actual, { negated = false, settle = null } = {}) {
+  const matchers = {};
+  for (const [name, matcher] of Object.entries(MATCHERS)) {
+    const check = (value, args) => {
+      const [passed, description] = matcher(value, ...args);
+      if (passed === negated) {
+        throw new AssertionError({ message: `Expected ${show(value)} ${negated ? 'not ' : ''}${description}`, stackStartFn: matchers[name] });
+      }
+    };
+    // .resolves and .rejects wait for the promise, then match what it settled with.
+    matchers[name] = settle
+      ? async (...args) => check(await settle(actual), args)
+      : (...args) => check(actual, args);
+  }
+  return matchers;
+}
+
+export function expect(actual) {
+  const resolve = async (promise) => promise;
+  const reject = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      // toThrow expects something to call; other matchers get the error itself.
+      return Object.assign(() => { throw error; }, { rejected: error, message: error?.message });
+    }
+    throw new AssertionError({ message: 'Expected the promise to reject, but it resolved.' });
+  };
+  return {
+    ...matchersFor(actual),
+    not: matchersFor(actual, { negated: true }),
+    resolves: { ...matchersFor(actual, { settle: resolve }), not: matchersFor(actual, { negated: true, settle: resolve }) },
+    rejects: { ...matchersFor(actual, { settle: reject }), not: matchersFor(actual, { negated: true, settle: reject }) },
+  };
+}
+
+expect.any = (type) => new AsymmetricMatcher(`Any<${type?.name}>`, (value) => (
+  value !== null && value !== undefined && (Object(value) instanceof type || value.constructor === type)
+));
+expect.anything = () => new AsymmetricMatcher('Anything', (value) => value !== null && value !== undefined);
+expect.objectContaining = (expected) => new AsymmetricMatcher(`ObjectContaining ${show(expected)}`, (value) => matchesObject(value, expected));
+expect.arrayContaining = (expected) => new AsymmetricMatcher(`ArrayContaining ${show(expected)}`, (value) => (
+  Array.isArray(value) && expected.every(item => value.some(element => equals(element, item)))
+));
+expect.stringContaining = (expected) => new AsymmetricMatcher(`StringContaining ${show(expected)}`, (value) => typeof value === 'string' && value.includes(expected));
+expect.stringMatching = (pattern) => new AsymmetricMatcher(`StringMatching ${show(pattern)}`, (value) => typeof value === 'string' && new RegExp(pattern).test(value));
+expect.assertions = () => {};
+expect.hasAssertions = () => {};
+
+const mocks = new Set();
+
+export function fn(implementation = () => undefined) {
+  let current = implementation;
+  const once = [];
+  const mock = function (...args) {
+    mock.mock.calls.push(args);
+    try {
+      const value = (once.length > 0 ? once.shift() : current).apply(this, args);
+      mock.mock.results.push({ type: 'return', value });
+      return value;
+    } catch (error) {
+      mock.mock.results.push({ type: 'throw', value: error });
+      throw error;
+    }
+  };
+  Object.assign(mock, {
+    _isMockFunction: true,
+    mock: { calls: [], results: [] },
+    mockImplementation: (next) => { current = next; return mock; },
+    mockImplementationOnce: (next) => { once.push(next); return mock; },
+    mockReturnValue: (value) => mock.mockImplementation(() => value),
+    mockReturnValueOnce: (value) => mock.mockImplementationOnce(() => value),
+    mockResolvedValue: (value) => mock.mockImplementation(() => Promise.resolve(value)),
+    mockResolvedValueOnce: (value) => mock.mockImplementationOnce(() => Promise.resolve(value)),
+    mockRejectedValue: (error) => mock.mockImplementation(() => Promise.reject(error)),
+    mockRejectedValueOnce: (error) => mock.mockImplementationOnce(() => Promise.reject(error)),
+    mockClear: () => { mock.mock.calls = []; mock.mock.results = []; return mock; },
+    mockReset: () => { mock.mockClear(); current = () => undefined; once.length = 0; return mock; },
+    mockRestore: () => mock.mockReset(),
+  });
+  mocks.add(mock);
+  return mock;
+}
+
+export function spyOn(object, method) {
+  const original = object[method];
+  const spy = fn(function (...args) {
+    return original.apply(this, args);
+  });
+  spy.mockRestore = () => {
+    object[method] = original;
+    mocks.delete(spy);
+  };
+  object[method] = spy;
+  return spy;
+}
+
+const unsupported = (name) => () => {
+  throw new Error(`${name}() is not supported when the generated tests run on the server; run them in your project instead.`);
+};
+
+const mockApi = (name) => ({
+  fn,
+  spyOn,
+  mock: unsupported(`${name}.mock`),
+  useFakeTimers: unsupported(`${name}.useFakeTimers`),
+  clearAllMocks: () => mocks.forEach(mock => mock.mockClear()),
+  resetAllMocks: () => mocks.forEach(mock => mock.mockReset()),
+  restoreAllMocks: () => [...mocks].forEach(mock => mock.mockRestore()),
+});
+
+export const vi = mockApi('vi');
+export const jest = mockApi('jest');
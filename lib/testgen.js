@@ -0,0 +1,238 @@
+// lib/testgen.js
+
+// Test generation: asks the model for new test files that cover the reported
+// bugs and the public functions of the analyzed code, written for the
+// project's test framework. The reply is validated like an analysis and sent
+// back for repair a bounded number of times (lib/analysis.js).
+
+import { httpError } from './errors.js';
+import { findProjectFile } from './profiles.js';
+import { extractJson } from './schema.js';
+import { MAX_REPAIR_ATTEMPTS } from './analysis.js';
+import { batchTokenBudget, formatFileForPrompt } from './batching.js';
+import { REDACTION_PREFIX, redactFiles } from './secrets.js';
+import { safeEntryPath } from './archive.js';
+import { addCallUsage, countTokens, emptyUsage } from './tokens.js';
+import { languageOfPath, TEST_FRAMEWORKS, TEST_LANGUAGES } from './testFrameworks.js';
+import { isReservedTestPath } from './testRunner.js';
+
+export const TESTGEN_LIMITS = {
+  maxTestFiles: 20,
+  maxFindings: 50,
+};
+
+// Room for the generated tests in the context window.
+const REPLY_RESERVE_TOKENS = 8000;
+
+// Packages in package.json that name the framework, checked in this order.
+const JS_FRAMEWORK_PACKAGES = [['vitest', 'vitest'], ['jest', 'jest'], ['ts-jest', 'jest'], ['mocha', 'mocha']];
+
+// Files that show a Python project tests with pytest, and what they must contain.
+const PYTEST_MARKERS = [
+  ['pytest.ini', /./],
+  ['conftest.py', /./],
+  ['pyproject.toml', /\[tool\.pytest/],
+  ['setup.cfg', /\[tool:pytest\]/],
+  ['tox.ini', /\[pytest\]/],
+  ['requirements-dev.txt', /^pytest\b/m],
+  ['requirements.txt', /^pytest\b/m],
+];
+
+// Pasted code has no path; the tests import it under this name.
+const PASTED_CODE_NAME = 'snippet';
+
+const looksLikePython = (code) => /^\s*(def|class)\s+\w+[^\n{]*:\s*$/m.test(code) && !/[;{]\s*$/m.test(code);
+const looksLikeModule = (code) => /^\s*(import|export)\s[^(]/m.test(code);
+
+// Which framework to write tests for, from the project's package.json or
+// Python test config, or else from the language most of the files are in.
+// Returns { name, detectedFrom, moduleType } (moduleType is package.json's
+// "type" for the test sandbox), or null for code in no supported language.
+// `projectDir` is the extracted upload, if any.
+export async function detectTestFramework(projectDir, files) {
+  let moduleType = files.some(file => looksLikeModule(file.content)) ? 'module' : 'commonjs';
+
+  if (projectDir) {
+    const packageFile = await findProjectFile(projectDir, 'package.json');
+    let manifest = null;
+    try {
+      manifest = packageFile && JSON.parse(packageFile.text);
+    } catch {
+      manifest = null;
+    }
+    if (manifest) {
+      moduleType = manifest.type === 'module' ? 'module' : 'commonjs';
+      const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+      const testScript = String(manifest.scripts?.test || '');
+      const found = JS_FRAMEWORK_PACKAGES.find(([packageName]) => dependencies[packageName] || testScript.includes(packageName));
+      if (found) return { name: found[1], detectedFrom: 'package.json', moduleType };
+      if (/\bnode\b.*--test\b/.test(testScript)) return { name: 'node-test', detectedFrom: 'package.json', moduleType };
+    }
+
+    for (const [fileName, pattern] of PYTEST_MARKERS) {
+      const found = await findProjectFile(projectDir, fileName);
+      if (found && pattern.test(found.text)) return { name: 'pytest', detectedFrom: fileName, moduleType };
+    }
+  }
+
+  const counts = {};
+  for (const file of files) {
+    const language = file.relativePath ? languageOfPath(file.relativePath) : (looksLikePython(file.content) ? 'python' : 'javascript');
+    if (language) counts[language] = (counts[language] || 0) + 1;
+  }
+  const [language] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return language ? { name: TEST_LANGUAGES[language].defaultFramework, detectedFrom: 'file types', moduleType } : null;
+}
+
+// The files tests can be written for in `language`. Pasted code gets a file
+// name, so the tests can import it.
+export function testableFiles(files, language) {
+  const extension = language === 'python' ? '.py' : '.js';
+  return files
+    .map(file => (file.relativePath ? file : { ...file, relativePath: `${PASTED_CODE_NAME}${extension}` }))
+    .filter(file => !file.partial && languageOfPath(file.relativePath) === language);
+}
+
+// `findings` are issues or report findings; only bugs and vulnerabilities get tests.
+function formatFindings(findings) {
+  const relevant = (Array.isArray(findings) ? findings : [])
+    .filter(finding => finding && typeof finding.message === 'string')
+    .filter(finding => ['bugs', 'security_vulnerabilities'].includes(finding.category) || ['Bug', 'Security Vulnerability'].includes(finding.type))
+    .slice(0, TESTGEN_LIMITS.maxFindings);
+  return relevant.map(finding => `- [${finding.severity || 'unknown'}] ${finding.filePath || 'N/A'}, line ${finding.line || 'N/A'}: ${finding.message}`).join('\n');
+}
+
+const RESPONSE_FORMAT = `Your response MUST be a single, valid JSON object and nothing else:
+{
+"files": [
+  { "path": "path/of/the/new/test/file", "content": "The complete test file", "covers": ["What one test checks, e.g. the bug it reproduces"] }
+],
+"notes": "Anything the user must know to run the tests, or an empty string"
+}
+Use 1 to ${TESTGEN_LIMITS.maxTestFiles} files. Paths are relative to the project root and must not be the path of an existing file.`;
+
+export function buildTestPrompt(files, { framework, findings }) {
+  const { label, language, instructions } = TEST_FRAMEWORKS[framework];
+  const findingList = formatFindings(findings);
+  const findingSection = findingList
+    ? `\nAn automated review reported these problems. Write at least one test per problem that fails while the problem exists and passes once it is fixed, and name the problem in the test's title:\n${findingList}\n`
+    : '';
+  const code = files.map(formatFileForPrompt).join('\n');
+  const redactionNote = code.includes(REDACTION_PREFIX)
+    ? `\nValues shown as ${REDACTION_PREFIX}...] are secrets that were removed from the code. Never guess them or put them in a test.\n`
+    : '';
+
+  return `You are an expert ${TEST_LANGUAGES[language].label} developer writing unit tests with ${label}.
+Write tests for the code below: cover its public (exported) functions and classes with typical inputs, edge cases and error cases, and the reported problems if any.
+${instructions}
+Import the code under test by its path relative to the test file. Every line of the code starts with its line number and " | "; never copy those prefixes. Test only behavior you can see in the code, do not call the network or real services, and keep each test independent.
+${findingSection}${redactionNote}
+${RESPONSE_FORMAT}
+
+Code under test:
+\`\`\`
+${code}
+\`\`\``;
+}
+
+// Returns { files, notes } for a valid reply, or { errors }.
+export function parseTestResponse(responseText, { framework, sourcePaths }) {
+  const data = extractJson(responseText);
+  if (data === null) return { errors: ['The response does not contain a valid JSON object.'] };
+  if (!Array.isArray(data.files) || data.files.length === 0) return { errors: ['"files" must be a non-empty array.'] };
+
+  const { language } = TEST_FRAMEWORKS[framework];
+  const errors = [];
+  const seen = new Set();
+  const files = data.files.slice(0, TESTGEN_LIMITS.maxTestFiles).map((file, index) => {
+    const label = `files[${index}]`;
+    const filePath = typeof file?.path === 'string' ? safeEntryPath(file.path.trim()) : null;
+    if (!filePath) {
+      errors.push(`${label}.path must be a relative path inside the project.`);
+    } else if (isReservedTestPath(filePath)) {
+      errors.push(`${label}.path "${filePath}" is reserved for the test runner; put the test next to the code it tests.`);
+    } else if (sourcePaths.has(filePath) || seen.has(filePath)) {
+      errors.push(`${label}.path "${filePath}" is already taken; test files must be new files.`);
+    } else if (languageOfPath(filePath) !== language) {
+      errors.push(`${label}.path "${filePath}" is not a ${TEST_LANGUAGES[language].label} file.`);
+    }
+    if (typeof file?.content !== 'string' || file.content.trim() === '') {
+      errors.push(`${label}.content must be the non-empty test file.`);
+    } else if (file.content.includes(REDACTION_PREFIX)) {
+      errors.push(`${label}.content contains a redacted secret placeholder; test without the secret.`);
+    }
+    seen.add(filePath);
+    const covers = Array.isArray(file?.covers) ? file.covers.filter(item => typeof item === 'string' && item.trim() !== '') : [];
+    return { path: filePath, content: file?.content, covers };
+  });
+
+  if (errors.length > 0) return { errors };
+  return { files, notes: typeof data.notes === 'string' ? data.notes.trim() : '' };
+}
+
+function buildRepairPrompt(previousResponse, errors) {
+  return `Your previous response could not be used.
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Your previous response:
+\`\`\`
+${previousResponse}
+\`\`\`
+
+Return the corrected test files. Keep the same tests, only fix these problems.
+${RESPONSE_FORMAT}`;
+}
+
+// Generates tests for `files` ({ relativePath, content }) with `framework`
+// (a key of TEST_FRAMEWORKS), targeting `findings` from an earlier analysis.
+// Files that do not fit in one prompt are left out, those with findings last.
+// Returns { files: [{ path, content, covers }], notes, sourceFiles, skipped, usage },
+// where `sourceFiles` are the files the tests were written for.
+export async function generateTests(provider, files, { framework, findings = [], signal } = {}) {
+  if (!TEST_FRAMEWORKS[framework]) {
+    throw httpError(400, `Unknown test framework "${framework}". Use one of: ${Object.keys(TEST_FRAMEWORKS).join(', ')}.`);
+  }
+  const { language } = TEST_FRAMEWORKS[framework];
+  const candidates = testableFiles(files, language);
+  if (candidates.length === 0) {
+    throw httpError(400, `There are no ${TEST_LANGUAGES[language].label} files to write ${TEST_FRAMEWORKS[framework].label} tests for.`);
+  }
+
+  // Files a finding points into come first.
+  const findingPaths = new Set((Array.isArray(findings) ? findings : []).map(finding => finding?.filePath));
+  const ordered = [...candidates.filter(file => findingPaths.has(file.relativePath)), ...candidates.filter(file => !findingPaths.has(file.relativePath))];
+  const { files: redacted } = redactFiles(ordered);
+  const budget = Math.max(batchTokenBudget(provider) - REPLY_RESERVE_TOKENS, 1000);
+  const sourceFiles = [];
+  const skipped = [];
+  let tokens = 0;
+  for (const file of redacted) {
+    const fileTokens = countTokens(formatFileForPrompt(file));
+    if (sourceFiles.length > 0 && tokens + fileTokens > budget) {
+      skipped.push({ path: file.relativePath, reason: 'Did not fit in the test generation prompt.' });
+      continue;
+    }
+    sourceFiles.push(file);
+    tokens += fileTokens;
+  }
+
+  const sourcePaths = new Set([...files.map(file => file.relativePath), ...candidates.map(file => file.relativePath)].filter(Boolean));
+  const usage = emptyUsage();
+  let prompt = buildTestPrompt(sourceFiles, { framework, findings });
+  let errors = [];
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    const generation = await provider.generate(prompt, { signal });
+    addCallUsage(usage, prompt, generation);
+    const result = parseTestResponse(generation.text, { framework, sourcePaths });
+    if (!result.errors) {
+      console.log(`[testgen] Generated ${result.files.length} ${TEST_FRAMEWORKS[framework].label} test file(s) for ${sourceFiles.length} file(s)`);
+      return { files: result.files, notes: result.notes, sourceFiles, skipped, usage };
+    }
+    errors = result.errors;
+    console.warn(`[testgen] Attempt ${attempt} returned unusable tests: ${errors.slice(0, 5).join(' ')}`);
+    prompt = buildRepairPrompt(generation.text, errors);
+  }
+  throw httpError(502, `The model did not return usable test files after ${MAX_REPAIR_ATTEMPTS + 1} attempts: ${errors.slice(0, 3).join(' ')}`);
+}
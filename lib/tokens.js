@@ -0,0 +1,40 @@
+// lib/tokens.js
+
+// Token counting and usage totals. Text is counted with o200k_base, the
+// tokenizer of current OpenAI models; Gemini and self-hosted models split text
+// differently, so for them the counts are close estimates. What a provider
+// reports for its own calls always takes precedence over the count.
+
+import { countTokens as countO200kTokens } from 'gpt-tokenizer/encoding/o200k_base';
+
+// Code may contain text like "<|endoftext|>"; it is counted as plain text
+// instead of being refused as a special token.
+const PLAIN_TEXT = { disallowedSpecial: new Set() };
+
+export const countTokens = (text) => (text ? countO200kTokens(text, PLAIN_TEXT) : 0);
+
+// `estimated` is set once any call's counts came from the tokenizer.
+export const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, calls: 0, estimated: false });
+
+// Adds one model call to `total`: `result` is what provider.generate() or
+// provider.chat() returned for the prompt text `input`.
+export function addCallUsage(total, input, result) {
+  if (result.usage) {
+    total.promptTokens += result.usage.promptTokens;
+    total.completionTokens += result.usage.completionTokens;
+  } else {
+    total.promptTokens += countTokens(input);
+    total.completionTokens += countTokens(result.text);
+    total.estimated = true;
+  }
+  total.calls++;
+  return total;
+}
+
+export function addUsage(total, usage) {
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+  total.calls += usage.calls;
+  total.estimated = total.estimated || usage.estimated;
+  return total;
+}
@@ -0,0 +1,27 @@
+// lib/upload.js
+
+import os from 'os';
+import formidable from 'formidable';
+
+export const parseForm = (req) => {
+  return new Promise((resolve, reject) => {
+    const form = formidable({
+      keepExtensions: true,
+      maxFileSize: 4.5 * 1024 * 1024, // 4.5MB max file size
+      uploadDir: os.tmpdir(),
+    });
+
+    form.parse(req, (err, fields, files) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ fields, files });
+    });
+  });
+};
+
+// formidable v3 returns every field as an array
+export const firstField = (value) => (Array.isArray(value) ? value[0] : value);
+
+// The uploaded file for `field`, whether formidable handed back one or an array.
+export const firstFile = (files, field) => (files[field] ? (Array.isArray(files[field]) ? files[field][0] : files[field]) : null);
@@ -0,0 +1,133 @@
+// lib/usage.js
+
+// Rate limits, daily token quotas and the usage counters behind them, per
+// caller (see lib/auth.js for the identities). Counters live in memory, so
+// they reset on a restart and each serverless instance keeps its own.
+
+import { httpError } from './errors.js';
+import { integerSetting } from './env.js';
+import { countTokens } from './tokens.js';
+
+export const USAGE_LIMITS = {
+  // Requests per minute that reach the model, per signed-in user or API token.
+  userRequestsPerMinute: integerSetting('RATE_LIMIT_USER_PER_MINUTE', 10),
+  // The same per client IP, whoever is signed in.
+  ipRequestsPerMinute: integerSetting('RATE_LIMIT_IP_PER_MINUTE', 20),
+  // Sign-in attempts per minute and IP.
+  loginAttemptsPerMinute: integerSetting('RATE_LIMIT_LOGIN_PER_MINUTE', 10),
+  // Requests per minute that read an upload without calling the model (the
+  // token estimate, the file listing), per caller and per client IP; each kind counts on its own.
+  uploadRequestsPerMinute: integerSetting('RATE_LIMIT_UPLOAD_PER_MINUTE', 60),
+  // Prompt and reply tokens per caller and UTC day on the server's keys, as
+  // the provider reports them; requests with the caller's own key do not count against it.
+  dailyTokens: integerSetting('DAILY_TOKEN_QUOTA', 1000000),
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// Bounds the maps when many different IPs call in; the oldest entries go first.
+const MAX_TRACKED_CALLERS = 10000;
+
+const windows = new Map(); // "<scope>|<key>" -> { startedAt, count }
+const daily = new Map(); // identity id -> { day, requests, tokens, userKeyTokens }
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Handlers send `retryAfter` (seconds) as the Retry-After header.
+const tooManyRequests = (message, retryAfter) => Object.assign(httpError(429, message), { retryAfter });
+
+const trim = (map) => {
+  while (map.size > MAX_TRACKED_CALLERS) map.delete(map.keys().next().value);
+};
+
+// Fixed one-minute windows. Throws a 429 once `limit` is used up.
+function take(scope, key, limit, now = Date.now()) {
+  if (!(limit > 0)) return;
+  const id = `${scope}|${key}`;
+  let window = windows.get(id);
+  if (!window || now - window.startedAt >= WINDOW_MS) {
+    windows.delete(id);
+    window = { startedAt: now, count: 0 };
+    windows.set(id, window);
+    trim(windows);
+  }
+  if (window.count >= limit) {
+    const retryAfter = Math.ceil((window.startedAt + WINDOW_MS - now) / 1000);
+    throw tooManyRequests(`Too many requests. Try again in ${retryAfter} seconds.`, retryAfter);
+  }
+  window.count++;
+}
+
+function counters(identity) {
+  let entry = daily.get(identity.id);
+  if (!entry || entry.day !== today()) {
+    daily.delete(identity.id);
+    entry = { day: today(), requests: 0, tokens: 0, userKeyTokens: 0 };
+    daily.set(identity.id, entry);
+    trim(daily);
+  }
+  return entry;
+}
+
+// One request that will call the model (scope "model"), or that only reads an
+// upload (any other scope, e.g. "estimate"): checks the per-caller and per-IP
+// limits. Only model requests count towards the day's requests.
+export function checkRateLimit(identity, scope = 'model') {
+  const model = scope === 'model';
+  if (identity.kind !== 'anonymous') take(scope, identity.id, model ? USAGE_LIMITS.userRequestsPerMinute : USAGE_LIMITS.uploadRequestsPerMinute);
+  take(scope, `ip:${identity.ip}`, model ? USAGE_LIMITS.ipRequestsPerMinute : USAGE_LIMITS.uploadRequestsPerMinute);
+  if (model) counters(identity).requests++;
+}
+
+export const checkLoginRateLimit = (ip) => take('login', `ip:${ip}`, USAGE_LIMITS.loginAttemptsPerMinute);
+
+export function checkTokenQuota(identity) {
+  const { tokens } = counters(identity);
+  if (USAGE_LIMITS.dailyTokens > 0 && tokens >= USAGE_LIMITS.dailyTokens) {
+    const retryAfter = Math.ceil((Date.parse(`${today()}T00:00:00Z`) + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+    throw tooManyRequests(`The daily quota of ${USAGE_LIMITS.dailyTokens} tokens is used up. It resets at midnight UTC; until then, add your own provider key to keep going.`, retryAfter);
+  }
+}
+
+// Wraps `provider` so every model call checks the caller's quota first (unless
+// it runs on their own key) and adds its tokens to their counters: the
+// provider's own count, or the tokenizer's when it reports none.
+export function meterProvider(provider, identity, { userKey = false } = {}) {
+  const record = (input, result) => {
+    const entry = counters(identity);
+    entry[userKey ? 'userKeyTokens' : 'tokens'] += result.usage
+      ? result.usage.promptTokens + result.usage.completionTokens
+      : countTokens(input) + countTokens(result.text);
+  };
+  return {
+    ...provider,
+    async generate(prompt, options) {
+      if (!userKey) checkTokenQuota(identity);
+      const result = await provider.generate(prompt, options);
+      record(prompt, result);
+      return result;
+    },
+    async chat(messages, options) {
+      if (!userKey) checkTokenQuota(identity);
+      const result = await provider.chat(messages, options);
+      record(messages.map(message => message.content).join('\n'), result);
+      return result;
+    },
+  };
+}
+
+// What /api/usage shows the caller.
+export function getUsage(identity) {
+  const { day, requests, tokens, userKeyTokens } = counters(identity);
+  return {
+    day,
+    requests,
+    tokens,
+    userKeyTokens,
+    limits: {
+      dailyTokens: USAGE_LIMITS.dailyTokens || null,
+      requestsPerMinute: identity.kind === 'anonymous' ? USAGE_LIMITS.ipRequestsPerMinute : USAGE_LIMITS.userRequestsPerMinute,
+    },
+    remainingTokens: USAGE_LIMITS.dailyTokens > 0 ? Math.max(USAGE_LIMITS.dailyTokens - tokens, 0) : null,
+  };
+}
@@ -0,0 +1,155 @@
+// lib/verify.js
+
+// Checks the model's file and line references against the code it was shown.
+// Each file in the prompt has an ID (F1, F2, ...) and numbered lines, and every
+// finding quotes the first flagged line as `code`. A finding whose quote is on
+// the reported lines is "verified"; one whose quote sits elsewhere in the file,
+// or whose range runs past the end, is "snapped" to the real lines; anything
+// that cannot be confirmed is "unverified". Findings whose lines exist get the
+// actual source lines as `excerpt`.
+
+import { PASTED_CODE_PATH } from './schema.js';
+
+export const VERIFICATION_STATES = ['verified', 'snapped', 'unverified'];
+
+// Longest excerpt attached to a finding.
+const MAX_EXCERPT_LINES = 12;
+
+// "  12 | code" or ">12 | code", as shown in the prompt.
+const LINE_PREFIX_PATTERN = /^[> ]?\s*\d+ \| ?/;
+
+const displayPath = (file) => file.relativePath || PASTED_CODE_PATH;
+
+// The text the model's line numbers refer to: the redacted file, in full even
+// when only review excerpts of it were sent (see lib/pipeline.js).
+const sourceLines = (file) => (file.sourceText ?? file.promptContent ?? file.content).replace(/\n$/, '').split('\n');
+
+const normalizeCode = (text) => text.replace(LINE_PREFIX_PATTERN, '').replace(/\s+/g, ' ').trim();
+
+// The first non-empty line of the model's quote, without a copied line-number prefix.
+function quotedLine(code) {
+  if (typeof code !== 'string' || code.trim() === 'N/A') return '';
+  return code.split('\n').map(normalizeCode).find(Boolean) || '';
+}
+
+const lineMatches = (line, quote) => {
+  const normalized = normalizeCode(line);
+  return normalized === quote || (quote.length >= 10 && normalized.includes(quote));
+};
+
+// Finds the file a finding points at: by ID, by exact path, or by a path that
+// differs only in leading folders. A single pasted file takes every finding.
+function resolveFile(filePath, files) {
+  const byId = files.find(file => file.fileId && file.fileId === filePath);
+  if (byId) return byId;
+  const byPath = files.find(file => displayPath(file) === filePath);
+  if (byPath) return byPath;
+  if (filePath && filePath !== 'N/A') {
+    const bySuffix = files.filter(file => file.relativePath && (file.relativePath.endsWith(`/${filePath}`) || filePath.endsWith(`/${file.relativePath}`)));
+    if (bySuffix.length === 1) return bySuffix[0];
+  }
+  return files.length === 1 && !files[0].relativePath ? files[0] : null;
+}
+
+const describeRange = ({ start, end }) => (start === end ? `line ${start}` : `lines ${start}-${end}`);
+
+const setRange = (finding, start, end) => {
+  finding.lineRange = { start, end };
+  finding.line = start === end ? String(start) : `${start}-${end}`;
+};
+
+// Where the quote is, nearest to the reported start line, or null.
+function locateQuote(lines, quote, near) {
+  let best = null;
+  lines.forEach((line, index) => {
+    if (lineMatches(line, quote) && (best === null || Math.abs(index + 1 - near) < Math.abs(best - near))) best = index + 1;
+  });
+  return best;
+}
+
+function verifyFinding(finding, files) {
+  const file = resolveFile(finding.filePath, files);
+  // Report the path, not the prompt's file ID ("F1"); pasted code has none.
+  if (file) finding.filePath = displayPath(file);
+  if (Array.isArray(finding.edits)) {
+    finding.edits.forEach(edit => {
+      const target = typeof edit?.filePath === 'string' ? resolveFile(edit.filePath, files) : null;
+      if (target) edit.filePath = displayPath(target);
+    });
+  }
+  const quote = quotedLine(finding.code);
+  delete finding.code;
+
+  const unverified = (note) => {
+    finding.verification = 'unverified';
+    finding.verificationNote = note;
+    // Edits at lines we cannot confirm would patch the wrong code.
+    finding.edits = [];
+  };
+
+  if (!finding.lineRange) {
+    // A general finding; nothing to check unless the quote pins it to a line.
+    const located = file && quote ? locateQuote(sourceLines(file), quote, 1) : null;
+    if (located) {
+      setRange(finding, located, located);
+      finding.verification = 'snapped';
+      finding.verificationNote = `Placed on line ${located}, where the quoted code is.`;
+    }
+    return file;
+  }
+  if (!file) {
+    unverified(`${finding.filePath === 'N/A' ? 'No file was named' : `"${finding.filePath}" was not part of the analyzed code`}, so ${describeRange(finding.lineRange)} could not be checked.`);
+    return null;
+  }
+
+  const lines = sourceLines(file);
+  const reported = { ...finding.lineRange };
+  const length = reported.end - reported.start;
+
+  if (!quote) {
+    if (reported.start > lines.length) {
+      unverified(`Line ${reported.start} is past the end of the file (${lines.length} lines).`);
+    } else {
+      if (reported.end > lines.length) setRange(finding, reported.start, lines.length);
+      unverified('The model did not quote the flagged code, so the line could not be confirmed.');
+    }
+    return file;
+  }
+
+  const flagged = lines.slice(reported.start - 1, reported.end);
+  if (flagged.some(line => lineMatches(line, quote))) {
+    finding.verification = 'verified';
+    if (reported.end > lines.length) {
+      setRange(finding, reported.start, lines.length);
+      finding.verification = 'snapped';
+      finding.verificationNote = `The range ended past the end of the file; cut to line ${lines.length}.`;
+    }
+    return file;
+  }
+
+  const located = locateQuote(lines, quote, reported.start);
+  if (located === null) {
+    unverified(`The quoted code is not in ${displayPath(file)}${reported.start > lines.length ? `, and line ${reported.start} is past its end (${lines.length} lines)` : ` at ${describeRange(reported)} or anywhere else`}.`);
+    return file;
+  }
+  setRange(finding, located, Math.min(located + length, lines.length));
+  finding.verification = 'snapped';
+  finding.verificationNote = `Moved from ${describeRange(reported)} to ${describeRange(finding.lineRange)}, where the quoted code is.`;
+  // The edits were written against the reported lines.
+  finding.edits = [];
+  return file;
+}
+
+// Verifies every finding of a batch's `analysis` in place against `files`
+// (the batch's files with their `fileId`). File IDs and shortened paths in
+// `filePath` and in the edits are replaced by the real paths.
+export function verifyFindings(analysis, files) {
+  for (const finding of Object.values(analysis).flat()) {
+    const file = verifyFinding(finding, files);
+    if (file && finding.lineRange) {
+      const lines = sourceLines(file).slice(finding.lineRange.start - 1, finding.lineRange.end);
+      if (lines.length === 0) continue;
+      finding.excerpt = lines.slice(0, MAX_EXCERPT_LINES).join('\n') + (lines.length > MAX_EXCERPT_LINES ? '\n…' : '');
+    }
+  }
+}
@@ -1,6 +1,8 @@
 import { Routes, Route } from 'react-router-dom'
 import Home from './pages/Home.jsx'
 import AboutMe from './pages/AboutMe.jsx'
+import History from './pages/History.jsx'
+import Compare from './pages/Compare.jsx'
 
 
 function App() {
@@ -8,6 +10,9 @@ function App() {
     <Routes>
       <Route path="/" element={<Home />} />
       <Route path="/aboutme" element={<AboutMe />} />
+      <Route path="/history" element={<History />} />
+      <Route path="/history/:runId" element={<History />} />
+      <Route path="/history/compare/:baseId/:headId" element={<Compare />} />
     </Routes>
   )
 }
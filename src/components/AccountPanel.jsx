@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { KeyRound, LogIn, LogOut, User } from 'lucide-react';
+import { loadProviderKey, saveProviderKey } from '../utils/providerKeyStore.js';
+
+const formatNumber = (value) => value.toLocaleString('en-US');
+
+// The user's own key for `provider`, kept in this tab only.
+function ProviderKeyField({ provider, disabled }) {
+  const [key, setKey] = useState(() => loadProviderKey(provider.name));
+
+  const handleChange = (event) => {
+    setKey(event.target.value.trim());
+    saveProviderKey(provider.name, event.target.value.trim());
+  };
+
+  return (
+    <label className="flex items-center gap-2">
+      <KeyRound size={14} className="text-purple-300 shrink-0" />
+      <input
+        type="password"
+        autoComplete="off"
+        className="flex-1 bg-black/30 border border-white/10 rounded-md px-2 py-1 text-neutral-200 text-xs focus:ring-1 focus:ring-purple-400 focus:border-purple-400 placeholder-neutral-500"
+        placeholder={`Your own ${provider.label} API key (optional)`}
+        value={key}
+        onChange={handleChange}
+        disabled={disabled}
+      />
+      <span className="text-neutral-500 shrink-0" title="Sent with your requests only, never stored or logged on the server, and forgotten when this tab closes.">
+        {key ? 'Your key is used' : provider.configured ? "Server's key is used" : 'Required'}
+      </span>
+    </label>
+  );
+}
+
+// Sign-in (when the server requires it), today's usage counters from
+// /api/usage and the user's own provider key. `refreshKey` reloads the
+// counters, e.g. after each analysis.
+function AccountPanel({ provider, refreshKey, disabled }) {
+  const [auth, setAuth] = useState(null); // { authEnabled, user }
+  const [usage, setUsage] = useState(null);
+  const [credentials, setCredentials] = useState({ name: '', password: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/auth')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setAuth(data))
+      .catch(authError => console.error("Error loading the sign-in state:", authError));
+  }, []);
+
+  const canUseApi = auth && (!auth.authEnabled || auth.user);
+  useEffect(() => {
+    if (!canUseApi) return;
+    fetch('/api/usage')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setUsage(data))
+      .catch(usageError => console.error("Error loading usage:", usageError));
+  }, [canUseApi, refreshKey]);
+
+  const handleSignIn = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      const response = await fetch('/api/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setCredentials({ name: '', password: '' });
+      setAuth(prev => ({ ...prev, user: data.user }));
+    } catch (signInError) {
+      setError(signInError.message);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth', { method: 'DELETE' }).catch(() => {});
+    setUsage(null);
+    setAuth(prev => ({ ...prev, user: null }));
+  };
+
+  if (!auth) return null;
+
+  if (!canUseApi) {
+    return (
+      <form onSubmit={handleSignIn} className="mb-8 p-4 rounded-lg border border-white/10 bg-black/20 text-sm flex flex-wrap items-center gap-2">
+        <LogIn size={16} className="text-purple-300" />
+        <span className="text-neutral-300 mr-2">Sign in to analyze code:</span>
+        <input
+          className="bg-black/30 border border-white/10 rounded-md px-2 py-1 text-neutral-200 placeholder-neutral-500"
+          placeholder="User name"
+          autoComplete="username"
+          value={credentials.name}
+          onChange={(e) => setCredentials(prev => ({ ...prev, name: e.target.value }))}
+        />
+        <input
+          type="password"
+          className="bg-black/30 border border-white/10 rounded-md px-2 py-1 text-neutral-200 placeholder-neutral-500"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={credentials.password}
+          onChange={(e) => setCredentials(prev => ({ ...prev, password: e.target.value }))}
+        />
+        <button type="submit" className="px-3 py-1 rounded-md bg-purple-600 hover:bg-purple-700 text-white text-xs" disabled={!credentials.name || !credentials.password}>
+          Sign in
+        </button>
+        {error && <span className="w-full text-xs text-red-300">{error}</span>}
+      </form>
+    );
+  }
+
+  return (
+    <div className="mb-8 p-3 rounded-lg border border-white/10 bg-black/20 text-xs text-neutral-400 space-y-2">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        {auth.user ? (
+          <span className="flex items-center text-neutral-300">
+            <User size={14} className="mr-1 text-purple-300" /> {auth.user.name}
+            {auth.user.kind === 'user' && (
+              <button onClick={handleSignOut} className="ml-2 flex items-center text-neutral-400 hover:text-white">
+                <LogOut size={12} className="mr-1" /> Sign out
+              </button>
+            )}
+          </span>
+        ) : (
+          <span>Usage is counted per IP address.</span>
+        )}
+        {usage && (
+          <span>
+            Today: {formatNumber(usage.requests)} request{usage.requests === 1 ? '' : 's'}
+            {' · '}{formatNumber(usage.tokens)}{usage.limits.dailyTokens ? ` of ${formatNumber(usage.limits.dailyTokens)}` : ''} tokens on the server's key
+            {usage.userKeyTokens > 0 && ` · ${formatNumber(usage.userKeyTokens)} on your own key`}
+            {' · '}at most {usage.limits.requestsPerMinute} requests per minute
+          </span>
+        )}
+      </div>
+      {provider?.acceptsUserKey && <ProviderKeyField key={provider.name} provider={provider} disabled={disabled} />}
+    </div>
+  );
+}
+
+export default AccountPanel;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Coins } from 'lucide-react';
+import { formatCost, formatTokens } from '../utils/cost.js';
+
+// What an analysis would send to the model and roughly cost, from
+// /api/analyze?estimate=1, shown before the user starts it.
+function AnalysisEstimate({ estimate, selectedProvider }) {
+  const { files, cached, skipped, batches, promptTokens, completionTokens } = estimate;
+
+  return (
+    <div className="mt-6 p-3 rounded-lg border border-white/10 bg-black/20 text-xs text-neutral-400 space-y-2">
+      <p className="flex items-start text-neutral-300">
+        <Coins size={14} className="mr-2 mt-0.5 text-purple-300 shrink-0" />
+        {batches > 0 ? (
+          <span>
+            About {formatTokens(promptTokens)} prompt tokens and roughly {formatTokens(completionTokens)} reply tokens
+            in {batches} model call{batches === 1 ? '' : 's'} to {estimate.model}: {formatCost(estimate.cost)}.
+          </span>
+        ) : (
+          <span>Nothing to send to the model{cached.length > 0 ? '; every file has a cached result' : ''}.</span>
+        )}
+      </p>
+      {cached.length > 0 && batches > 0 && (
+        <p>{cached.length} unchanged file{cached.length === 1 ? '' : 's'} will reuse cached results at no cost.</p>
+      )}
+      {batches > 0 && estimate.costs.length > 1 && (
+        <p>
+          Same tokens elsewhere:{' '}
+          {estimate.costs.map((entry, index) => (
+            <span key={entry.provider} className={entry.provider === selectedProvider ? 'text-neutral-200' : ''}>
+              {index > 0 && ' · '}{entry.label} ({entry.model}) {formatCost(entry.cost)}
+            </span>
+          ))}
+        </p>
+      )}
+      {(files.length > 0 || skipped.length > 0) && (
+        <details>
+          <summary className="cursor-pointer hover:text-neutral-200">
+            {files.length} file{files.length === 1 ? '' : 's'} would be sent{skipped.length > 0 ? `, ${skipped.length} skipped` : ''}
+          </summary>
+          <ul className="mt-2 max-h-48 overflow-y-auto font-mono space-y-0.5">
+            {files.map(file => (
+              <li key={file.path}>
+                {file.path} <span className="text-neutral-500">· {formatTokens(file.tokens)} tokens{batches > 1 ? ` · call ${file.batch}` : ''}</span>
+              </li>
+            ))}
+            {skipped.map((file, index) => (
+              <li key={`skipped-${index}`} className="text-neutral-500">
+                {file.path}: {file.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {batches > 0 && (
+        <p className="text-neutral-500">
+          Counted with the GPT-4o tokenizer, so other models may differ slightly. Invalid replies that have to be repaired cost extra.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisEstimate;
@@ -0,0 +1,56 @@
+import React, { useRef } from 'react';
+import { EyeOff, FileDown, FileUp } from 'lucide-react';
+import { BASELINE_FILE, parseBaseline, serializeBaseline } from '../../lib/baseline.js';
+import { downloadText } from '../utils/download.js';
+
+// Suppressed-findings summary plus export/import of the project's baseline file.
+function BaselineControls({ baseline, suppressedIssues, showSuppressed, onToggleSuppressed, onImport }) {
+  const importInputRef = useRef(null);
+  const inlineCount = suppressedIssues.filter(issue => issue.suppressedBy === 'inline').length;
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = null;
+    if (!file) return;
+    try {
+      onImport(parseBaseline(await file.text()));
+    } catch (error) {
+      alert(`Could not import the baseline: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-400">
+      <span className="flex items-center mr-1">
+        <EyeOff size={14} className="mr-1" />
+        {suppressedIssues.length > 0
+          ? `${suppressedIssues.length} suppressed (${suppressedIssues.length - inlineCount} by the baseline, ${inlineCount} inline)`
+          : 'No suppressed findings'}
+        {' · '}{baseline.suppressions.length} in baseline
+      </span>
+      {suppressedIssues.length > 0 && (
+        <button
+          onClick={onToggleSuppressed}
+          className="px-2 py-0.5 rounded border border-white/10 text-neutral-300 hover:border-purple-400 hover:text-white"
+        >
+          {showSuppressed ? 'Hide suppressed' : 'Show suppressed'}
+        </button>
+      )}
+      <button
+        onClick={() => downloadText(serializeBaseline(baseline), BASELINE_FILE, 'application/json')}
+        className="flex items-center px-2 py-0.5 rounded border border-white/10 text-neutral-300 hover:border-purple-400 hover:text-white"
+      >
+        <FileDown size={12} className="mr-1" /> Export baseline
+      </button>
+      <button
+        onClick={() => importInputRef.current?.click()}
+        className="flex items-center px-2 py-0.5 rounded border border-white/10 text-neutral-300 hover:border-purple-400 hover:text-white"
+      >
+        <FileUp size={12} className="mr-1" /> Import baseline
+      </button>
+      <input ref={importInputRef} type="file" accept=".json" className="sr-only" onChange={handleImport} />
+    </div>
+  );
+}
+
+export default BaselineControls;
@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import { FileCode, Folder } from 'lucide-react';
+import CodeViewer from './CodeViewer.jsx';
+import { buildTree, filesUnder, sortedFiles, sortedFolders } from '../utils/fileTree.js';
+import { SEVERITY_MARKERS, worstSeverity } from '../utils/issues.js';
+
+function FindingCount({ issues }) {
+  if (issues.length === 0) return null;
+  return (
+    <span className="ml-auto pl-2 shrink-0 flex items-center gap-1 text-[10px] text-neutral-300">
+      <span className={`inline-block w-2 h-2 rounded-full ${SEVERITY_MARKERS[worstSeverity(issues)]}`} />
+      {issues.length}
+    </span>
+  );
+}
+
+// The analyzed files (the response's `codebase`) as a collapsible tree with
+// finding counts, next to a code viewer for the selected file. `focus` is
+// { filePath, line, key } and changes when a file or a finding is clicked.
+function CodeBrowser({ codebase, issues, focus, onFocus }) {
+  const issuesByPath = useMemo(() => {
+    const byPath = new Map();
+    for (const issue of issues) {
+      byPath.set(issue.filePath, [...(byPath.get(issue.filePath) || []), issue]);
+    }
+    return byPath;
+  }, [issues]);
+  const tree = useMemo(() => buildTree(codebase), [codebase]);
+
+  const issuesOf = (filePath) => issuesByPath.get(filePath) || [];
+  const selected = codebase.find(file => file.content !== null && file.path === focus?.filePath)
+    || codebase.find(file => file.content !== null && issuesOf(file.path).length > 0)
+    || codebase.find(file => file.content !== null);
+
+  const renderNode = (node, depth) => (
+    <ul className={depth > 0 ? 'ml-3 border-l border-white/10 pl-2' : ''}>
+      {sortedFolders(node).map(([name, child]) => (
+        <li key={name}>
+          <details open>
+            <summary className="cursor-pointer py-0.5 flex items-center text-neutral-300">
+              <Folder size={14} className="mr-1 shrink-0 text-purple-300" />
+              <span className="truncate">{name}</span>
+              <FindingCount issues={filesUnder(child).flatMap(file => issuesOf(file.path))} />
+            </summary>
+            {renderNode(child, depth + 1)}
+          </details>
+        </li>
+      ))}
+      {sortedFiles(node).map(file => (
+        <li key={file.path}>
+          <button
+            onClick={() => onFocus({ filePath: file.path, line: null, key: Date.now() })}
+            disabled={file.content === null}
+            title={file.content === null ? 'Not available: too large to show, or only known from the diff.' : file.path}
+            className={`w-full py-0.5 flex items-center text-left rounded disabled:opacity-50 ${file.path === selected?.path ? 'bg-purple-500/20 text-white' : 'text-neutral-300 hover:text-white'}`}
+          >
+            <FileCode size={14} className="mr-1 shrink-0 text-neutral-400" />
+            <span className="truncate">{file.name}</span>
+            <FindingCount issues={issuesOf(file.path)} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="flex flex-col md:flex-row gap-3 text-xs">
+      <nav className="md:w-64 shrink-0 font-mono max-h-[32rem] overflow-y-auto bg-black/20 border border-white/10 rounded-lg p-2">
+        {renderNode(tree, 0)}
+      </nav>
+      <div className="flex-1 min-w-0 border border-white/10 rounded-lg overflow-hidden">
+        {selected ? (
+          <>
+            <div className="px-3 py-1.5 bg-black/40 font-mono text-neutral-300 truncate">{selected.path}</div>
+            <CodeViewer
+              filePath={selected.path}
+              content={selected.content}
+              issues={issuesOf(selected.path)}
+              focusLine={selected.path === focus?.filePath ? focus.line : null}
+              focusKey={focus?.key}
+            />
+          </>
+        ) : (
+          <p className="p-3 text-neutral-400">No file content to show.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CodeBrowser;
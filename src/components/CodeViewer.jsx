@@ -0,0 +1,72 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Highlight, themes } from 'prism-react-renderer';
+import { SEVERITY_MARKERS, worstSeverity } from '../utils/issues.js';
+
+// Prism grammars bundled with prism-react-renderer; other C-like languages
+// fall back to the generic `clike` grammar.
+const LANGUAGES = {
+  '.js': 'jsx', '.jsx': 'jsx', '.mjs': 'jsx', '.cjs': 'jsx', '.ts': 'tsx', '.tsx': 'tsx',
+  '.html': 'markup', '.vue': 'markup', '.css': 'css', '.py': 'python', '.go': 'go', '.rs': 'rust',
+  '.swift': 'swift', '.kt': 'kotlin', '.m': 'objectivec', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp',
+  '.json': 'json', '.md': 'markdown', '.yml': 'yaml', '.yaml': 'yaml', '.sql': 'sql',
+};
+
+const languageOf = (filePath) => LANGUAGES[filePath.match(/\.[^./]+$/)?.[0].toLowerCase()] || 'clike';
+
+// One file with syntax highlighting and a gutter marker on every line a finding
+// points at (hover it for the messages). `focusLine` is scrolled into view.
+function CodeViewer({ filePath, content, issues, focusLine, focusKey }) {
+  const lineRefs = useRef({});
+
+  const issuesByLine = useMemo(() => {
+    const byLine = new Map();
+    for (const issue of issues) {
+      if (!issue.lineRange) continue;
+      for (let line = issue.lineRange.start; line <= issue.lineRange.end; line++) {
+        byLine.set(line, [...(byLine.get(line) || []), issue]);
+      }
+    }
+    return byLine;
+  }, [issues]);
+
+  useEffect(() => {
+    if (focusLine) lineRefs.current[focusLine]?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [filePath, focusLine, focusKey]);
+
+  return (
+    <Highlight theme={themes.vsDark} code={content.replace(/\n$/, '')} language={languageOf(filePath)}>
+      {({ tokens, getLineProps, getTokenProps }) => (
+        <pre className="text-xs font-mono overflow-auto max-h-[32rem] py-2 bg-black/30">
+          {tokens.map((lineTokens, index) => {
+            const lineNumber = index + 1;
+            const lineIssues = issuesByLine.get(lineNumber);
+            const isFocused = focusLine && lineIssues?.some(issue => issue.lineRange.start === focusLine);
+            const { className, style, ...lineProps } = getLineProps({ line: lineTokens });
+            return (
+              <div
+                key={lineNumber}
+                ref={element => { lineRefs.current[lineNumber] = element; }}
+                {...lineProps}
+                style={{ ...style, background: undefined }}
+                className={`${className} flex ${lineIssues ? 'bg-red-500/10' : ''} ${isFocused ? 'ring-1 ring-inset ring-purple-400' : ''}`}
+              >
+                <span
+                  className="w-14 shrink-0 pr-2 flex items-center justify-end gap-1 select-none text-neutral-500"
+                  title={lineIssues?.map(issue => `${issue.type} (${issue.severity}): ${issue.message}`).join('\n\n')}
+                >
+                  {lineIssues && <span className={`inline-block w-2 h-2 rounded-full ${SEVERITY_MARKERS[worstSeverity(lineIssues)]}`} />}
+                  {lineNumber}
+                </span>
+                <span className="pr-4 whitespace-pre">
+                  {lineTokens.map((token, tokenIndex) => <span key={tokenIndex} {...getTokenProps({ token })} />)}
+                </span>
+              </div>
+            );
+          })}
+        </pre>
+      )}
+    </Highlight>
+  );
+}
+
+export default CodeViewer;
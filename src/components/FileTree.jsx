@@ -0,0 +1,95 @@
+import React from 'react';
+import { Folder, Pin } from 'lucide-react';
+import { buildTree, filesUnder, sortedFiles, sortedFolders } from '../utils/fileTree.js';
+
+// The files of an uploaded archive as returned by /api/files, with a checkbox
+// to exclude each file or folder and a pin to analyze a file first. Generated
+// and minified files are skipped by the server unless pinned.
+function FileTree({ listing, pinned, excluded, onChange, disabled }) {
+  const rankOf = new Map(listing.files.map((file, index) => [file.path, index + 1]));
+  const entries = [
+    ...listing.files,
+    ...listing.skipped.filter(file => file.generated).map(file => ({ path: file.path, generatedReason: file.reason })),
+  ];
+  const tree = buildTree(entries);
+
+  const isIncluded = (entry) => !excluded.includes(entry.path) && (!entry.generatedReason || pinned.includes(entry.path));
+
+  const setIncluded = (paths, included) => {
+    onChange({
+      pinned: included ? pinned : pinned.filter(path => !paths.includes(path)),
+      excluded: included ? excluded.filter(path => !paths.includes(path)) : [...new Set([...excluded, ...paths])],
+    });
+  };
+
+  const togglePin = (entry) => {
+    const isPinned = pinned.includes(entry.path);
+    onChange({
+      pinned: isPinned ? pinned.filter(path => path !== entry.path) : [...pinned, entry.path],
+      excluded: excluded.filter(path => path !== entry.path),
+    });
+  };
+
+  const renderNode = (node, depth) => (
+    <ul className={depth > 0 ? 'ml-4 border-l border-white/10 pl-2' : ''}>
+      {sortedFolders(node).map(([name, child]) => {
+        const childEntries = filesUnder(child);
+        return (
+          <li key={name}>
+            <details open={depth < 2}>
+              <summary className="cursor-pointer py-0.5 flex items-center text-neutral-300">
+                <input
+                  type="checkbox"
+                  className="mr-2 accent-purple-500"
+                  checked={childEntries.some(isIncluded)}
+                  onChange={(e) => setIncluded(childEntries.map(entry => entry.path), e.target.checked)}
+                  onClick={(e) => e.stopPropagation()}
+                  disabled={disabled}
+                  aria-label={`Include ${name}`}
+                />
+                <Folder size={14} className="mr-1 text-purple-300" /> {name}
+              </summary>
+              {renderNode(child, depth + 1)}
+            </details>
+          </li>
+        );
+      })}
+      {sortedFiles(node).map(entry => {
+        const isPinned = pinned.includes(entry.path);
+        return (
+          <li key={entry.path} className="py-0.5 flex items-center" title={entry.generatedReason || entry.reasons?.join('; ')}>
+            <input
+              type="checkbox"
+              className="mr-2 accent-purple-500"
+              checked={isIncluded(entry)}
+              onChange={(e) => (entry.generatedReason && e.target.checked ? togglePin(entry) : setIncluded([entry.path], e.target.checked))}
+              disabled={disabled}
+              aria-label={`Include ${entry.path}`}
+            />
+            <span className={`truncate ${isIncluded(entry) ? 'text-neutral-200' : 'text-neutral-500 line-through'}`}>{entry.name}</span>
+            {entry.generatedReason
+              ? <span className="ml-2 text-[10px] text-neutral-500 shrink-0">generated</span>
+              : <span className="ml-2 text-[10px] text-neutral-400 shrink-0">#{rankOf.get(entry.path)}</span>}
+            <button
+              onClick={() => togglePin(entry)}
+              className={`ml-auto pl-2 shrink-0 ${isPinned ? 'text-pink-400' : 'text-neutral-500 hover:text-white'}`}
+              disabled={disabled}
+              aria-label={isPinned ? `Unpin ${entry.path}` : `Pin ${entry.path}`}
+              title={isPinned ? 'Pinned: analyzed first' : 'Pin: analyze first'}
+            >
+              <Pin size={12} />
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  return (
+    <div className="text-xs font-mono max-h-72 overflow-y-auto bg-black/20 border border-white/10 rounded-lg p-3">
+      {renderNode(tree, 0)}
+    </div>
+  );
+}
+
+export default FileTree;
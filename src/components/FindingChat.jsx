@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageSquare, Send, ArrowUpCircle, XCircle } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { providerKeyHeaders } from '../utils/providerKeyStore.js';
+
+const endSession = (sessionId) => {
+  fetch(`/api/chat?sessionId=${encodeURIComponent(sessionId)}`, { method: 'DELETE' }).catch(() => {});
+};
+
+// Follow-up questions about one finding, backed by /api/chat. The first
+// question sends the finding and `files` ([{ path, content }]); the server
+// keeps them for the rest of the conversation. A fix from an answer can be
+// promoted into the finding's suggested fix with `onPromoteFix(fix)`.
+function FindingChat({ issue, files, provider, model, onPromoteFix, onClose }) {
+  const [sessionId, setSessionId] = useState(null);
+  const [messages, setMessages] = useState([]); // { role, content, fix }
+  const [question, setQuestion] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+  const sessionIdRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  // Closing the panel ends the server-side session.
+  useEffect(() => () => {
+    abortControllerRef.current?.abort();
+    if (sessionIdRef.current) endSession(sessionIdRef.current);
+  }, []);
+
+  const updateSessionId = (id) => {
+    sessionIdRef.current = id;
+    setSessionId(id);
+  };
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    const message = question.trim();
+    if (!message || isSending) return;
+
+    setIsSending(true);
+    setError('');
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    try {
+      const body = sessionId
+        ? { sessionId, message }
+        : { finding: issue, files, provider, model, message };
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...providerKeyHeaders(provider) },
+        body: JSON.stringify(body),
+        signal: abortController.signal,
+      });
+      const data = await response.json();
+      if (response.status === 404) {
+        // The server forgot the session (expired or restarted); the next question starts a new one.
+        updateSessionId(null);
+      }
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+
+      updateSessionId(data.sessionId);
+      setMessages(prev => [...prev, { role: 'user', content: message }, { role: 'assistant', content: data.reply, fix: data.fix }]);
+      setQuestion('');
+    } catch (sendError) {
+      if (sendError.name === 'AbortError') return;
+      console.error('Chat request failed:', sendError);
+      setError(sendError.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handlePromote = async (fix) => {
+    if (sessionId) {
+      // Keeps the server's copy of the finding in sync; a forgotten session does not matter here.
+      await fetch('/api/chat', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, suggestedFix: fix }),
+      }).catch(() => {});
+    }
+    onPromoteFix(fix);
+  };
+
+  return (
+    <div className="mt-3 rounded-md border border-purple-400/30 bg-black/20 text-sm">
+      <div className="px-3 py-1.5 flex items-center border-b border-white/10 text-neutral-300 text-xs">
+        <MessageSquare size={14} className="mr-1 text-purple-300" /> Ask about this finding
+        <button onClick={onClose} className="ml-auto text-neutral-400 hover:text-white" aria-label="Close the chat">
+          <XCircle size={14} />
+        </button>
+      </div>
+      {messages.length > 0 && (
+        <ul className="p-3 space-y-3 max-h-96 overflow-y-auto">
+          {messages.map((message, index) => (
+            <li key={index} className={message.role === 'user' ? 'text-purple-200' : 'text-neutral-300'}>
+              <span className="block text-[10px] uppercase tracking-wide text-neutral-500">{message.role === 'user' ? 'You' : 'Assistant'}</span>
+              <div className="prose prose-invert prose-sm max-w-none prose-p:my-1 prose-pre:my-1">
+                <ReactMarkdown remarkPlugins={[remarkGfm]}>{message.content}</ReactMarkdown>
+              </div>
+              {message.fix && (
+                <button
+                  onClick={() => handlePromote(message.fix)}
+                  className="mt-1 flex items-center px-2 py-0.5 rounded border border-white/10 text-xs text-neutral-400 hover:border-purple-400 hover:text-white"
+                  title="Replace the finding's suggested fix with the code block of this answer"
+                >
+                  <ArrowUpCircle size={12} className="mr-1" /> Use as suggested fix
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="px-3 pb-2 text-xs text-red-300">{error}</p>}
+      <form onSubmit={handleSend} className="p-2 flex gap-2 border-t border-white/10">
+        <input
+          className="flex-1 bg-black/30 border border-white/10 rounded-md px-2 py-1 text-neutral-200 text-sm focus:ring-1 focus:ring-purple-400 focus:border-purple-400 placeholder-neutral-500"
+          placeholder={messages.length === 0 ? 'Why is this a problem? Show a fix that keeps the existing API...' : 'Ask a follow-up question...'}
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          disabled={isSending}
+        />
+        <button
+          type="submit"
+          className="flex items-center px-3 py-1 rounded-md bg-purple-600 hover:bg-purple-700 text-white text-xs disabled:opacity-60"
+          disabled={isSending || !question.trim()}
+        >
+          <Send size={12} className="mr-1" /> {isSending ? 'Thinking...' : 'Ask'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default FindingChat;
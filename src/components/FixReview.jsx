@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Check, X, GitCompare } from 'lucide-react';
+import { PATCH_CONTEXT_LINES } from '../../lib/fixes.js';
+
+// Side-by-side view of one edit: the original lines on the left, the
+// replacement on the right, with a few lines of context around both.
+function EditDiff({ edit, original }) {
+  const lines = original.replace(/\n$/, '').split('\n');
+  const firstContextLine = Math.max(1, edit.startLine - PATCH_CONTEXT_LINES);
+  const lastContextLine = Math.min(lines.length, edit.endLine + PATCH_CONTEXT_LINES);
+  const replacement = edit.replacement === '' ? [] : edit.replacement.replace(/\n$/, '').split('\n');
+
+  const contextRows = (from, to) => {
+    const rows = [];
+    for (let lineNumber = from; lineNumber <= to; lineNumber++) {
+      rows.push({ kind: 'context', left: lines[lineNumber - 1], leftNumber: lineNumber, right: lines[lineNumber - 1] });
+    }
+    return rows;
+  };
+
+  const removedCount = edit.endLine - edit.startLine + 1;
+  const changedRows = Array.from({ length: Math.max(removedCount, replacement.length) }, (_, index) => ({
+    kind: 'change',
+    left: index < removedCount ? lines[edit.startLine - 1 + index] : null,
+    leftNumber: index < removedCount ? edit.startLine + index : null,
+    right: index < replacement.length ? replacement[index] : null,
+  }));
+
+  const rows = [
+    ...contextRows(firstContextLine, edit.startLine - 1),
+    ...changedRows,
+    ...contextRows(edit.endLine + 1, lastContextLine),
+  ];
+
+  const cellClass = (kind, side, text) => {
+    if (kind === 'context') return 'text-neutral-400';
+    if (text === null) return 'bg-black/20';
+    return side === 'left' ? 'bg-red-500/15 text-red-200' : 'bg-green-500/15 text-green-200';
+  };
+
+  return (
+    <div className="mt-2 overflow-x-auto rounded-md border border-white/10 text-xs font-mono">
+      <div className="px-2 py-1 bg-black/30 text-neutral-400 border-b border-white/10">
+        {edit.filePath} · lines {edit.startLine}-{edit.endLine}
+      </div>
+      <table className="w-full border-collapse">
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td className="w-10 pr-2 text-right text-neutral-500 select-none align-top">{row.leftNumber ?? ''}</td>
+              <td className={`w-1/2 px-2 whitespace-pre align-top ${cellClass(row.kind, 'left', row.left)}`}>{row.left ?? ''}</td>
+              <td className={`w-1/2 px-2 whitespace-pre align-top border-l border-white/10 ${cellClass(row.kind, 'right', row.right)}`}>{row.right ?? ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Preview plus accept/reject controls for the structured edits of one finding.
+function FixReview({ issue, sources, decision, onDecision }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const canPreview = issue.edits.every(edit => sources[edit.filePath] !== undefined);
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex items-center text-purple-300 hover:text-white disabled:opacity-50"
+          disabled={!canPreview}
+          title={canPreview ? undefined : 'Preview is available once the analysis completes.'}
+        >
+          <GitCompare size={14} className="mr-1" /> {isOpen ? 'Hide Fix' : 'Review Fix'}
+        </button>
+        {onDecision && (
+          <>
+            <button
+              onClick={() => onDecision(issue.id, decision === 'accepted' ? null : 'accepted')}
+              className={`flex items-center px-2 py-0.5 rounded border ${decision === 'accepted' ? 'border-green-400 bg-green-500/20 text-green-200' : 'border-white/10 text-neutral-300 hover:border-green-400'}`}
+            >
+              <Check size={14} className="mr-1" /> Accept
+            </button>
+            <button
+              onClick={() => onDecision(issue.id, decision === 'rejected' ? null : 'rejected')}
+              className={`flex items-center px-2 py-0.5 rounded border ${decision === 'rejected' ? 'border-red-400 bg-red-500/20 text-red-200' : 'border-white/10 text-neutral-300 hover:border-red-400'}`}
+            >
+              <X size={14} className="mr-1" /> Reject
+            </button>
+          </>
+        )}
+      </div>
+      {isOpen && canPreview && issue.edits.map((edit, index) => (
+        <EditDiff key={index} edit={edit} original={sources[edit.filePath]} />
+      ))}
+    </div>
+  );
+}
+
+export default FixReview;
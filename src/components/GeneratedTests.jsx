@@ -0,0 +1,100 @@
+import React from 'react';
+import { CheckCircle, Download, FlaskConical, XCircle } from 'lucide-react';
+import { createNewFilePatch } from '../../lib/fixes.js';
+import { downloadText } from '../utils/download.js';
+import { formatCost, formatTokens } from '../utils/cost.js';
+
+const RUN_STATUS_STYLES = {
+  passed: 'text-green-300',
+  failed: 'text-red-300',
+  timeout: 'text-yellow-300',
+  skipped: 'text-neutral-400',
+};
+
+const baseName = (filePath) => filePath.split('/').pop();
+
+// Test files from /api/analyze?tests=1, with per-file and .patch downloads and,
+// when the server ran them, whether each one passed.
+function GeneratedTests({ tests, projectName }) {
+  const { framework, files, notes, skipped, run, usage } = tests;
+  const runResults = new Map((run?.results || []).map(result => [result.path, result]));
+
+  const handleDownloadPatch = () => {
+    const patch = files.map(file => createNewFilePatch(file.path, file.content)).join('');
+    downloadText(patch, `${(projectName || 'code').replace(/\.[^.]+$/, '')}-tests.patch`, 'text/x-diff');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-neutral-300">
+        <span className="flex-1">
+          {files.length} {framework.label} test file{files.length === 1 ? '' : 's'}
+          {framework.detectedFrom === 'request' ? '' : ` (framework detected from ${framework.detectedFrom})`}
+          {' · '}{formatTokens(usage.totalTokens)} tokens, {formatCost(usage.cost)}
+        </span>
+        <button onClick={handleDownloadPatch} className="flex items-center px-3 py-1 rounded-md bg-white/10 hover:bg-white/20 text-xs">
+          <Download size={14} className="mr-1" /> Download all as .patch
+        </button>
+      </div>
+      {notes && <p className="text-xs text-neutral-400">{notes}</p>}
+      {run && !run.enabled && (
+        <p className="text-xs text-yellow-300">The tests were not run: running generated tests is disabled on this server.</p>
+      )}
+
+      {files.map(file => {
+        const result = runResults.get(file.path);
+        return (
+          <details key={file.path} className="rounded-lg border border-white/10 bg-black/20">
+            <summary className="cursor-pointer px-3 py-2 flex flex-wrap items-center gap-2 text-sm text-neutral-200">
+              <FlaskConical size={14} className="text-purple-300" />
+              <span className="font-mono">{file.path}</span>
+              {result && run.enabled && (
+                <span className={`flex items-center text-xs ${RUN_STATUS_STYLES[result.status]}`}>
+                  {result.status === 'passed' ? <CheckCircle size={12} className="mr-1" /> : <XCircle size={12} className="mr-1" />}
+                  {result.status}
+                  {result.status !== 'skipped' && ` (${result.passed} passed, ${result.failed} failed)`}
+                </span>
+              )}
+              <button
+                onClick={(event) => {
+                  event.preventDefault();
+                  downloadText(file.content, baseName(file.path));
+                }}
+                className="ml-auto flex items-center px-2 py-0.5 rounded border border-white/10 text-xs text-neutral-300 hover:border-purple-400 hover:text-white"
+              >
+                <Download size={12} className="mr-1" /> Download
+              </button>
+            </summary>
+            <div className="px-3 pb-3 space-y-2">
+              {file.covers.length > 0 && (
+                <ul className="list-disc list-inside text-xs text-neutral-400">
+                  {file.covers.map((item, index) => <li key={index}>{item}</li>)}
+                </ul>
+              )}
+              <pre className="bg-black/30 p-3 rounded-lg overflow-x-auto font-mono text-xs text-neutral-200 border border-white/10 max-h-96">
+                <code>{file.content}</code>
+              </pre>
+              {result && run.enabled && (result.output || result.reason) && (
+                <details>
+                  <summary className="cursor-pointer text-xs text-neutral-400 hover:text-neutral-200">Run output</summary>
+                  <pre className="mt-1 bg-black/30 p-3 rounded-lg overflow-x-auto font-mono text-xs text-neutral-300 max-h-64">{result.reason || result.output}</pre>
+                </details>
+              )}
+            </div>
+          </details>
+        );
+      })}
+
+      {skipped.length > 0 && (
+        <details className="text-xs text-neutral-400">
+          <summary className="cursor-pointer hover:text-neutral-200">{skipped.length} file{skipped.length === 1 ? ' was' : 's were'} left out</summary>
+          <ul className="mt-1 list-disc list-inside">
+            {skipped.map((item, index) => <li key={`${item.path}-${index}`}>{item.path}: {item.reason}</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default GeneratedTests;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, Brain, ShieldAlert, MessageSquare } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import FixReview from './FixReview.jsx';
+import FindingChat from './FindingChat.jsx';
+import { SUPPRESSION_REASONS } from '../../lib/baseline.js';
+
+// issueSeverityStyles remains the same
+const issueSeverityStyles = {
+  low: {
+    borderColor: 'border-l-green-400',
+    bgColor: 'bg-green-500/10',
+    textColor: 'text-green-300',
+    icon: <CheckCircle size={18} className="text-green-400 mr-2" />
+  },
+  medium: {
+    borderColor: 'border-l-yellow-400',
+    bgColor: 'bg-yellow-500/10',
+    textColor: 'text-yellow-300',
+    icon: <AlertTriangle size={18} className="text-yellow-400 mr-2" />
+  },
+  high: {
+    borderColor: 'border-l-red-400',
+    bgColor: 'bg-red-500/10',
+    textColor: 'text-red-300',
+    icon: <AlertTriangle size={18} className="text-red-400 mr-2" />
+  },
+  critical: { // NEW SEVERITY for security
+    borderColor: 'border-l-red-600',
+    bgColor: 'bg-red-600/15',
+    textColor: 'text-red-200',
+    icon: <ShieldAlert size={18} className="text-red-400 mr-2" /> // Use ShieldAlert for critical security
+  },
+  info: {
+    borderColor: 'border-l-blue-400',
+    bgColor: 'bg-blue-500/10',
+    textColor: 'text-blue-300',
+    icon: <Brain size={18} className="text-blue-400 mr-2" />
+  },
+  default: {
+    borderColor: 'border-l-gray-400',
+    bgColor: 'bg-gray-500/10',
+    textColor: 'text-gray-300',
+    icon: null
+  }
+};
+
+// Model findings whose location was corrected or could not be checked (lib/verify.js).
+const VERIFICATION_BADGES = {
+  snapped: { label: 'Line adjusted', className: 'bg-yellow-500/20 text-yellow-200' },
+  unverified: { label: 'Unverified', className: 'bg-red-500/20 text-red-200' },
+};
+
+// The source lines a finding points at, numbered from `start`.
+const numberedExcerpt = (excerpt, start) => excerpt.split('\n')
+  .map((line, index) => (line === '…' ? line : `${String(start + index).padStart(4)} | ${line}`))
+  .join('\n');
+
+// The findings list of a report. Without `onFixDecision` the fix previews are read-only.
+// `onSuppress(issue, reason)` adds the mute buttons, `onRestore(issue)` un-mutes a baseline entry.
+// `onShowInCode(issue)` makes the location of findings in `codePaths` open the code viewer.
+// `chat` ({ filesFor(issue), provider, model, onPromoteFix(issue, fix) }) adds a follow-up
+// chat to every finding whose code `filesFor` can supply.
+function IssueList({ issues, sources = {}, fixDecisions = {}, onFixDecision, onSuppress, onRestore, onShowInCode, codePaths, chat }) {
+  const [chatIssueId, setChatIssueId] = useState(null);
+
+  return (
+    <ul className="space-y-3">
+      {issues.map(issue => {
+        // Dynamically choose style based on severity, defaulting if missing
+        const styles = issueSeverityStyles[issue.severity] || issueSeverityStyles.default;
+        return (
+          <li
+            key={issue.id}
+            className={`p-4 rounded-lg shadow-md border-l-4 flex items-start ${styles.borderColor} ${styles.bgColor} ${issue.suppressedBy ? 'opacity-60' : ''}`}
+          >
+            {styles.icon}
+            <div className="flex-1  min-w-0"> {/* Added flex-1 to push suggested fix to right */}
+              <span className={`font-semibold block mb-1 ${styles.textColor}`}>
+                {issue.type}
+                {(issue.source === 'static' || issue.source === 'secret-scan') && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded bg-white/10 text-neutral-300 text-[10px] uppercase tracking-wide" title={`Deterministic rule: ${issue.ruleId}`}>
+                    {issue.source === 'static' ? 'Static' : 'Secret Scan'}
+                  </span>
+                )}
+                {issue.suppressedBy && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded bg-white/10 text-neutral-300 text-[10px] uppercase tracking-wide">
+                    {issue.suppressedBy === 'inline' ? 'alchemist-ignore' : SUPPRESSION_REASONS[issue.reason]}
+                  </span>
+                )}
+                {VERIFICATION_BADGES[issue.verification] && (
+                  <span
+                    className={`ml-2 px-1.5 py-0.5 rounded text-[10px] uppercase tracking-wide ${VERIFICATION_BADGES[issue.verification].className}`}
+                    title={issue.verificationNote || undefined}
+                  >
+                    {VERIFICATION_BADGES[issue.verification].label}
+                  </span>
+                )}
+                {onShowInCode && codePaths?.has(issue.filePath) ? (
+                  <button
+                    onClick={() => onShowInCode(issue)}
+                    className="font-normal text-purple-300 hover:text-white text-xs ml-2 underline decoration-dotted"
+                    title="Show in the code viewer"
+                  >
+                    {issue.filePath}{issue.line !== 'N/A' && `:${issue.line}`}
+                  </button>
+                ) : (
+                  <>
+                    {issue.line !== 'N/A' && <span className="font-normal text-neutral-400 text-xs ml-2">({issue.line})</span>}
+                    {issue.filePath && issue.filePath !== 'N/A' && (
+                      <span className="font-normal text-neutral-400 text-xs ml-2"> (File: {issue.filePath})</span>
+                    )}
+                  </>
+                )}
+              </span>
+              <div className="text-neutral-300 text-sm prose prose-invert prose-p:my-1 prose-ul:my-1 prose-li:my-1">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                      {issue.message}
+                  </ReactMarkdown>
+              </div>
+              {issue.excerpt && issue.lineRange && (
+                <pre className="mt-2 p-2 bg-black/30 border border-white/10 rounded-md text-neutral-400 text-xs overflow-x-auto">
+                  {numberedExcerpt(issue.excerpt, issue.lineRange.start)}
+                </pre>
+              )}
+              {issue.verification === 'unverified' && issue.verificationNote && (
+                <p className="mt-1 text-xs text-red-300/80">{issue.verificationNote}</p>
+              )}
+              {issue.suggestedFix && issue.suggestedFix !== "N/A" && ( // NEW: Display suggestedFix
+                <div className="mt-3 p-3 bg-white/5 border border-white/10 rounded-md text-neutral-400 text-xs font-mono  w-full">
+                  <h4 className="font-semibold text-neutral-300 mb-1">Suggested Fix:</h4>
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                    {`\`\`\`\n${issue.suggestedFix}\n\`\`\``}
+                  </ReactMarkdown>
+                </div>
+              )}
+              {issue.edits?.length > 0 && (
+                <FixReview
+                  issue={issue}
+                  sources={sources}
+                  decision={fixDecisions[issue.id]}
+                  onDecision={onFixDecision}
+                />
+              )}
+              {onSuppress && issue.fingerprint && !issue.suppressedBy && (
+                <div className="mt-2 flex gap-2 text-xs">
+                  {Object.entries(SUPPRESSION_REASONS).map(([reason, label]) => (
+                    <button
+                      key={reason}
+                      onClick={() => onSuppress(issue, reason)}
+                      className="px-2 py-0.5 rounded border border-white/10 text-neutral-400 hover:border-purple-400 hover:text-white"
+                      title="Hide this finding in later runs of this project"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {chat && issue.category && chatIssueId !== issue.id && chat.filesFor(issue) && (
+                <button
+                  onClick={() => setChatIssueId(issue.id)}
+                  className="mt-2 flex items-center px-2 py-0.5 rounded border border-white/10 text-xs text-neutral-400 hover:border-purple-400 hover:text-white"
+                >
+                  <MessageSquare size={12} className="mr-1" /> Ask about this
+                </button>
+              )}
+              {chat && chatIssueId === issue.id && (
+                <FindingChat
+                  issue={issue}
+                  files={chat.filesFor(issue)}
+                  provider={chat.provider}
+                  model={chat.model}
+                  onPromoteFix={fix => chat.onPromoteFix(issue, fix)}
+                  onClose={() => setChatIssueId(null)}
+                />
+              )}
+              {onRestore && issue.suppressedBy === 'baseline' && (
+                <button
+                  onClick={() => onRestore(issue)}
+                  className="mt-2 px-2 py-0.5 rounded border border-white/10 text-xs text-neutral-400 hover:border-purple-400 hover:text-white"
+                >
+                  Restore
+                </button>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default IssueList;
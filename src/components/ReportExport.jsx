@@ -0,0 +1,32 @@
+import React from 'react';
+import { FileDown } from 'lucide-react';
+import { REPORT_FORMATS, renderReport, reportFileName } from '../../lib/report.js';
+import { issuesToFindings } from '../utils/issues.js';
+import { downloadText } from '../utils/download.js';
+
+const FORMAT_LABELS = { sarif: 'SARIF', json: 'JSON', markdown: 'Markdown', html: 'HTML' };
+
+// Download buttons for a finished report. `run` has the shape saved by historyStore.
+function ReportExport({ run }) {
+  const handleExport = (format) => {
+    const content = renderReport(format, { ...run, findings: issuesToFindings(run.issues) });
+    downloadText(content, reportFileName(run.input?.name, format), REPORT_FORMATS[format].mimeType);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-400">
+      <span className="flex items-center mr-1"><FileDown size={14} className="mr-1" /> Export report:</span>
+      {Object.keys(REPORT_FORMATS).map(format => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          className="px-2 py-0.5 rounded border border-white/10 text-neutral-300 hover:border-purple-400 hover:text-white"
+        >
+          {FORMAT_LABELS[format]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ReportExport;
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, GitCompare } from 'lucide-react';
+import IssueList from '../components/IssueList.jsx';
+import { getRun } from '../utils/historyStore.js';
+import { compareIssues } from '../utils/compareRuns.js';
+
+const formatDate = (isoString) => new Date(isoString).toLocaleString();
+
+const SECTIONS = [
+  { key: 'new', title: 'New', description: 'Reported in the newer run only.', textColor: 'text-red-300' },
+  { key: 'resolved', title: 'Resolved', description: 'Reported in the older run only.', textColor: 'text-green-300' },
+  { key: 'unchanged', title: 'Unchanged', description: 'Reported in both runs.', textColor: 'text-neutral-300' },
+];
+
+// Compares two saved runs; `baseId` is the older run, `headId` the newer one.
+function Compare() {
+  const { baseId, headId } = useParams();
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    Promise.all([getRun(baseId), getRun(headId)])
+      .then(([base, head]) => {
+        if (!base || !head) {
+          setError('One of these analyses no longer exists.');
+          return;
+        }
+        setRuns({ base, head });
+      })
+      .catch(loadError => setError(loadError.message));
+  }, [baseId, headId]);
+
+  const comparison = runs ? compareIssues(runs.base.issues, runs.head.issues) : null;
+  const sectionIssues = {
+    new: comparison?.new,
+    resolved: comparison?.resolved,
+    unchanged: comparison?.unchanged.map(pair => pair.after),
+  };
+  // Resolved findings point at the older run's sources, the rest at the newer run's.
+  const sectionSources = (key) => (key === 'resolved' ? runs.base.sources : runs.head.sources);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-indigo-900 p-4 sm:p-8 flex items-start justify-center font-sans">
+      <div className="w-full max-w-5xl bg-black/50 backdrop-blur-2xl rounded-2xl shadow-2xl p-6 sm:p-10 text-neutral-100 border border-white/20">
+        <header className="mb-8 flex items-center justify-between">
+          <h1 className="text-3xl sm:text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-purple-400 via-pink-400 to-red-400 flex items-center">
+            <GitCompare size={30} className="mr-3 text-pink-400" />
+            Compare Analyses
+          </h1>
+          <Link to="/history" className="text-sm text-purple-300 hover:text-white flex items-center">
+            <ArrowLeft size={16} className="mr-1" /> All Analyses
+          </Link>
+        </header>
+
+        {error && <p className="text-red-300">{error}</p>}
+        {!error && !runs && <p className="text-neutral-400">Loading reports...</p>}
+
+        {comparison && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6 text-sm">
+              {[['Before', runs.base], ['After', runs.head]].map(([label, run]) => (
+                <Link key={label} to={`/history/${run.id}`} className="p-3 rounded-lg bg-white/5 border border-white/10 hover:border-purple-400">
+                  <span className="block text-xs uppercase tracking-wide text-neutral-400">{label}</span>
+                  <span className="block font-semibold text-neutral-200 truncate">{run.input.name}</span>
+                  <span className="block text-xs text-neutral-400">{formatDate(run.createdAt)} · {run.provider} ({run.model})</span>
+                </Link>
+              ))}
+            </div>
+
+            <div className="flex gap-6 mb-8 text-sm">
+              {SECTIONS.map(section => (
+                <span key={section.key} className={section.textColor}>
+                  <span className="text-2xl font-bold mr-1">{sectionIssues[section.key].length}</span> {section.title.toLowerCase()}
+                </span>
+              ))}
+            </div>
+
+            {SECTIONS.map(section => (
+              <section key={section.key} className="mb-8">
+                <h2 className={`text-xl font-semibold mb-1 ${section.textColor}`}>
+                  {section.title} ({sectionIssues[section.key].length})
+                </h2>
+                <p className="text-xs text-neutral-400 mb-3">{section.description}</p>
+                {sectionIssues[section.key].length > 0
+                  ? <IssueList issues={sectionIssues[section.key]} sources={sectionSources(section.key)} />
+                  : <p className="text-sm text-neutral-500">None.</p>}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Compare;
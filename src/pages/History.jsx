@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Brain, FileArchive, FileText, GitCompare, History as HistoryIcon, Trash2 } from 'lucide-react';
+import IssueList from '../components/IssueList.jsx';
+import ReportExport from '../components/ReportExport.jsx';
+import { deleteRun, getRun, listRuns } from '../utils/historyStore.js';
+import { formatFileSummary } from '../utils/issues.js';
+import { formatCost, formatTokens } from '../utils/cost.js';
+
+const formatDate = (isoString) => new Date(isoString).toLocaleString();
+
+const formatSummary = (summary) => Object.entries(summary || {})
+  .map(([type, count]) => `${count} ${type}`)
+  .join(' · ') || 'No findings';
+
+function RunReport({ runId }) {
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getRun(runId)
+      .then(storedRun => (storedRun ? setRun(storedRun) : setError('This analysis no longer exists.')))
+      .catch(loadError => setError(loadError.message));
+  }, [runId]);
+
+  if (error) return <p className="text-red-300">{error}</p>;
+  if (!run) return <p className="text-neutral-400">Loading report...</p>;
+
+  return (
+    <section>
+      <p className="text-sm text-neutral-400 mb-4">
+        {formatDate(run.createdAt)} · {run.input.name} · {run.provider} ({run.model})
+      </p>
+      <pre className="bg-black/30 p-4 mb-6 rounded-lg shadow-inner overflow-x-auto font-mono text-sm text-neutral-200 border border-white/10 max-h-96">
+        <code>{formatFileSummary(run.message, run.files, run.usage)}</code>
+      </pre>
+      <div className="mb-4">
+        <ReportExport run={run} />
+      </div>
+      <IssueList issues={run.issues} sources={run.sources} />
+    </section>
+  );
+}
+
+function History() {
+  const { runId } = useParams();
+  const navigate = useNavigate();
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  useEffect(() => {
+    listRuns()
+      .then(setRuns)
+      .catch(error => console.error("Error loading analysis history:", error))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this analysis from your history?')) return;
+    await deleteRun(id);
+    setRuns(prev => prev.filter(run => run.id !== id));
+    setSelectedIds(prev => prev.filter(selectedId => selectedId !== id));
+    if (runId === id) navigate('/history');
+  };
+
+  // Keeps at most two runs selected, dropping the oldest selection.
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id].slice(-2)));
+  };
+
+  const compareLink = (a, b) => {
+    const [base, head] = [a, b].sort((x, y) => x.createdAt.localeCompare(y.createdAt));
+    return `/history/compare/${base.id}/${head.id}`;
+  };
+
+  // The previous run of the same input, for the one-click comparison. `runs` is newest first.
+  const previousRun = (index) => runs.slice(index + 1).find(run => run.input.name === runs[index].input.name);
+
+  const selectedRuns = runs.filter(run => selectedIds.includes(run.id));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-indigo-900 p-4 sm:p-8 flex items-start justify-center font-sans">
+      <div className="w-full max-w-5xl bg-black/50 backdrop-blur-2xl rounded-2xl shadow-2xl p-6 sm:p-10 text-neutral-100 border border-white/20">
+        <header className="mb-8 flex items-center justify-between">
+          <h1 className="text-3xl sm:text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-purple-400 via-pink-400 to-red-400 flex items-center">
+            <HistoryIcon size={30} className="mr-3 text-pink-400" />
+            {runId ? 'Analysis Report' : 'Past Analyses'}
+          </h1>
+          <Link to={runId ? '/history' : '/'} className="text-sm text-purple-300 hover:text-white flex items-center">
+            <ArrowLeft size={16} className="mr-1" /> {runId ? 'All Analyses' : 'New Analysis'}
+          </Link>
+        </header>
+
+        {runId ? (
+          <RunReport key={runId} runId={runId} />
+        ) : (
+          <>
+            {isLoading && <p className="text-neutral-400">Loading history...</p>}
+            {!isLoading && runs.length === 0 && (
+              <p className="text-neutral-400">No analyses yet. Completed runs from the home page show up here.</p>
+            )}
+            {runs.length > 1 && (
+              <div className="mb-4 flex items-center justify-between text-sm text-neutral-400">
+                <span>Select two analyses to compare their findings.</span>
+                <button
+                  onClick={() => navigate(compareLink(...selectedRuns))}
+                  disabled={selectedRuns.length !== 2}
+                  className="flex items-center px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <GitCompare size={16} className="mr-2" /> Compare Selected
+                </button>
+              </div>
+            )}
+            <ul className="space-y-3">
+              {runs.map((run, index) => (
+                <li key={run.id} className="p-4 rounded-lg bg-white/5 border border-white/10 flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(run.id)}
+                    onChange={() => toggleSelected(run.id)}
+                    className="mr-3 accent-purple-500"
+                    aria-label={`Select ${run.input.name} for comparison`}
+                  />
+                  {run.input.kind === 'zip' || run.input.kind === 'archive'
+                    ? <FileArchive size={22} className="mr-3 text-pink-400 shrink-0" />
+                    : <FileText size={22} className="mr-3 text-pink-400 shrink-0" />}
+                  <Link to={`/history/${run.id}`} className="flex-1 min-w-0 group">
+                    <span className="block font-semibold text-neutral-200 group-hover:text-white truncate">{run.input.name}</span>
+                    <span className="block text-xs text-neutral-400">
+                      {formatDate(run.createdAt)} · {run.provider} ({run.model})
+                      {run.usage?.calls > 0 && ` · ${formatTokens(run.usage.totalTokens)} tokens, ${formatCost(run.usage.cost)}`}
+                    </span>
+                    <span className="block text-xs text-neutral-300 mt-1 flex items-center">
+                      <Brain size={12} className="mr-1 text-purple-300" /> {formatSummary(run.summary)}
+                    </span>
+                  </Link>
+                  {previousRun(index) && (
+                    <Link
+                      to={compareLink(previousRun(index), run)}
+                      className="ml-4 text-xs text-purple-300 hover:text-white flex items-center"
+                      title="Compare with the previous analysis of the same input"
+                    >
+                      <GitCompare size={14} className="mr-1" /> vs. previous
+                    </Link>
+                  )}
+                  <button
+                    onClick={() => handleDelete(run.id)}
+                    className="ml-4 text-red-400 hover:text-red-300"
+                    title="Delete analysis"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default History;
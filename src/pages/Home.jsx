@@ -1,8 +1,46 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { UploadCloud, FileText, AlertTriangle, CheckCircle, Brain, XCircle, FileArchive, ShieldAlert } from 'lucide-react'; // ADD ShieldAlert icon
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
+import React, { useState, useRef, useCallback, useEffect, lazy, Suspense } from 'react';
+import { UploadCloud, FileText, FileCode, AlertTriangle, Brain, XCircle, FileArchive, Download, History, GitCompare, FlaskConical } from 'lucide-react';
+import { analysisToIssues, formatFileSummary, generateUniqueId } from '../utils/issues.js';
+import { readEventStream } from '../utils/sse.js';
+import { downloadBlob, downloadText } from '../utils/download.js';
+import { applyEdits, createPatch, groupEditsByFile } from '../../lib/fixes.js';
+import IssueList from '../components/IssueList.jsx';
+import ReportExport from '../components/ReportExport.jsx';
+import BaselineControls from '../components/BaselineControls.jsx';
+import FileTree from '../components/FileTree.jsx';
+import AccountPanel from '../components/AccountPanel.jsx';
+import AnalysisEstimate from '../components/AnalysisEstimate.jsx';
+import GeneratedTests from '../components/GeneratedTests.jsx';
+import { addSuppressions, mergeBaselines, removeSuppression } from '../../lib/baseline.js';
+import { loadBaseline, saveBaseline } from '../utils/baselineStore.js';
+import { providerKeyHeaders } from '../utils/providerKeyStore.js';
+import { formatTokens } from '../utils/cost.js';
+import { listRuns, saveRun, summarizeIssues } from '../utils/historyStore.js';
+import { clearActiveJob, loadActiveJob, saveActiveJob } from '../utils/activeJob.js';
+import { listTestFrameworks } from '../../lib/testFrameworks.js';
+import { PASTED_CODE_PATH } from '../../lib/schema.js';
+import { Link } from 'react-router-dom';
 
+// Loaded on demand: the syntax highlighter is the largest part of it
+const CodeBrowser = lazy(() => import('../components/CodeBrowser.jsx'));
+
+// Uploads the server extracts as a codebase (it recognizes them by content; the name is a hint for the UI)
+const ARCHIVE_PATTERN = /\.(zip|tar|tgz|tar\.gz|bundle)$/i;
+
+// Running token total of a streamed analysis; `usage` is a batch event's token counts
+const addTokens = (total = 0, usage) => total + (usage ? usage.promptTokens + usage.completionTokens : 0);
+
+// How often a background job's status is fetched
+const JOB_POLL_MS = 2000;
+
+// Resolves after `ms`, or rejects like an aborted fetch when `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('The wait was aborted.', 'AbortError'));
+  }, { once: true });
+});
 
 // Utility throttle function to prevent rapid repeated calls
 function throttle(fn, delay) {
@@ -16,52 +54,40 @@ function throttle(fn, delay) {
   };
 }
 
-
-// Helper function to generate a more unique ID than just generateUniqueId()
-const generateUniqueId = () => {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-};
-
-// issueSeverityStyles remains the same
-const issueSeverityStyles = {
-  low: {
-    borderColor: 'border-l-green-400',
-    bgColor: 'bg-green-500/10',
-    textColor: 'text-green-300',
-    icon: <CheckCircle size={18} className="text-green-400 mr-2" />
-  },
-  medium: {
-    borderColor: 'border-l-yellow-400',
-    bgColor: 'bg-yellow-500/10',
-    textColor: 'text-yellow-300',
-    icon: <AlertTriangle size={18} className="text-yellow-400 mr-2" />
-  },
-  high: {
-    borderColor: 'border-l-red-400',
-    bgColor: 'bg-red-500/10',
-    textColor: 'text-red-300',
-    icon: <AlertTriangle size={18} className="text-red-400 mr-2" />
-  },
-  critical: { // NEW SEVERITY for security
-    borderColor: 'border-l-red-600',
-    bgColor: 'bg-red-600/15',
-    textColor: 'text-red-200',
-    icon: <ShieldAlert size={18} className="text-red-400 mr-2" /> // Use ShieldAlert for critical security
-  },
-  info: {
-    borderColor: 'border-l-blue-400',
-    bgColor: 'bg-blue-500/10',
-    textColor: 'text-blue-300',
-    icon: <Brain size={18} className="text-blue-400 mr-2" />
-  },
-  default: {
-    borderColor: 'border-l-gray-400',
-    bgColor: 'bg-gray-500/10',
-    textColor: 'text-gray-300',
-    icon: null
+// The /api/analyze request body for the current input: FormData for uploads,
+// JSON for pasted code. Returns null when there is nothing to analyze.
+// `extraFields` are added as they are, e.g. the test generation options.
+function buildAnalysisRequest({ inputCode, uploadedFile, diffFile, baseRef, selectedProvider, selectedProfile, forceFresh, baseline, fileSelection }, extraFields = {}) {
+  if (uploadedFile || diffFile) {
+    const formData = new FormData();
+    if (uploadedFile) formData.append('codeFile', uploadedFile); // 'codeFile' will be the field name on the backend
+    if (diffFile) formData.append('diffFile', diffFile); // Review mode: only the changed hunks are analyzed
+    if (diffFile && baseRef.trim()) formData.append('baseRef', baseRef.trim());
+    if (selectedProvider) formData.append('provider', selectedProvider);
+    if (selectedProfile) formData.append('profile', selectedProfile);
+    if (forceFresh) formData.append('fresh', 'true');
+    if (baseline.suppressions.length > 0) formData.append('baseline', JSON.stringify(baseline));
+    if (!diffFile && fileSelection.pinned.length > 0) formData.append('pinned', JSON.stringify(fileSelection.pinned));
+    if (!diffFile && fileSelection.excluded.length > 0) formData.append('excluded', JSON.stringify(fileSelection.excluded));
+    Object.entries(extraFields).forEach(([field, value]) => value !== undefined && formData.append(field, value));
+    // The browser sets 'multipart/form-data' with the boundary itself
+    return { body: formData, contentType: undefined };
   }
-};
-
+  if (inputCode.trim()) {
+    return {
+      body: JSON.stringify({
+        code: inputCode,
+        provider: selectedProvider || undefined,
+        profile: selectedProfile || undefined,
+        baseline: baseline.suppressions.length > 0 ? baseline : undefined,
+        fresh: forceFresh || undefined,
+        ...extraFields
+      }),
+      contentType: 'application/json',
+    };
+  }
+  return null;
+}
 
 function Home() {
   const [inputCode, setInputCode] = useState('');
@@ -70,17 +96,148 @@ function Home() {
   const [issues, setIssues] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [fileName, setFileName] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [selectedProvider, setSelectedProvider] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState('');
+  const [forceFresh, setForceFresh] = useState(false); // Ignore the server's cached results for this run
+  const [runInBackground, setRunInBackground] = useState(false); // Queue the analysis as a server-side job (/api/jobs)
+  const [progress, setProgress] = useState(null); // Streaming progress: { message, completedBatches, totalBatches }
+  const [sources, setSources] = useState({}); // Original text of files that have suggested edits
+  const [codebase, setCodebase] = useState([]); // Analyzed files of an upload, for the code viewer
+  const [codeFocus, setCodeFocus] = useState(null); // { filePath, line, key } shown in the code viewer
+  const [fixDecisions, setFixDecisions] = useState({}); // issue id -> 'accepted' | 'rejected'
+  const [comparisonLink, setComparisonLink] = useState(''); // Compare view against the previous run of the same input
+  const [lastRun, setLastRun] = useState(null); // The finished run as saved to history, for report export
+  const [diffFile, setDiffFile] = useState(null); // .patch/.diff or git bundle: review only the change
+  const [baseRef, setBaseRef] = useState(''); // Bundles only: the commit the change is compared against
+  const [suppressedIssues, setSuppressedIssues] = useState([]); // Findings muted by the baseline or alchemist-ignore
+  const [showSuppressed, setShowSuppressed] = useState(false);
+  const [fileListing, setFileListing] = useState(null); // Files of the selected archive in analysis order, from /api/files
+  const [fileListingError, setFileListingError] = useState('');
+  const [fileSelection, setFileSelection] = useState({ pinned: [], excluded: [] });
+  const [usageVersion, setUsageVersion] = useState(0); // Bumped after each analysis to reload the usage counters
+  const [estimate, setEstimate] = useState(null); // Tokens and cost of analyzing the current input, from /api/analyze?estimate=1
+  const [estimateError, setEstimateError] = useState('');
+  const [testFramework, setTestFramework] = useState(''); // Empty: detected from the upload
+  const [runGeneratedTests, setRunGeneratedTests] = useState(false); // Ask the server to run the generated JavaScript tests
+  const [generatedTests, setGeneratedTests] = useState(null); // Test files from /api/analyze?tests=1
+  const [testError, setTestError] = useState('');
+  const [isGeneratingTests, setIsGeneratingTests] = useState(false);
+  const testAbortControllerRef = useRef(null);
   const fileInputRef = useRef(null);
+  const diffInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const jobIdRef = useRef(null); // The background job being followed, so it can be cancelled
+
+  // Load the LLM providers configured on the server so the user can pick one
+  useEffect(() => {
+    fetch('/api/providers')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        // Providers the server has no key for can still run on the user's own key
+        setProviders(data.providers.filter(provider => provider.configured || provider.acceptsUserKey));
+        setSelectedProvider(data.defaultProvider);
+      })
+      .catch(error => console.error("Error loading providers:", error));
+
+    fetch('/api/profiles')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        setProfiles(data.profiles);
+        setSelectedProfile(data.defaultProfile);
+      })
+      .catch(error => console.error("Error loading profiles:", error));
+  }, []);
+
+  // List an archive's files so the user can pin or exclude some before analyzing
+  useEffect(() => {
+    setFileListing(null);
+    setFileListingError('');
+    setFileSelection({ pinned: [], excluded: [] });
+    if (!uploadedFile || !ARCHIVE_PATTERN.test(uploadedFile.name)) return;
 
-  // --- ADD THIS REF FOR DEBOUNCING ---
-  const isProcessingRef = useRef(false); // Flag to immediately check if a request is in progress
+    const abortController = new AbortController();
+    const formData = new FormData();
+    formData.append('codeFile', uploadedFile);
+    fetch('/api/files', { method: 'POST', body: formData, signal: abortController.signal })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        setFileListing(data);
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error("Error listing the archive's files:", error);
+        setFileListingError(error.message);
+      });
+    return () => abortController.abort();
+  }, [uploadedFile]);
+
+  // Suppressions are kept per input, so muting a finding in one project does not hide it elsewhere
+  const projectName = diffFile ? diffFile.name : (fileName || 'Pasted code');
+  const [baseline, setBaseline] = useState(() => loadBaseline(projectName));
+  useEffect(() => {
+    setBaseline(loadBaseline(projectName));
+  }, [projectName]);
+
+  // Re-estimate the tokens and cost shortly after the input or the options stop changing
+  useEffect(() => {
+    setEstimate(null);
+    setEstimateError('');
+    const request = buildAnalysisRequest({ inputCode, uploadedFile, diffFile, baseRef, selectedProvider, selectedProfile, forceFresh, baseline, fileSelection });
+    if (!request || !selectedProvider) return;
+
+    const abortController = new AbortController();
+    const timer = setTimeout(() => {
+      fetch('/api/analyze?estimate=1', {
+        method: 'POST',
+        body: request.body,
+        headers: { ...(request.contentType ? { 'Content-Type': request.contentType } : {}), ...providerKeyHeaders(selectedProvider) },
+        signal: abortController.signal,
+      })
+        .then(async response => {
+          const data = await response.json();
+          if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+          setEstimate(data);
+        })
+        .catch(error => {
+          if (error.name === 'AbortError') return;
+          console.error("Error estimating the analysis cost:", error);
+          setEstimateError(error.message);
+        });
+    }, 800);
+    return () => {
+      clearTimeout(timer);
+      abortController.abort();
+    };
+  }, [inputCode, uploadedFile, diffFile, baseRef, selectedProvider, selectedProfile, forceFresh, baseline, fileSelection]);
+
+  const updateBaseline = (nextBaseline) => {
+    setBaseline(nextBaseline);
+    saveBaseline(projectName, nextBaseline);
+  };
+
+  const handleSuppress = (issue, reason) => {
+    updateBaseline(addSuppressions(baseline, [issue], reason));
+    setIssues(prev => prev.filter(other => other.id !== issue.id));
+    setSuppressedIssues(prev => [...prev, { ...issue, suppressedBy: 'baseline', reason }]);
+  };
+
+  const handleRestore = (issue) => {
+    updateBaseline(removeSuppression(baseline, issue.fingerprint));
+    setSuppressedIssues(prev => prev.filter(other => other.id !== issue.id));
+    setIssues(prev => [...prev, { ...issue, suppressedBy: null, reason: null }]);
+  };
 
   // Throttled version of handleAnalyzeCode
 const throttledAnalyzeCode = useCallback(
   throttle(() => {
     handleAnalyzeCode();
   }, 3000), // Only allow once every 3 seconds
-  [inputCode, uploadedFile, fileName] // Include dependencies
+  [inputCode, uploadedFile, fileName, selectedProvider, selectedProfile, diffFile, baseRef, baseline, fileSelection, forceFresh, runInBackground] // Include dependencies
 );
 
   const handleFileChange = async (event) => {
@@ -91,7 +248,7 @@ const throttledAnalyzeCode = useCallback(
       setIssues([]);
       setOutputCode('');
 
-      if (!file.name.endsWith('.zip')) {
+      if (!ARCHIVE_PATTERN.test(file.name)) {
         setIsLoading(true);
         try {
           const text = await file.text();
@@ -104,7 +261,7 @@ const throttledAnalyzeCode = useCallback(
         setIsLoading(false);
       } else {
         setInputCode('');
-        setIssues([{ id: generateUniqueId(), type: 'Info', message: `ZIP file '${file.name}' selected. Analysis will process the archive. (Note: Current backend only processes text input, zip handling is a future step).`, severity: 'info' }]);
+        setIssues([{ id: generateUniqueId(), type: 'Info', message: `Archive '${file.name}' selected. Analysis will process the code files inside it.`, severity: 'info' }]);
       }
     }
   };
@@ -115,127 +272,57 @@ const throttledAnalyzeCode = useCallback(
     setInputCode('');
     setIssues([]);
     setOutputCode('');
+    setSources({});
+    setCodebase([]);
+    setCodeFocus(null);
+    setFixDecisions({});
+    setComparisonLink('');
+    setLastRun(null);
+    setSuppressedIssues([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = null;
     }
   };
 
-  // src/App.js (inside your App component, replace the handleAnalyzeCode function)
-
-const handleAnalyzeCode = async () => {
-  console.count('handleAnalyzeCode called');
-  console.log('handleAnalyzeCode called at:', new Date().toISOString());
-
-    // Determine the data to send: uploaded file or pasted code
-    let requestBody;
-    let contentType;
+  const handleDiffFileChange = (event) => {
+    setDiffFile(event.target.files[0] || null);
+    setBaseRef('');
+  };
 
-    if (uploadedFile) {
-        // If a file is uploaded, use FormData
-        const formData = new FormData();
-        formData.append('codeFile', uploadedFile); // 'codeFile' will be the field name on the backend
-
-        // If there's also pasted code (e.g., user pasted, then uploaded),
-        // prioritize the file for analysis, but send original text as fallback/context.
-        // Or, you might decide to clear pasted code if a file is uploaded.
-        // For now, we'll send the file and let backend handle it.
-        // If the user pastes AND uploads a non-zip, we'll analyze the file.
-        // If the user pastes AND uploads a zip, we'll analyze the zip.
-        // If only paste, we'll analyze the paste.
-        // This is important: clear inputCode if a file is going to be sent for clarity
-        // (This logic is already in handleFileChange, but confirm)
-        // If inputCode is from a non-zip, and then Analyze is clicked, we'll send the file.
-
-        requestBody = formData;
-        contentType = undefined; // browser will set 'multipart/form-data' automatically with FormData
-    } else if (inputCode.trim()) {
-        // If only code is pasted, send as JSON
-        requestBody = JSON.stringify({ code: inputCode });
-        contentType = 'application/json';
-    } else {
-        // No file and no pasted code
-        alert("Please upload a file or paste code into the textarea to analyze.");
-        return;
+  const clearDiffFile = () => {
+    setDiffFile(null);
+    setBaseRef('');
+    if (diffInputRef.current) {
+      diffInputRef.current.value = null;
     }
+  };
 
-    setIsLoading(true);
-    setOutputCode('');
-    setIssues([]);
-
-    try {
-      const fetchOptions = {
-        method: 'POST',
-        body: requestBody,
-      };
-
-      if (contentType) {
-        fetchOptions.headers = { 'Content-Type': contentType };
-      }
-
-      const response = await fetch('/api/analyze', fetchOptions);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response from backend.' }));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
+  // Turns the final /api/analyze response into the issue list and report summary.
+  // `runInput` describes the analyzed input for the history.
+  const applyFinalResult = (data, fallbackFilePath, runInput) => {
       console.log("Raw data from backend:", data); // See everything the backend sent
         if (data.parsed) {
             console.log("AI analysis (parsed JSON):", data.analysis); // See the parsed JSON object
-            console.log("AI bugs array:", data.analysis.bugs); // See just the bugs array
         } else {
             console.log("AI analysis (raw text, parsing failed):", data.analysis); // See raw text if parsing failed
         }
 
       const newIssues = [];
       if (data.parsed) {
-        data.analysis.bugs.forEach((bug, index) => {
-          newIssues.push({
-            id: `bug-${index}-${generateUniqueId()}`, // Use a unique ID for each issue to avoid duplicates
-            type: 'Bug',
-            message: bug.message,
-            line: bug.line || 'N/A',
-            severity: bug.severity || 'high',
-            suggestedFix: bug.suggestedFix || null
-          });
-        });
-
-        data.analysis.security_vulnerabilities.forEach((secVuln, index) => {
-          newIssues.push({
-            id: `sec-${index}-${generateUniqueId()}`, // Use a unique ID for each issue to avoid duplicates
-            type: 'Security Vulnerability',
-            message: secVuln.message,
-            line: secVuln.line || 'N/A',
-            severity: secVuln.severity || 'critical',
-            suggestedFix: secVuln.suggestedFix || null
-          });
-        });
-
-        data.analysis.improvements.forEach((imp, index) => {
-          newIssues.push({
-            id: `imp-${index}-${generateUniqueId()}`, // Use a unique ID for each issue to avoid duplicates
-            type: 'Improvement',
-            message: imp.message,
-            line: imp.line || 'N/A',
-            severity: imp.severity || 'medium',
-            suggestedFix: imp.suggestedFix || null
-          });
-        });
+        newIssues.push(...analysisToIssues(data.analysis, fallbackFilePath));
 
-        data.analysis.explanations.forEach((exp, index) => {
+        // Batches whose reply never passed validation are shown verbatim
+        (data.rawResponses || []).forEach(rawResponse => {
           newIssues.push({
-            id: `exp-${index}-${generateUniqueId()}`, // Use a unique ID for each issue to avoid duplicates
-            type: 'Explanation',
-            message: exp.message,
-            line: exp.line || 'N/A',
-            severity: exp.severity || 'info',
-            suggestedFix: exp.suggestedFix || null
+            id: generateUniqueId(),
+            type: 'AI Analysis (Raw)',
+            message: `The AI response for batch ${rawResponse.batch} (${rawResponse.files.join(', ')}) could not be validated. Here is the raw analysis:\n\n${rawResponse.text}`,
+            line: 'N/A',
+            severity: 'info'
           });
         });
 
-        if (newIssues.length === 0) {
+        if (newIssues.length === 0 && data.files?.analyzed.length !== 0) {
             newIssues.push({
                 id: `no-issues-${generateUniqueId()}`,
                 type: 'AI Analysis',
@@ -245,68 +332,8 @@ const handleAnalyzeCode = async () => {
             });
         }
 
-        const currentAnalysisFilePath = data.message.startsWith('Analyzing key file from ZIP:')
-                                ? data.message.split(': ')[1].split(' ')[0] // Extract filename from message like "Analyzing key file from ZIP: my-file.js"
-                                : (data.message.startsWith('Analyzing single file:')
-                                    ? data.message.split(': ')[1].split('.')[0] + '.' + data.message.split(': ')[1].split('.')[1].split(' ')[0] // Extract filename from message like "Analyzing single file: my-file.js"
-                                    : (fileName || 'Pasted Code') // Fallback to fileName or 'Pasted Code'
-                                );
-
-
-// Process Bugs
-data.analysis.bugs.forEach((bug, index) => {
-  newIssues.push({
-    id: `bug-${index}-${generateUniqueId()}`,
-    type: 'Bug',
-    message: bug.message,
-    line: bug.line || 'N/A',
-    severity: bug.severity || 'high',
-    suggestedFix: bug.suggestedFix || null,
-    filePath: bug.filePath || currentAnalysisFilePath // Add filePath here
-  });
-});
-
-// Process Security Vulnerabilities
-data.analysis.security_vulnerabilities.forEach((secVuln, index) => {
-  newIssues.push({
-    id: `sec-${index}-${generateUniqueId()}`,
-    type: 'Security Vulnerability',
-    message: secVuln.message,
-    line: secVuln.line || 'N/A',
-    severity: secVuln.severity || 'critical',
-    suggestedFix: secVuln.suggestedFix || null,
-    filePath: secVuln.filePath || currentAnalysisFilePath // Add filePath here
-  });
-});
-
-// Process Improvements
-data.analysis.improvements.forEach((imp, index) => {
-  newIssues.push({
-    id: `imp-${index}-${generateUniqueId()}`,
-    type: 'Improvement',
-    message: imp.message,
-    line: imp.line || 'N/A',
-    severity: imp.severity || 'medium',
-    suggestedFix: imp.suggestedFix || null,
-    filePath: imp.filePath || currentAnalysisFilePath // Add filePath here
-  });
-});
-
-// Process Explanations
-data.analysis.explanations.forEach((exp, index) => {
-  newIssues.push({
-    id: `exp-${index}-${generateUniqueId()}`,
-    type: 'Explanation',
-    message: exp.message,
-    line: exp.line || 'N/A',
-    severity: exp.severity || 'info',
-    suggestedFix: exp.suggestedFix || null,
-    filePath: exp.filePath || currentAnalysisFilePath // Add filePath here
-  });
-});
-
         // For zip files, outputCode could be a message about processed files
-        setOutputCode(data.message || '// AI Analysis successfully structured below.');
+        setOutputCode(formatFileSummary(data.message, data.files, data.usage) || '// AI Analysis successfully structured below.');
       } else {
         newIssues.push({
           id: generateUniqueId(),
@@ -315,12 +342,156 @@ data.analysis.explanations.forEach((exp, index) => {
           line: 'N/A',
           severity: 'info'
         });
-        setOutputCode(data.message || '// AI Analysis (raw) displayed below due to parsing issues.');
+        setOutputCode(formatFileSummary(data.message, data.files, data.usage) || '// AI Analysis (raw) displayed below due to parsing issues.');
       }
 
       setIssues(newIssues);
+      setSources(data.sources || {});
+      setCodebase(data.codebase || []);
+      setSuppressedIssues(data.parsed && data.suppressed ? analysisToIssues(data.suppressed, fallbackFilePath) : []);
+
+      // Keep every completed run so it can be reopened from /history
+      const run = {
+        id: generateUniqueId(),
+        createdAt: new Date().toISOString(),
+        input: runInput,
+        provider: data.provider,
+        model: data.model,
+        message: data.message,
+        summary: summarizeIssues(newIssues),
+        issues: newIssues,
+        sources: data.sources || {},
+        files: data.files || null,
+        usage: data.usage || null
+      };
+      setLastRun(run);
+      saveRun(run)
+        .then(() => listRuns())
+        .then(runs => {
+          const previous = runs.find(other => other.id !== run.id && other.input.name === run.input.name);
+          if (previous) setComparisonLink(`/history/compare/${previous.id}/${run.id}`);
+        })
+        .catch(error => console.error("Error saving analysis history:", error));
+  };
+
+  const viewableCode = codebase.filter(file => file.content !== null);
+  const codePaths = new Set(viewableCode.map(file => file.path));
+  const displayedIssues = showSuppressed ? [...issues, ...suppressedIssues] : issues;
 
+  const acceptedEdits = issues.filter(issue => fixDecisions[issue.id] === 'accepted').flatMap(issue => issue.edits || []);
+
+  const handleFixDecision = (issueId, decision) => {
+    setFixDecisions(prev => ({ ...prev, [issueId]: decision }));
+  };
+
+  const handleDownloadPatch = () => {
+    try {
+      const patch = createPatch([...groupEditsByFile(acceptedEdits)].map(([filePath, edits]) => ({
+        filePath,
+        original: sources[filePath],
+        edits
+      })));
+      downloadText(patch, 'alchemist-fixes.patch', 'text/x-diff');
+    } catch (error) {
+      alert(`Could not create the patch: ${error.message}`);
+    }
+  };
+
+  // ZIPs are rebuilt on the server from the original upload; single files are patched in the browser
+  const handleDownloadPatched = async () => {
+    try {
+      if (isZipFile) {
+        const formData = new FormData();
+        formData.append('codeFile', uploadedFile);
+        formData.append('edits', JSON.stringify(acceptedEdits));
+        const response = await fetch('/api/apply-fixes', { method: 'POST', body: formData });
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({ error: `HTTP error! status: ${response.status}` }));
+          throw new Error(errorData.error);
+        }
+        downloadBlob(await response.blob(), fileName.replace(/\.zip$/i, '') + '-fixed.zip');
+      } else {
+        const [[filePath, edits]] = [...groupEditsByFile(acceptedEdits)];
+        // Named like the patched ZIP, so it is not mistaken for the original: app.js -> app-fixed.js.
+        const fixedName = fileName ? fileName.replace(/(.)(\.[^.]*)?$/, '$1-fixed$2') : 'pasted-code-fixed.txt';
+        downloadText(applyEdits(sources[filePath], edits), fixedName);
+      }
+    } catch (error) {
+      alert(`Could not apply the fixes: ${error.message}`);
+    }
+  };
+
+  const handleShowInCode = (issue) => {
+    setCodeFocus({ filePath: issue.filePath, line: issue.lineRange?.start ?? null, key: Date.now() });
+  };
+
+  // The code a follow-up chat about `issue` needs: its file from the upload, or the pasted code.
+  const chatFilesFor = (issue) => {
+    const file = viewableCode.find(other => other.path === issue.filePath);
+    if (file) return [{ path: file.path, content: file.content }];
+    return codebase.length === 0 && inputCode.trim() ? [{ path: fileName || null, content: inputCode }] : null;
+  };
+
+  // A fix refined in the chat replaces the finding's suggested fix, in the report and in the history.
+  const handlePromoteFix = (issue, fix) => {
+    const promote = (list) => list.map(other => (other.id === issue.id ? { ...other, suggestedFix: fix } : other));
+    setIssues(promote);
+    setSuppressedIssues(promote);
+    if (lastRun) {
+      const updatedRun = { ...lastRun, issues: promote(lastRun.issues) };
+      setLastRun(updatedRun);
+      saveRun(updatedRun).catch(error => console.error("Error saving analysis history:", error));
+    }
+  };
+
+  // Aborting the fetch closes the connection, which makes the server stop its
+  // model calls; a background job keeps running unless it is cancelled too
+  const handleCancel = () => {
+    const jobId = jobIdRef.current;
+    if (jobId) {
+      clearActiveJob();
+      fetch(`/api/jobs?id=${encodeURIComponent(jobId)}`, { method: 'DELETE' })
+        .catch(error => console.error("Error cancelling the background job:", error));
+    }
+    abortControllerRef.current?.abort();
+  };
+
+  // Runs `task(signal)` as the current analysis: clears the previous results,
+  // shows the loading state and reports cancellation and errors
+  const runAnalysis = async (task) => {
+    setIsLoading(true);
+    setOutputCode('');
+    setIssues([]);
+    setProgress(null);
+    setSources({});
+    setCodebase([]);
+    setCodeFocus(null);
+    setFixDecisions({});
+    setComparisonLink('');
+    setLastRun(null);
+    setSuppressedIssues([]);
+    setShowSuppressed(false);
+    setGeneratedTests(null);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    // A run that was stopped for a newer one leaves the state to that one
+    const isCurrent = () => abortControllerRef.current === abortController;
+
+    try {
+      await task(abortController.signal);
     } catch (error) {
+      if (!isCurrent()) return;
+      if (error.name === 'AbortError') {
+        setIssues(prev => [...prev, {
+          id: generateUniqueId(),
+          type: 'Info',
+          message: 'Analysis cancelled. Findings received before cancelling are shown above.',
+          line: 'N/A',
+          severity: 'info'
+        }]);
+        return;
+      }
       console.error("Error analyzing code:", error);
       setIssues([{
         id: generateUniqueId(),
@@ -330,11 +501,205 @@ data.analysis.explanations.forEach((exp, index) => {
         severity: 'high'
       }]);
     } finally {
-      setIsLoading(false);
+      if (isCurrent()) {
+        abortControllerRef.current = null;
+        jobIdRef.current = null;
+        setProgress(null);
+        setIsLoading(false);
+        setUsageVersion(version => version + 1);
+      }
+    }
+  };
+
+  // Polls a background job until it finishes, showing its progress and the
+  // findings so far the way the streamed events do. The job stays saved
+  // while the server cannot be reached, so a reload can pick it up again.
+  const followJob = async ({ id, runInput, fallbackFilePath }, signal) => {
+    jobIdRef.current = id;
+    let version = 0;
+    for (;;) {
+      const response = await fetch(`/api/jobs?id=${encodeURIComponent(id)}`, { signal });
+      const job = await response.json().catch(() => ({ error: `HTTP error! status: ${response.status}` }));
+      if (!response.ok || ['completed', 'failed', 'cancelled'].includes(job.status)) clearActiveJob();
+      if (!response.ok) throw new Error(job.error || `HTTP error! status: ${response.status}`);
+
+      setProgress({
+        message: job.status === 'queued' ? 'Waiting for a free worker...' : job.progress.message,
+        completedBatches: job.progress.completedBatches,
+        totalBatches: job.progress.totalBatches,
+        totalFiles: job.progress.totalFiles,
+        usedTokens: addTokens(0, job.progress.usage)
+      });
+      if (job.partial.version !== version) {
+        version = job.partial.version;
+        setIssues(analysisToIssues(job.partial.analysis, fallbackFilePath));
+      }
+
+      if (job.status === 'completed') {
+        applyFinalResult(job.result, fallbackFilePath, runInput);
+        return;
+      }
+      if (job.status === 'failed') throw new Error(job.error || 'The background analysis failed.');
+      if (job.status === 'cancelled') throw new DOMException('The job was cancelled.', 'AbortError');
+      await wait(JOB_POLL_MS, signal);
     }
   };
 
-  const isZipFile = fileName.endsWith('.zip');
+  // The latest render's way of following a job, for the mount effect below
+  const resumeJobRef = useRef(null);
+  useEffect(() => {
+    resumeJobRef.current = (activeJob) => runAnalysis(signal => followJob(activeJob, signal));
+  });
+
+  // Picks up the background job this browser was following before a reload,
+  // and stops polling when the page is left (the job itself keeps running).
+  useEffect(() => {
+    const activeJob = loadActiveJob();
+    if (activeJob) resumeJobRef.current(activeJob);
+    return () => {
+      if (jobIdRef.current) abortControllerRef.current?.abort();
+    };
+  }, []);
+
+const handleAnalyzeCode = async () => {
+  console.count('handleAnalyzeCode called');
+  console.log('handleAnalyzeCode called at:', new Date().toISOString());
+
+    // Determine the data to send: uploaded file or pasted code
+    const request = buildAnalysisRequest({ inputCode, uploadedFile, diffFile, baseRef, selectedProvider, selectedProfile, forceFresh, baseline, fileSelection });
+    if (!request) {
+        // No file and no pasted code
+        alert("Please upload a file or paste code into the textarea to analyze.");
+        return;
+    }
+
+    const fallbackFilePath = isArchive || diffFile ? 'N/A' : (fileName || PASTED_CODE_PATH);
+    const runInput = {
+      kind: diffFile ? 'diff' : (isArchive ? (isZipFile ? 'zip' : 'archive') : (uploadedFile ? 'file' : 'paste')),
+      name: diffFile ? diffFile.name : (fileName || 'Pasted code'),
+      size: diffFile ? diffFile.size : (uploadedFile ? uploadedFile.size : inputCode.length)
+    };
+
+    await runAnalysis(async (signal) => {
+      const fetchOptions = {
+        method: 'POST',
+        body: request.body,
+        // Ask for the streaming variant so findings show up batch by batch
+        headers: { Accept: 'text/event-stream', ...providerKeyHeaders(selectedProvider) },
+        signal,
+      };
+
+      if (request.contentType) {
+        fetchOptions.headers['Content-Type'] = request.contentType;
+      }
+
+      // A background job is queued and then followed at /api/jobs; it survives a reload or a closed tab
+      const response = await fetch(runInBackground ? '/api/analyze?async=1' : '/api/analyze', fetchOptions);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response from backend.' }));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      if (runInBackground) {
+        const activeJob = { id: (await response.json()).id, runInput, fallbackFilePath };
+        saveActiveJob(activeJob);
+        await followJob(activeJob, signal);
+        return;
+      }
+
+      if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        applyFinalResult(await response.json(), fallbackFilePath, runInput);
+        return;
+      }
+
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'extracted':
+            setProgress({ message: data.message, completedBatches: 0, totalBatches: 0 });
+            break;
+          case 'static-result':
+            setIssues(prev => [...prev, ...analysisToIssues(data.analysis, fallbackFilePath)]);
+            break;
+          case 'cache-hit':
+            setIssues(prev => [...prev, ...analysisToIssues(data.analysis, fallbackFilePath)]);
+            setProgress(prev => ({ ...prev, message: `Reused cached results for ${data.files.length} unchanged file(s)` }));
+            break;
+          case 'planned':
+            setProgress(prev => ({ ...prev, totalBatches: data.totalBatches, totalFiles: data.totalFiles }));
+            break;
+          case 'queued':
+            setProgress(prev => ({ ...prev, message: `Queued file ${data.index} of ${data.total}: ${data.file}` }));
+            break;
+          case 'batch-start':
+            setProgress(prev => ({ ...prev, message: `Analyzing batch ${data.batch} of ${data.totalBatches} (${data.files.length} files)...` }));
+            break;
+          case 'batch-result':
+            setIssues(prev => [...prev, ...analysisToIssues(data.analysis, fallbackFilePath)]);
+            setProgress(prev => ({ ...prev, completedBatches: prev.completedBatches + 1, usedTokens: addTokens(prev.usedTokens, data.usage) }));
+            break;
+          case 'batch-error':
+            setProgress(prev => ({ ...prev, completedBatches: prev.completedBatches + 1, usedTokens: addTokens(prev.usedTokens, data.usage), message: `Batch ${data.batch} failed: ${data.error}` }));
+            break;
+          case 'done':
+            // The final report is merged and de-duplicated, so it replaces the streamed findings
+            applyFinalResult(data, fallbackFilePath, runInput);
+            break;
+          case 'error':
+            throw new Error(data.error);
+          default:
+            break;
+        }
+      });
+    });
+  };
+
+  // Asks for test files covering the code and the bugs and vulnerabilities
+  // found so far (/api/analyze?tests=1); the analysis results stay on screen
+  const handleGenerateTests = async () => {
+    const findings = issues
+      .filter(issue => issue.category === 'bugs' || issue.category === 'security_vulnerabilities')
+      .map(({ category, severity, filePath, line, message }) => ({ category, severity, filePath, line, message }));
+    const request = buildAnalysisRequest({ inputCode, uploadedFile, diffFile, baseRef, selectedProvider, selectedProfile, forceFresh, baseline, fileSelection }, {
+      framework: testFramework || undefined,
+      findings: findings.length > 0 ? JSON.stringify(findings) : undefined,
+      runTests: runGeneratedTests ? 'true' : undefined,
+    });
+    if (!request) {
+      alert("Please upload a file or paste code to generate tests for.");
+      return;
+    }
+
+    const abortController = new AbortController();
+    testAbortControllerRef.current = abortController;
+    setIsGeneratingTests(true);
+    setGeneratedTests(null);
+    setTestError('');
+    try {
+      const response = await fetch('/api/analyze?tests=1', {
+        method: 'POST',
+        body: request.body,
+        headers: { ...(request.contentType ? { 'Content-Type': request.contentType } : {}), ...providerKeyHeaders(selectedProvider) },
+        signal: abortController.signal,
+      });
+      const data = await response.json().catch(() => ({ error: 'Failed to parse error response from backend.' }));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setGeneratedTests(data);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error("Error generating tests:", error);
+      setTestError(error.message);
+    } finally {
+      if (testAbortControllerRef.current === abortController) {
+        testAbortControllerRef.current = null;
+        setIsGeneratingTests(false);
+        setUsageVersion(version => version + 1);
+      }
+    }
+  };
+
+  const isArchive = ARCHIVE_PATTERN.test(fileName);
+  const isZipFile = /\.zip$/i.test(fileName); // Only ZIPs can be rebuilt with the accepted fixes
   const displayFileName = fileName.length > 30 ? `${fileName.substring(0,15)}...${fileName.substring(fileName.length-12)}` : fileName;
 
   return (
@@ -347,8 +712,17 @@ data.analysis.explanations.forEach((exp, index) => {
           <p className="text-neutral-300 text-base sm:text-lg">
             Upload your codebase (zip recommended) or paste code for AI-driven analysis.
           </p>
+          <Link to="/history" className="inline-flex items-center mt-3 text-sm text-purple-300 hover:text-white">
+            <History size={16} className="mr-1" /> Past Analyses
+          </Link>
         </header>
 
+        <AccountPanel
+          provider={providers.find(provider => provider.name === selectedProvider)}
+          refreshKey={usageVersion}
+          disabled={isLoading}
+        />
+
         <main>
           <section className="mb-8 p-6 bg-white/10 backdrop-blur-sm rounded-xl border border-white/10">
             <div className="flex flex-col items-center">
@@ -357,12 +731,12 @@ data.analysis.explanations.forEach((exp, index) => {
                   className="w-full max-w-md cursor-pointer flex flex-col items-center justify-center px-6 py-8 border-2 border-dashed border-purple-400/50 rounded-lg text-purple-300 hover:text-white hover:border-purple-400 hover:bg-purple-500/20 transition-all duration-300"
                 >
                   {fileName ? (
-                    isZipFile ? <FileArchive size={36} className="mb-3 text-pink-400" /> : <FileText size={36} className="mb-3 text-pink-400" />
+                    isArchive ? <FileArchive size={36} className="mb-3 text-pink-400" /> : <FileText size={36} className="mb-3 text-pink-400" />
                   ) : (
                     <UploadCloud size={36} className="mb-3" />
                   )}
                   <span className="text-center text-sm sm:text-base">
-                    {fileName ? `Selected: ${displayFileName}` : "Upload Codebase (ZIP) or Single File"}
+                    {fileName ? `Selected: ${displayFileName}` : "Upload Codebase (ZIP, tar.gz, git bundle) or Single File"}
                   </span>
                   {!fileName && <span className="text-xs text-neutral-400 mt-1">Or paste single file content below</span>}
                 </label>
@@ -372,7 +746,7 @@ data.analysis.explanations.forEach((exp, index) => {
                   type="file"
                   className="sr-only"
                   onChange={handleFileChange}
-                  accept=".zip,.js,.jsx,.ts,.tsx,.html,.css,.py,.java,.cs,.php,.rb,.go,.rs,.swift,.kt,.m,.c,.cpp,.h,.hpp"
+                  accept=".zip,.tar,.tgz,.gz,.bundle,.js,.jsx,.ts,.tsx,.html,.css,.py,.java,.cs,.php,.rb,.go,.rs,.swift,.kt,.m,.c,.cpp,.h,.hpp"
                   disabled={isLoading}
                 />
                  {fileName && (
@@ -386,7 +760,70 @@ data.analysis.explanations.forEach((exp, index) => {
                 )}
             </div>
             
-            {!isZipFile && (
+            <div className="mt-6 flex flex-col items-center text-sm text-neutral-300">
+              <label htmlFor="diff-upload" className="cursor-pointer flex items-center text-purple-300 hover:text-white">
+                <GitCompare size={16} className="mr-2" />
+                {diffFile ? `Reviewing change: ${diffFile.name}` : 'Review a change only: add a .patch, .diff or git bundle'}
+              </label>
+              <input
+                id="diff-upload"
+                ref={diffInputRef}
+                type="file"
+                className="sr-only"
+                onChange={handleDiffFileChange}
+                accept=".patch,.diff,.bundle"
+                disabled={isLoading}
+              />
+              {diffFile && (
+                <>
+                  <span className="text-xs text-neutral-400 mt-1">
+                    {diffFile.name.endsWith('.bundle')
+                      ? 'The bundle provides the files; its last commit is reviewed unless you set a base.'
+                      : (uploadedFile ? 'The upload above provides the full files, before or after the change.' : 'Without a ZIP or file above, only the diff hunks are reviewed.')}
+                  </span>
+                  {diffFile.name.endsWith('.bundle') && (
+                    <input
+                      type="text"
+                      className="mt-2 bg-black/30 border border-white/10 rounded-md px-3 py-1 text-neutral-200 text-xs font-mono focus:ring-1 focus:ring-purple-400 focus:border-purple-400"
+                      placeholder="Base ref (default HEAD~1)"
+                      value={baseRef}
+                      onChange={(e) => setBaseRef(e.target.value)}
+                      disabled={isLoading}
+                    />
+                  )}
+                  <button
+                    onClick={clearDiffFile}
+                    className="mt-2 text-xs text-red-400 hover:text-red-300 flex items-center"
+                    disabled={isLoading}
+                  >
+                    <XCircle size={14} className="mr-1" /> Remove Change
+                  </button>
+                </>
+              )}
+            </div>
+
+            {isArchive && !diffFile && (fileListing || fileListingError) && (
+              <div className="mt-6">
+                {fileListing ? (
+                  <>
+                    <p className="text-xs text-neutral-400 mb-2">
+                      {fileListing.files.length} files, listed by analysis priority (#1 first). Untick files to skip them, pin files to analyze them first.
+                    </p>
+                    <FileTree
+                      listing={fileListing}
+                      pinned={fileSelection.pinned}
+                      excluded={fileSelection.excluded}
+                      onChange={setFileSelection}
+                      disabled={isLoading}
+                    />
+                  </>
+                ) : (
+                  <p className="text-xs text-red-300">Could not list the archive's files: {fileListingError}</p>
+                )}
+              </div>
+            )}
+
+            {!isArchive && !diffFile && (
                 <textarea
                 className="mt-6 w-full p-4 bg-black/20 border border-white/10 rounded-lg font-mono text-sm min-h-[150px] sm:min-h-[200px] text-neutral-200 focus:ring-1 focus:ring-purple-400 focus:border-purple-400 placeholder-neutral-400 disabled:opacity-60"
                 placeholder={fileName ? "Code from uploaded file shown here..." : "Or paste single file content directly here..."}
@@ -400,10 +837,105 @@ data.analysis.explanations.forEach((exp, index) => {
                 />
             )}
 
+            {providers.length > 1 && (
+              <div className="mt-6 flex items-center justify-center text-sm text-neutral-300">
+                <label htmlFor="provider-select" className="mr-3">AI Provider:</label>
+                <select
+                  id="provider-select"
+                  className="bg-black/30 border border-white/10 rounded-md px-3 py-1.5 text-neutral-200 focus:ring-1 focus:ring-purple-400 focus:border-purple-400"
+                  value={selectedProvider}
+                  onChange={(e) => setSelectedProvider(e.target.value)}
+                  disabled={isLoading}
+                >
+                  {providers.map(provider => (
+                    <option key={provider.name} value={provider.name}>
+                      {provider.label} ({provider.defaultModel})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {profiles.length > 0 && (
+              <div className="mt-4 flex flex-col items-center text-sm text-neutral-300">
+                <div className="flex items-center">
+                  <label htmlFor="profile-select" className="mr-3">Profile:</label>
+                  <select
+                    id="profile-select"
+                    className="bg-black/30 border border-white/10 rounded-md px-3 py-1.5 text-neutral-200 focus:ring-1 focus:ring-purple-400 focus:border-purple-400"
+                    value={selectedProfile}
+                    onChange={(e) => setSelectedProfile(e.target.value)}
+                    disabled={isLoading}
+                  >
+                    {profiles.map(profile => (
+                      <option key={profile.name} value={profile.name}>{profile.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <span className="text-xs text-neutral-400 mt-1">
+                  {profiles.find(profile => profile.name === selectedProfile)?.description} An .alchemist.json in the ZIP can refine it.
+                </span>
+              </div>
+            )}
+
+            <label className="mt-4 flex items-center justify-center text-xs text-neutral-400">
+              <input
+                type="checkbox"
+                className="mr-2 accent-purple-500"
+                checked={forceFresh}
+                onChange={(e) => setForceFresh(e.target.checked)}
+                disabled={isLoading}
+              />
+              Ignore cached results (unchanged files are otherwise not sent to the model again)
+            </label>
+            <label className="mt-2 flex items-center justify-center text-xs text-neutral-400">
+              <input
+                type="checkbox"
+                className="mr-2 accent-purple-500"
+                checked={runInBackground}
+                onChange={(e) => setRunInBackground(e.target.checked)}
+                disabled={isLoading}
+              />
+              Run in the background (for large codebases; keeps going if you reload or close the page)
+            </label>
+
+            <div className="mt-4 flex flex-wrap items-center justify-center gap-3 text-xs text-neutral-400">
+              <label htmlFor="test-framework-select" className="flex items-center">
+                <FlaskConical size={14} className="mr-1 text-purple-300" /> Tests:
+              </label>
+              <select
+                id="test-framework-select"
+                className="bg-black/30 border border-white/10 rounded-md px-2 py-1 text-neutral-200 focus:ring-1 focus:ring-purple-400 focus:border-purple-400"
+                value={testFramework}
+                onChange={(e) => setTestFramework(e.target.value)}
+                disabled={isLoading || isGeneratingTests}
+              >
+                <option value="">Detect the framework</option>
+                {listTestFrameworks().map(framework => (
+                  <option key={framework.name} value={framework.name}>{framework.label}</option>
+                ))}
+              </select>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2 accent-purple-500"
+                  checked={runGeneratedTests}
+                  onChange={(e) => setRunGeneratedTests(e.target.checked)}
+                  disabled={isLoading || isGeneratingTests}
+                />
+                Run the generated JavaScript tests on the server
+              </label>
+            </div>
+
+            {!isLoading && estimate && <AnalysisEstimate estimate={estimate} selectedProvider={selectedProvider} />}
+            {!isLoading && estimateError && (
+              <p className="mt-6 text-xs text-center text-red-300">Could not estimate the cost: {estimateError}</p>
+            )}
+
             <button
               className="mt-8 w-full bg-gradient-to-r from-purple-600 via-pink-500 to-red-500 hover:from-purple-700 hover:via-pink-600 hover:to-red-600 text-white font-semibold py-3.5 px-4 rounded-lg shadow-lg transition-all duration-300 ease-in-out transform hover:scale-105 disabled:opacity-60 disabled:transform-none flex items-center justify-center text-lg"
               onClick={throttledAnalyzeCode}
-              disabled={isLoading || (!inputCode.trim() && !uploadedFile)}
+              disabled={isLoading || (!inputCode.trim() && !uploadedFile && !diffFile)}
             >
               {isLoading && (
                 <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -413,9 +945,66 @@ data.analysis.explanations.forEach((exp, index) => {
               )}
               {isLoading ? 'Summoning AI Wisdom...' : 'Analyze My Code'}
             </button>
+            <button
+              className="mt-3 w-full border border-purple-400/50 hover:bg-purple-500/20 text-purple-200 hover:text-white font-semibold py-2.5 px-4 rounded-lg transition-all duration-300 disabled:opacity-60 flex items-center justify-center"
+              onClick={handleGenerateTests}
+              disabled={isLoading || isGeneratingTests || (!inputCode.trim() && !uploadedFile && !diffFile)}
+            >
+              <FlaskConical size={18} className="mr-2" />
+              {isGeneratingTests ? 'Writing tests...' : `Generate Tests${issues.some(issue => issue.category === 'bugs' || issue.category === 'security_vulnerabilities') ? ' for the Reported Bugs' : ''}`}
+            </button>
+            {isGeneratingTests && (
+              <button
+                onClick={() => testAbortControllerRef.current?.abort()}
+                className="mt-3 mx-auto text-xs text-red-400 hover:text-red-300 flex items-center"
+              >
+                <XCircle size={14} className="mr-1" /> Cancel
+              </button>
+            )}
+            {testError && <p className="mt-3 text-xs text-center text-red-300">Could not generate tests: {testError}</p>}
+
+            {isLoading && (
+              <div className="mt-6">
+                {progress && (
+                  <>
+                    <div className="flex justify-between text-xs text-neutral-400 mb-2">
+                      <span className="truncate mr-4">{progress.message}</span>
+                      {progress.totalBatches > 0 && (
+                        <span className="shrink-0">
+                          {progress.completedBatches} / {progress.totalBatches} batches
+                          {progress.usedTokens > 0 && ` · ${formatTokens(progress.usedTokens)} tokens`}
+                        </span>
+                      )}
+                    </div>
+                    <div className="w-full h-2 bg-black/30 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all duration-500"
+                        style={{ width: `${progress.totalBatches ? Math.round((progress.completedBatches / progress.totalBatches) * 100) : 0}%` }}
+                      />
+                    </div>
+                  </>
+                )}
+                <button
+                  onClick={handleCancel}
+                  className="mt-3 mx-auto text-xs text-red-400 hover:text-red-300 flex items-center"
+                >
+                  <XCircle size={14} className="mr-1" /> Cancel Analysis
+                </button>
+              </div>
+            )}
           </section>
 
-          {!isLoading && (outputCode || issues.length > 0) && (
+          {generatedTests && (
+            <section className="mt-10 p-6 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
+              <h2 className="text-2xl sm:text-3xl font-semibold text-purple-300 mb-6 flex items-center">
+                <FlaskConical size={28} className="mr-3 text-pink-400"/>
+                Generated Tests
+              </h2>
+              <GeneratedTests tests={generatedTests} projectName={fileName || 'pasted-code'} />
+            </section>
+          )}
+
+          {(outputCode || issues.length > 0) && (
             <section className="mt-10 p-6 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
               <h2 className="text-2xl sm:text-3xl font-semibold text-purple-300 mb-6 flex items-center">
                 <Brain size={28} className="mr-3 text-pink-400"/>
@@ -432,47 +1021,73 @@ data.analysis.explanations.forEach((exp, index) => {
                 </div>
               )}
               
+              {viewableCode.length > 0 && (
+                <div className="mb-8">
+                  <h3 className="text-xl font-semibold text-neutral-200 mb-3 flex items-center">
+                    <FileCode size={20} className="mr-2 text-purple-300"/> Code:
+                  </h3>
+                  <Suspense fallback={<p className="text-xs text-neutral-400">Loading the code viewer...</p>}>
+                    <CodeBrowser codebase={codebase} issues={displayedIssues} focus={codeFocus} onFocus={setCodeFocus} />
+                  </Suspense>
+                </div>
+              )}
+
               {issues.length > 0 && (
                 <div>
                   <h3 className="text-xl font-semibold text-neutral-200 mb-4 flex items-center">
                     <AlertTriangle size={20} className="mr-2 text-yellow-300"/> Key Findings & Suggestions:
                   </h3>
-                  <ul className="space-y-3">
-                    {issues.map(issue => {
-                      // Dynamically choose style based on severity, defaulting if missing
-                      const styles = issueSeverityStyles[issue.severity] || issueSeverityStyles.default;
-                      return (
-                        <li
-                          key={issue.id}
-                          className={`p-4 rounded-lg shadow-md border-l-4 flex items-start ${styles.borderColor} ${styles.bgColor}`}
-                        >
-                          {styles.icon}
-                          <div className="flex-1  min-w-0"> {/* Added flex-1 to push suggested fix to right */}
-                            <span className={`font-semibold block mb-1 ${styles.textColor}`}>
-                              {issue.type}
-                              {issue.line !== 'N/A' && <span className="font-normal text-neutral-400 text-xs ml-2">({issue.line})</span>}
-                              {issue.filePath && issue.filePath !== 'N/A' && (
-          <span className="font-normal text-neutral-400 text-xs ml-2"> (File: {issue.filePath})</span>
-      )}
-                            </span>
-                            <div className="text-neutral-300 text-sm prose prose-invert prose-p:my-1 prose-ul:my-1 prose-li:my-1">
-                                <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                                    {issue.message}
-                                </ReactMarkdown>
-                            </div>
-                            {issue.suggestedFix && issue.suggestedFix !== "N/A" && ( // NEW: Display suggestedFix
-                              <div className="mt-3 p-3 bg-white/5 border border-white/10 rounded-md text-neutral-400 text-xs font-mono  w-full">
-                                <h4 className="font-semibold text-neutral-300 mb-1">Suggested Fix:</h4>
-                                <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                                  {`\`\`\`\n${issue.suggestedFix}\n\`\`\``}
-                                </ReactMarkdown>
-                              </div>
-                            )}
-                          </div>
-                        </li>
-                      );
-                    })}
-                  </ul>
+                  {lastRun && !isLoading && (
+                    <div className="mb-4">
+                      <ReportExport run={lastRun} />
+                    </div>
+                  )}
+                  {comparisonLink && !isLoading && (
+                    <Link to={comparisonLink} className="mb-4 inline-flex items-center text-sm text-purple-300 hover:text-white">
+                      <GitCompare size={16} className="mr-1" /> Compare with the previous analysis of {fileName || 'pasted code'}
+                    </Link>
+                  )}
+                  {acceptedEdits.length > 0 && !isLoading && (
+                    <div className="mb-4 p-3 flex flex-wrap items-center gap-3 bg-green-500/10 border border-green-400/30 rounded-lg text-sm text-green-200">
+                      <span className="flex-1">{acceptedEdits.length} accepted edit{acceptedEdits.length === 1 ? '' : 's'} ready to export.</span>
+                      <button onClick={handleDownloadPatch} className="flex items-center px-3 py-1 rounded-md bg-white/10 hover:bg-white/20">
+                        <Download size={14} className="mr-1" /> Download .patch
+                      </button>
+                      {/* Review edits target the changed files, which may not be what was uploaded */}
+                      {!diffFile && (isZipFile || !isArchive) && (
+                        <button onClick={handleDownloadPatched} className="flex items-center px-3 py-1 rounded-md bg-white/10 hover:bg-white/20">
+                          <Download size={14} className="mr-1" /> {isZipFile ? 'Download Patched ZIP' : 'Download Patched File'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {!isLoading && (
+                    <div className="mb-4">
+                      <BaselineControls
+                        baseline={baseline}
+                        suppressedIssues={suppressedIssues}
+                        showSuppressed={showSuppressed}
+                        onToggleSuppressed={() => setShowSuppressed(show => !show)}
+                        onImport={imported => updateBaseline(mergeBaselines(imported, baseline))}
+                      />
+                    </div>
+                  )}
+                  <IssueList
+                    issues={displayedIssues}
+                    sources={sources}
+                    fixDecisions={fixDecisions}
+                    onFixDecision={handleFixDecision}
+                    onSuppress={isLoading ? undefined : handleSuppress}
+                    onRestore={handleRestore}
+                    onShowInCode={isLoading ? undefined : handleShowInCode}
+                    codePaths={codePaths}
+                    chat={isLoading || !lastRun ? undefined : {
+                      filesFor: chatFilesFor,
+                      provider: lastRun.provider,
+                      model: lastRun.model,
+                      onPromoteFix: handlePromoteFix,
+                    }}
+                  />
                 </div>
               )}
             </section>
@@ -0,0 +1,25 @@
+// src/utils/activeJob.js
+
+// The background analysis this browser is waiting for (see /api/jobs), kept in
+// localStorage so a reload or a new tab picks it up again instead of losing it.
+// Holds the job ID and what the results page needs to show and save the run.
+
+const ACTIVE_JOB_KEY = 'code-alchemist:active-job';
+
+export function loadActiveJob() {
+  try {
+    const job = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+    return job && typeof job.id === 'string' ? job : null;
+  } catch {
+    return null;
+  }
+}
+
+// { id, runInput, fallbackFilePath }
+export function saveActiveJob(job) {
+  localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job));
+}
+
+export function clearActiveJob() {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+}
@@ -0,0 +1,23 @@
+// src/utils/baselineStore.js
+
+// The suppression baseline of each project, kept in localStorage under the
+// input's name so it applies to later runs of the same ZIP or file. Exported
+// as .alchemist-baseline.json, it can be committed and shared with the team.
+
+import { emptyBaseline, parseBaseline } from '../../lib/baseline.js';
+
+const keyFor = (projectName) => `code-alchemist:baseline:${projectName}`;
+
+export function loadBaseline(projectName) {
+  try {
+    const text = localStorage.getItem(keyFor(projectName));
+    return text ? parseBaseline(text) : emptyBaseline();
+  } catch (error) {
+    console.error("Ignoring the stored baseline:", error);
+    return emptyBaseline();
+  }
+}
+
+export function saveBaseline(projectName, baseline) {
+  localStorage.setItem(keyFor(projectName), JSON.stringify(baseline));
+}
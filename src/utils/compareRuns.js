@@ -0,0 +1,80 @@
+// src/utils/compareRuns.js
+
+// Matches the findings of two runs of the same project. Line numbers move as
+// code is edited and model wording drifts between runs, so findings are matched
+// on file, category and message (or rule ID for deterministic findings) rather
+// than on exact position.
+
+const MIN_MESSAGE_SIMILARITY = 0.6;
+
+// Lowercases, drops line references and punctuation, so "Line 12: `x` is unused"
+// and "line 40 - x is unused." compare equal.
+export const normalizeMessage = (message) => String(message || '')
+  .toLowerCase()
+  .replace(/\blines?\s+\d+(\s*-\s*\d+)?/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Exact-match key for an issue from `analysisToIssues`.
+export const issueFingerprint = (issue) => [
+  issue.type,
+  issue.filePath || 'N/A',
+  issue.ruleId || normalizeMessage(issue.message),
+].join('|');
+
+const wordSet = (message) => new Set(normalizeMessage(message).split(' ').filter(word => word.length > 2));
+
+// Jaccard similarity of the two messages' word sets.
+function messageSimilarity(a, b) {
+  const wordsA = wordSet(a);
+  const wordsB = wordSet(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+const sameLocation = (a, b) => a.type === b.type && (a.filePath || 'N/A') === (b.filePath || 'N/A');
+
+// Returns { new, resolved, unchanged } where `new` holds issues only in `headIssues`,
+// `resolved` issues only in `baseIssues`, and `unchanged` pairs of { before, after }.
+export function compareIssues(baseIssues, headIssues) {
+  const unmatchedBase = [...baseIssues];
+  const unchanged = [];
+  const pending = [];
+
+  // First pass: exact fingerprints.
+  for (const issue of headIssues) {
+    const fingerprint = issueFingerprint(issue);
+    const index = unmatchedBase.findIndex(candidate => issueFingerprint(candidate) === fingerprint);
+    if (index === -1) {
+      pending.push(issue);
+    } else {
+      unchanged.push({ before: unmatchedBase[index], after: issue });
+      unmatchedBase.splice(index, 1);
+    }
+  }
+
+  // Second pass: reworded model findings in the same file and category.
+  const added = [];
+  for (const issue of pending) {
+    let bestIndex = -1;
+    let bestScore = MIN_MESSAGE_SIMILARITY;
+    unmatchedBase.forEach((candidate, index) => {
+      if (issue.ruleId || candidate.ruleId || !sameLocation(issue, candidate)) return;
+      const score = messageSimilarity(issue.message, candidate.message);
+      if (score >= bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex === -1) {
+      added.push(issue);
+    } else {
+      unchanged.push({ before: unmatchedBase[bestIndex], after: issue });
+      unmatchedBase.splice(bestIndex, 1);
+    }
+  }
+
+  return { new: added, resolved: unmatchedBase, unchanged };
+}
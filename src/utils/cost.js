@@ -0,0 +1,20 @@
+// src/utils/cost.js
+
+// Display helpers for token counts and the costs /api/analyze reports.
+
+export const formatTokens = (count) => count.toLocaleString('en-US');
+
+// Costs are in US dollars; null means the model's price is unknown.
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'price unknown';
+  if (cost === 0) return 'free';
+  return `$${cost.toFixed(cost < 0.01 ? 4 : 2)}`;
+}
+
+// "12,345 prompt + 1,234 completion tokens in 2 model calls (about $0.0021)"
+export function formatUsage(usage) {
+  const tokens = `${formatTokens(usage.promptTokens)} prompt + ${formatTokens(usage.completionTokens)} completion tokens`;
+  const estimated = usage.estimated ? ', partly counted locally' : '';
+  const cost = usage.cost === null || usage.cost === undefined ? '' : ` (about ${formatCost(usage.cost)})`;
+  return `${tokens} in ${usage.calls} model call${usage.calls === 1 ? '' : 's'}${estimated}${cost}`;
+}
@@ -0,0 +1,15 @@
+// src/utils/download.js
+
+// Triggers a browser download for in-memory content.
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export const downloadText = (text, fileName, type = 'text/plain') => downloadBlob(new Blob([text], { type }), fileName);
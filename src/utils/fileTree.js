@@ -0,0 +1,24 @@
+// src/utils/fileTree.js
+
+// Nests a flat list of { path, ... } entries into folders:
+// { folders: { name: node }, files: [entry with its `name`] }.
+export function buildTree(entries) {
+  const root = { folders: {}, files: [] };
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      node.folders[part] ??= { folders: {}, files: [] };
+      node = node.folders[part];
+    }
+    node.files.push({ ...entry, name: parts[parts.length - 1] });
+  }
+  return root;
+}
+
+// Every file entry below `node`, at any depth.
+export const filesUnder = (node) => [...node.files, ...Object.values(node.folders).flatMap(filesUnder)];
+
+// Folders by name, then files by name.
+export const sortedFolders = (node) => Object.entries(node.folders).sort(([a], [b]) => a.localeCompare(b));
+export const sortedFiles = (node) => [...node.files].sort((a, b) => a.name.localeCompare(b.name));
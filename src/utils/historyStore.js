@@ -0,0 +1,70 @@
+// src/utils/historyStore.js
+
+// Analysis history kept in the browser's IndexedDB, so past reports survive
+// reloads without any server-side storage.
+
+const DB_NAME = 'code-alchemist';
+const DB_VERSION = 1;
+const RUNS_STORE = 'runs';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `operation(store)` in a transaction and resolves with the request's result.
+async function withStore(mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RUNS_STORE, mode);
+    const request = operation(transaction.objectStore(RUNS_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Counts findings per issue type for the history list.
+export const summarizeIssues = (issues) => issues.reduce((counts, issue) => {
+  counts[issue.type] = (counts[issue.type] || 0) + 1;
+  return counts;
+}, {});
+
+// A run is { id, createdAt, input: { kind: 'paste' | 'file' | 'zip' | 'archive' | 'diff', name, size }, provider, model, message, summary, issues, sources, files, usage }.
+// `usage` is the run's token totals and cost from /api/analyze; runs saved before it existed have none.
+export async function saveRun(run) {
+  await withStore('readwrite', store => store.put(run));
+  return run;
+}
+
+// Newest first, without the heavy `issues` and `sources` fields.
+export async function listRuns() {
+  const runs = await withStore('readonly', store => store.getAll());
+  return runs
+    .map(run => {
+      const summary = { ...run };
+      delete summary.issues;
+      delete summary.sources;
+      return summary;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export const getRun = (id) => withStore('readonly', store => store.get(id));
+
+export const deleteRun = (id) => withStore('readwrite', store => store.delete(id));
@@ -0,0 +1,83 @@
+// src/utils/issues.js
+
+import { SEVERITIES } from '../../lib/schema.js';
+import { formatUsage } from './cost.js';
+
+// Maps each category of the /api/analyze response to the issue type shown in the UI.
+export const ISSUE_CATEGORIES = [
+  { key: 'bugs', type: 'Bug', idPrefix: 'bug', defaultSeverity: 'high' },
+  { key: 'security_vulnerabilities', type: 'Security Vulnerability', idPrefix: 'sec', defaultSeverity: 'critical' },
+  { key: 'improvements', type: 'Improvement', idPrefix: 'imp', defaultSeverity: 'medium' },
+  { key: 'explanations', type: 'Explanation', idPrefix: 'exp', defaultSeverity: 'info' },
+  { key: 'exposed_secrets', type: 'Exposed Secret', idPrefix: 'secret', defaultSeverity: 'critical' },
+];
+
+// Dot colors for severity markers (code viewer gutter, file tree counts).
+export const SEVERITY_MARKERS = {
+  critical: 'bg-red-600',
+  high: 'bg-red-400',
+  medium: 'bg-yellow-400',
+  low: 'bg-green-400',
+  info: 'bg-blue-400',
+};
+
+// The most severe of `issues`, for a marker that stands for several findings.
+export const worstSeverity = (issues) => SEVERITIES.find(severity => issues.some(issue => issue.severity === severity)) || 'info';
+
+// Helper function to generate a more unique ID than just Math.random()
+export const generateUniqueId = () => {
+  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+};
+
+// Flattens a parsed analysis into the issue list rendered by the report.
+export function analysisToIssues(analysis, fallbackFilePath) {
+  return ISSUE_CATEGORIES.flatMap(({ key, type, idPrefix, defaultSeverity }) =>
+    (analysis[key] || []).map((item, index) => ({
+      id: `${idPrefix}-${index}-${generateUniqueId()}`, // Use a unique ID for each issue to avoid duplicates
+      type,
+      category: key,
+      message: item.message,
+      line: item.line || 'N/A',
+      lineRange: item.lineRange || null,
+      verification: item.verification || null,
+      verificationNote: item.verificationNote || null,
+      excerpt: item.excerpt || null,
+      severity: item.severity || defaultSeverity,
+      suggestedFix: item.suggestedFix || null,
+      filePath: item.filePath || fallbackFilePath,
+      edits: item.edits || [],
+      source: item.source || 'ai',
+      ruleId: item.ruleId || null,
+      fingerprint: item.fingerprint || null,
+      suppressedBy: item.suppressedBy || null,
+      reason: item.reason || null
+    }))
+  );
+}
+
+// Issues back in the finding shape of lib/report.js. Placeholder issues (raw
+// model output, "no issues found") have no category and are left out.
+export const issuesToFindings = (issues) => issues
+  .map(issue => ({ ...issue, category: issue.category || ISSUE_CATEGORIES.find(({ type }) => type === issue.type)?.key }))
+  .filter(issue => issue.category);
+
+// Plain-text summary of which files the server analyzed and which it skipped,
+// and of the tokens the run used (`usage` from the response, if any).
+export function formatFileSummary(message, files, usage) {
+  if (!files) return message;
+
+  const lines = [message];
+  if (usage?.calls > 0) {
+    lines.push('', `Tokens: ${formatUsage(usage)}.`);
+  }
+  if (files.analyzed.length > 0) {
+    lines.push('', `Analyzed files (${files.analyzed.length}):`, ...files.analyzed.map(file => `  - ${file}`));
+  }
+  if (files.staticallyAnalyzed?.length > 0) {
+    lines.push('', `Static analysis ran on ${files.staticallyAnalyzed.length} JS/TS file${files.staticallyAnalyzed.length === 1 ? '' : 's'}.`);
+  }
+  if (files.skipped.length > 0) {
+    lines.push('', `Skipped files (${files.skipped.length}):`, ...files.skipped.map(file => `  - ${file.path}: ${file.reason}`));
+  }
+  return lines.join('\n');
+}
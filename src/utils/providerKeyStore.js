@@ -0,0 +1,29 @@
+// src/utils/providerKeyStore.js
+
+// The user's own provider keys (see lib/providers/index.js), per provider in
+// sessionStorage: they are gone once the tab is closed, and are only sent to
+// this server with the requests that use them.
+
+const keyFor = (provider) => `code-alchemist:provider-key:${provider}`;
+
+export function loadProviderKey(provider) {
+  try {
+    return (provider && sessionStorage.getItem(keyFor(provider))) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveProviderKey(provider, key) {
+  if (key) {
+    sessionStorage.setItem(keyFor(provider), key);
+  } else {
+    sessionStorage.removeItem(keyFor(provider));
+  }
+}
+
+// Headers for a model request with `provider`: its key, if the user set one.
+export function providerKeyHeaders(provider) {
+  const key = loadProviderKey(provider);
+  return key ? { 'X-Provider-Api-Key': key } : {};
+}
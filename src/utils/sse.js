@@ -0,0 +1,32 @@
+// src/utils/sse.js
+
+// Reads a text/event-stream response body and calls onEvent(event, data) for
+// every message. EventSource cannot POST a file, so we parse the stream by hand.
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawMessage) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of rawMessage.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    }
+    if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+}